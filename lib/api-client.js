@@ -1,142 +1,47 @@
 import { CONFIG, logger } from './config.js';
-import { APIError, NetworkError, ValidationError, ConfigurationError } from './errors.js';
-
-// API configurations.
-//
-// Model strings can be overridden via env vars (CLAUDE_MODEL / OPENAI_MODEL /
-// PERPLEXITY_MODEL) so the codebase doesn't need a release every time a vendor
-// deprecates a model. The defaults below are conservative — pick something
-// known to be available rather than the bleeding edge.
-const API_CONFIGS = {
-  claude: {
-    name: 'claude',
-    display: 'Claude',
-    endpoint: 'https://api.anthropic.com/v1/messages',
-    keyEnv: 'ANTHROPIC_API_KEY',
-    modelEnv: 'CLAUDE_MODEL',
-    defaultModel: 'claude-3-5-sonnet-20241022',
-    priority: 1,
-    performance: 9,
-    cost: 6,
-    reliability: 9,
-    specialties: ['code', 'analysis', 'structured-output'],
-    requestBuilder: (prompt, key, model) => ({
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': key,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: model,
-        max_tokens: 4000,
-        messages: [{ role: 'user', content: prompt }]
-      })
-    }),
-    responseExtractor: (data) => {
-      if (!data.content || !data.content[0] || !data.content[0].text) {
-        throw new ValidationError('Invalid response format from Claude API', 'response_content');
-      }
-      return data.content[0].text;
-    }
-  },
-
-  openai: {
-    name: 'openai',
-    display: 'OpenAI',
-    endpoint: 'https://api.openai.com/v1/chat/completions',
-    keyEnv: 'OPENAI_API_KEY',
-    modelEnv: 'OPENAI_MODEL',
-    defaultModel: 'gpt-4',
-    priority: 2,
-    performance: 8,
-    cost: 7,
-    reliability: 8,
-    specialties: ['general', 'creative', 'code'],
-    requestBuilder: (prompt, key, model) => ({
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${key}`
-      },
-      body: JSON.stringify({
-        model: model,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 4000
-      })
-    }),
-    responseExtractor: (data) => {
-      if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
-        throw new ValidationError('Invalid response format from OpenAI API', 'response_content');
-      }
-      return data.choices[0].message.content;
-    }
-  },
-
-  perplexity: {
-    name: 'perplexity',
-    display: 'Perplexity',
-    endpoint: 'https://api.perplexity.ai/chat/completions',
-    keyEnv: 'PERPLEXITY_API_KEY',
-    modelEnv: 'PERPLEXITY_MODEL',
-    defaultModel: 'llama-3.1-sonar-large-128k-online',
-    priority: 3,
-    performance: 7,
-    cost: 4,
-    reliability: 7,
-    specialties: ['research', 'factual', 'current-events'],
-    requestBuilder: (prompt, key, model) => ({
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${key}`
-      },
-      body: JSON.stringify({
-        model: model,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 4000
-      })
-    }),
-    responseExtractor: (data) => {
-      if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
-        throw new ValidationError('Invalid response format from Perplexity API', 'response_content');
-      }
-      return data.choices[0].message.content;
-    }
-  }
-};
+import { APIError, NetworkError, ParsingError, ValidationError, ConfigurationError, BudgetExceededError } from './errors.js';
+import { getProvider, getConfiguredProviders, resolveEndpoint } from './providers.js';
+import { readFixture, writeFixture, hashPrompt } from './fixtures.js';
+import { cacheKey, readCachedResponse, writeCachedResponse } from './response-cache.js';
 
+// Providers (endpoints, request/response formats, scores) live in the
+// registry in providers.js; this module ranks them and makes the calls.
 
 // --- API selection ----------------------------------------------------------
 
 // Returns ALL configured APIs in fallback order. Used by callAI() so that
 // when the primary API fails, we automatically try the next one.
 export function getRankedAPIs(taskType = 'general') {
-  const apis = Object.values(API_CONFIGS)
-    .filter(api => process.env[api.keyEnv])
+  const configured = getConfiguredProviders();
+  const exclusive = configured.filter(api => api.exclusive);
+  const apis = (exclusive.length > 0 ? exclusive : configured)
     .map(api => ({
       ...api,
-      key: process.env[api.keyEnv],
-      model: process.env[api.modelEnv] || api.defaultModel,
+      endpoint: resolveEndpoint(api),
+      key: api.keyEnv ? process.env[api.keyEnv] : undefined,
+      model: (api.modelEnv && process.env[api.modelEnv]) || api.defaultModel,
     }));
 
   if (apis.length === 0) {
-    throw new ConfigurationError('No API keys configured. Check your .env file.');
+    throw new ConfigurationError('No API keys or local providers configured. Check your .env file.');
   }
 
   // Score-based ranking weighted by task type.
   const taskScoring = {
-    'module-generation': { performance: 0.4, cost: 0.3, reliability: 0.3 },
-    'specification':     { performance: 0.5, cost: 0.2, reliability: 0.3 },
-    'general':           { performance: 0.4, cost: 0.4, reliability: 0.2 }
+    'module-generation':      { performance: 0.4, cost: 0.3, reliability: 0.3 },
+    'specification':          { performance: 0.5, cost: 0.2, reliability: 0.3 },
+    'specification-skeleton': { performance: 0.5, cost: 0.2, reliability: 0.3 },
+    'module-specification':   { performance: 0.5, cost: 0.2, reliability: 0.3 },
+    'classification':         { performance: 0.2, cost: 0.6, reliability: 0.2 },
+    'general':                { performance: 0.4, cost: 0.4, reliability: 0.2 }
   };
   const weights = taskScoring[taskType] || taskScoring.general;
 
   const scored = apis.map(api => ({
     ...api,
-    score: (api.performance * weights.performance) +
-           ((10 - api.cost) * weights.cost) +
-           (api.reliability * weights.reliability)
+    score: (api.scores.performance * weights.performance) +
+           ((10 - api.scores.cost) * weights.cost) +
+           (api.scores.reliability * weights.reliability)
   })).sort((a, b) => b.score - a.score);
 
   // Move user's preferred API to the front (if available) so it's tried first,
@@ -158,18 +63,123 @@ export function getAvailableAPI(taskType = 'general') {
 
 // --- HTTP call --------------------------------------------------------------
 
-async function callAPI(apiConfig, prompt) {
+// Parses a streamed body into text fragments: SSE ("data: {...}" lines,
+// "[DONE]" terminator) or newline-delimited JSON. Error events become
+// NetworkErrors; the caller concatenates the fragments. Token counts found in
+// the events are collected in `tokens`.
+function createStreamParser(apiConfig) {
+  let buffer = '';
+  let tokens = null;
+
+  const parseLine = (line) => {
+    let payload = line.trim();
+    if (apiConfig.streamFormat === 'sse') {
+      if (!payload.startsWith('data:')) return '';
+      payload = payload.slice(5).trim();
+      if (payload === '[DONE]') return '';
+    }
+    if (payload === '') return '';
+
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch {
+      return '';
+    }
+    if (event.type === 'error' || event.error) {
+      const message = event.error?.message || event.error || 'stream error';
+      throw new NetworkError(`${apiConfig.display} API stream error: ${message}`, apiConfig.endpoint, 0);
+    }
+    tokens = mergeTokens(tokens, apiConfig.usageExtractor?.(event));
+    return apiConfig.streamDeltaExtractor(event) || '';
+  };
+
+  return {
+    get tokens() {
+      return tokens;
+    },
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      return lines.map(parseLine).join('');
+    },
+    end() {
+      const rest = parseLine(buffer);
+      buffer = '';
+      return rest;
+    }
+  };
+}
+
+// Streams report token counts across several events (e.g. input tokens at
+// the start, output tokens at the end); later counts win.
+function mergeTokens(tokens, update) {
+  if (!update) return tokens;
+  const merged = { ...tokens };
+  for (const [field, value] of Object.entries(update)) {
+    if (Number.isFinite(value)) merged[field] = value;
+  }
+  return merged;
+}
+
+// Reads the response body as text, re-arming the idle timer on every chunk.
+async function readBody(response, onChunk) {
+  const decoder = new TextDecoder();
+  let text = '';
+  for await (const chunk of response.body) {
+    const piece = decoder.decode(chunk, { stream: true });
+    text += piece;
+    onChunk(piece);
+  }
+  const rest = decoder.decode();
+  text += rest;
+  if (rest) onChunk(rest);
+  return text;
+}
+
+/**
+ * Sends one request to one provider.
+ *
+ * CONFIG.timeout is an idle timeout: the request is aborted only when no data
+ * has arrived for that long, so a long answer that keeps streaming never
+ * times out. Streaming is used when CONFIG.stream is on and the provider
+ * supports it; `onProgress({ provider, taskType, characters, delta })` is
+ * called as text arrives (once at the end for non-streaming providers).
+ *
+ * Resolves to { text, tokens }: tokens is the provider's reported
+ * { inputTokens, outputTokens }, or null if it reported none.
+ */
+async function sendRequest(apiConfig, prompt, taskType, { onProgress, schema }) {
+  const report = (delta, characters) => {
+    if (onProgress && delta) {
+      onProgress({ provider: apiConfig.display, taskType, characters, delta });
+    }
+  };
+
+  if (apiConfig.call) {
+    const result = await apiConfig.call(prompt, apiConfig, { taskType, schema });
+    const { text, usage } = typeof result === 'string' ? { text: result } : result;
+    report(text, text.length);
+    return { text, tokens: usage || null };
+  }
+
+  const stream = CONFIG.stream && Boolean(apiConfig.streamFormat && apiConfig.streamDeltaExtractor);
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
+  let timeoutId = null;
+  const armIdleTimer = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
+  };
 
   try {
-    const requestOptions = apiConfig.requestBuilder(prompt, apiConfig.key, apiConfig.model);
+    armIdleTimer();
+    const requestOptions = apiConfig.requestBuilder(prompt, apiConfig.key, apiConfig.model, { stream, schema });
     const response = await fetch(apiConfig.endpoint, {
       ...requestOptions,
       signal: controller.signal
     });
-
-    clearTimeout(timeoutId);
+    armIdleTimer();
 
     if (!response.ok) {
       const errorText = await response.text().catch(() => 'Unknown error');
@@ -180,14 +190,38 @@ async function callAPI(apiConfig, prompt) {
       );
     }
 
-    const data = await response.json();
-    return apiConfig.responseExtractor(data);
-  } catch (error) {
-    clearTimeout(timeoutId);
+    if (stream) {
+      const parser = createStreamParser(apiConfig);
+      let text = '';
+      await readBody(response, (chunk) => {
+        armIdleTimer();
+        const delta = parser.push(chunk);
+        text += delta;
+        report(delta, text.length);
+      });
+      const delta = parser.end();
+      text += delta;
+      report(delta, text.length);
+      if (text === '') {
+        throw new ValidationError(`Empty streamed response from ${apiConfig.display} API`, 'response_content');
+      }
+      return { text, tokens: parser.tokens };
+    }
 
+    const body = await readBody(response, armIdleTimer);
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch {
+      throw new ValidationError(`Invalid JSON response from ${apiConfig.display} API`, 'response_content');
+    }
+    const text = apiConfig.responseExtractor(data);
+    report(text, text.length);
+    return { text, tokens: mergeTokens(null, apiConfig.usageExtractor?.(data)) };
+  } catch (error) {
     if (error.name === 'AbortError') {
       throw new NetworkError(
-        `Request timeout after ${CONFIG.timeout / 1000} seconds`,
+        `Request timed out: no data for ${CONFIG.timeout / 1000} seconds`,
         apiConfig.endpoint,
         408
       );
@@ -202,6 +236,52 @@ async function callAPI(apiConfig, prompt) {
       apiConfig.endpoint,
       0
     );
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+
+// Provider/model pairs that rejected a structured-output request; they get
+// prompt-only requests for the rest of the process.
+const structuredOutputUnsupported = new Set();
+
+/**
+ * One request to one provider (see sendRequest), resolving to the response
+ * text. With `schema` ({ name, schema }) and a provider that declares
+ * `structuredOutput`, the response is requested in the vendor's
+ * structured-output mode. If the API rejects that request (HTTP 400, e.g. a
+ * model without JSON schema support), the call is repeated with the prompt
+ * alone.
+ *
+ * With a `usage` tracker (see usage.js), the call is checked against the
+ * budget before it is sent and its tokens are recorded.
+ */
+async function callAPI(apiConfig, prompt, taskType = 'general', { onProgress, schema, usage } = {}) {
+  const release = usage?.reserve(apiConfig, prompt, taskType);
+  try {
+    const { text, tokens } = await sendWithSchema(apiConfig, prompt, taskType, { onProgress, schema });
+    usage?.record(apiConfig, taskType, tokens, { prompt, response: text });
+    return text;
+  } finally {
+    release?.();
+  }
+}
+
+async function sendWithSchema(apiConfig, prompt, taskType, { onProgress, schema }) {
+  const modelKey = `${apiConfig.name}:${apiConfig.model}`;
+  const structured = Boolean(schema) && CONFIG.structuredOutput &&
+    (Boolean(apiConfig.call) || (apiConfig.structuredOutput && !structuredOutputUnsupported.has(modelKey)));
+  if (!structured) {
+    return sendRequest(apiConfig, prompt, taskType, { onProgress });
+  }
+  try {
+    return await sendRequest(apiConfig, prompt, taskType, { onProgress, schema });
+  } catch (error) {
+    if (apiConfig.call || !(error instanceof NetworkError) || error.statusCode !== 400) throw error;
+    structuredOutputUnsupported.add(modelKey);
+    logger.warn(`${apiConfig.display} rejected structured output for ${apiConfig.model}; using prompt-only JSON instead`);
+    return sendRequest(apiConfig, prompt, taskType, { onProgress });
   }
 }
 
@@ -217,9 +297,124 @@ async function callAPI(apiConfig, prompt) {
  *      repeat. This makes the multi-vendor support actually meaningful —
  *      a Claude outage no longer takes the whole tool down.
  *   4. Only when ALL configured APIs are exhausted do we throw.
+ *
+ * With `options.parse` (e.g. parseJSONFromResponse), the response is parsed
+ * and the parsed value returned. When parse throws a ParsingError or
+ * ValidationError, the same API is sent the error and its response and asked
+ * for corrected JSON, up to CONFIG.jsonRepairAttempts times; after that the
+ * next API is tried from the original prompt. If no API produces a usable
+ * response, the last error thrown by parse is rethrown.
+ *
+ * With AI_MODE=replay, responses come from recorded fixtures and nothing is
+ * sent; with AI_MODE=record, every successful response is saved as a fixture.
+ * Otherwise, when CONFIG.cache is on, a cached response from any configured
+ * provider (tried in ranking order) is returned without a call, and new
+ * responses are cached (see response-cache.js).
+ *
+ * `options.schema` ({ name, schema }, see responseSchema in spec-schema.js)
+ * describes the expected JSON. Providers with native structured output are
+ * asked for a response matching it; the others rely on the prompt's own
+ * instructions, so the prompt must still describe the format.
+ *
+ * `options.onProgress` receives streaming progress (see callAPI).
+ *
+ * `options.usage` is a usage tracker (createUsageTracker in usage.js) that
+ * receives the tokens and cost of every request made, repairs included, and
+ * refuses requests that could exceed its budget (BudgetExceededError).
  */
-export async function callAI(prompt, retries = 1, taskType = 'general') {
+export async function callAI(prompt, retries = 1, taskType = 'general', { onProgress, parse, schema, usage } = {}) {
+  if (CONFIG.aiMode === 'replay') {
+    const fixture = await readFixture(CONFIG.fixturesDir, prompt);
+    if (!fixture) {
+      throw new ConfigurationError(
+        `No recorded fixture for prompt hash ${hashPrompt(prompt)} (${taskType}) in ${CONFIG.fixturesDir}. Record it with AI_MODE=record.`
+      );
+    }
+    logger.debug(`Replaying fixture ${fixture.hash} for ${taskType} task`);
+    onProgress?.({ provider: 'replay', taskType, characters: fixture.response.length, delta: fixture.response });
+    return parse ? parse(fixture.response) : fixture.response;
+  }
+
   const apis = getRankedAPIs(taskType);
+  const useCache = CONFIG.cache && CONFIG.aiMode === 'live';
+  if (useCache) {
+    const cached = await readCachedAnswer(apis, prompt, taskType, { parse, schema, onProgress });
+    if (cached) {
+      usage?.recordCached(taskType);
+      return parse ? cached.value : cached.text;
+    }
+  }
+
+  const { text, value, api } = await callRankedAPIs(apis, prompt, retries, taskType, { onProgress, parse, schema, usage });
+  // After a repair, the corrected response is recorded (and cached) for the
+  // original prompt, so later runs parse it on the first try.
+  if (CONFIG.aiMode === 'record') {
+    const filePath = await writeFixture(CONFIG.fixturesDir, { prompt, response: text, taskType, provider: api.name, model: api.model });
+    logger.debug(`Recorded fixture ${filePath}`);
+  } else if (useCache && api.cache !== false) {
+    await writeCachedResponse(responseCacheKey(api, prompt, schema), { provider: api.name, model: api.model, taskType, response: text });
+  }
+  return parse ? value : text;
+}
+
+// Everything that changes the answer: the provider, model, prompt and the
+// requested response schema.
+function responseCacheKey(api, prompt, schema) {
+  return cacheKey({ provider: api.name, model: api.model, prompt, params: { schema: schema?.schema ?? null } });
+}
+
+// Cached { text, value, api } for the prompt from any of `apis`, or null. An
+// entry that no longer parses (e.g. the expected shape changed) is a miss.
+async function readCachedAnswer(apis, prompt, taskType, { parse, schema, onProgress }) {
+  const cacheable = apis.filter(api => api.cache !== false);
+  const keys = cacheable.map(api => responseCacheKey(api, prompt, schema));
+  const entry = await readCachedResponse(keys);
+  if (!entry) return null;
+
+  const api = cacheable[keys.indexOf(entry.key)];
+  let value;
+  try {
+    value = parse ? parse(entry.response) : undefined;
+  } catch (error) {
+    logger.debug(`Ignoring cached ${api.display} response for ${taskType} task: ${error.message}`);
+    return null;
+  }
+  logger.info(`Using cached ${api.display} response for ${taskType} task`);
+  onProgress?.({ provider: `${api.display} (cached)`, taskType, characters: entry.response.length, delta: entry.response });
+  return { text: entry.response, value, api };
+}
+
+// Follow-up prompt asking the model to fix a response that did not parse.
+function buildRepairPrompt(prompt, response, error) {
+  return `Your previous response to the request below could not be used: ${error.message}
+
+Reply with the corrected JSON only: the same content as valid JSON, without explanations or code fences. If your response was cut off, complete it more concisely.
+
+--- Request ---
+${prompt}
+
+--- Your previous response ---
+${response}`;
+}
+
+// Parses `text`, asking `api` to correct it when that fails. Returns
+// { text, value }, { error } once the repair attempts are used up, or
+// { parserError } when `parse` failed for a reason of its own (a bug, not a
+// bad response), which no provider can fix.
+async function parseWithRepair(api, prompt, text, taskType, { parse, schema, onProgress, usage }) {
+  for (let repair = 0; ; repair++) {
+    try {
+      return { text, value: parse(text) };
+    } catch (error) {
+      if (!(error instanceof ParsingError || error instanceof ValidationError)) return { parserError: error };
+      if (repair >= CONFIG.jsonRepairAttempts) return { error };
+      logger.warn(`${api.display} response for ${taskType} task is unusable (${error.message}); asking for a correction (${repair + 1}/${CONFIG.jsonRepairAttempts})`);
+      text = await callAPI(api, buildRepairPrompt(prompt, text, error), 'json-repair', { onProgress, schema, usage });
+    }
+  }
+}
+
+async function callRankedAPIs(apis, prompt, retries, taskType, { onProgress, parse, schema, usage }) {
   let lastError = null;
 
   for (let i = 0; i < apis.length; i++) {
@@ -227,12 +422,20 @@ export async function callAI(prompt, retries = 1, taskType = 'general') {
     const isLastApi = i === apis.length - 1;
     logger.info(`Trying ${api.display} API for ${taskType} task (model=${api.model})`);
 
-    for (let attempt = 0; attempt <= retries; attempt++) {
+    const maxRetries = Math.min(retries, api.maxRetries ?? retries);
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      let result;
       try {
-        return await callAPI(api, prompt);
+        const text = await callAPI(api, prompt, taskType, { onProgress, schema, usage });
+        if (!parse) return { text, api };
+        result = await parseWithRepair(api, prompt, text, taskType, { parse, schema, onProgress, usage });
       } catch (error) {
+        // Misconfiguration (e.g. a prompt missing from the mock responses)
+        // won't fix itself on retry or deserve a paid fallback, and a spent
+        // budget stays spent.
+        if (error instanceof ConfigurationError || error instanceof BudgetExceededError) throw error;
         lastError = error;
-        const isLastAttempt = attempt === retries;
+        const isLastAttempt = attempt === maxRetries;
         if (!isLastAttempt) {
           logger.warn(`${api.display} attempt ${attempt + 1} failed (${error.message}); retrying...`);
           await new Promise(resolve => setTimeout(resolve, 1000));
@@ -249,7 +452,23 @@ export async function callAI(prompt, retries = 1, taskType = 'general') {
           );
         }
         logger.warn(`${api.display} exhausted retries; falling back to ${apis[i + 1].display}...`);
+        continue;
+      }
+
+      // Thrown outside the catch above so it is not retried or blamed on the
+      // provider
+      if (result.parserError) throw result.parserError;
+      if (!result.error) return { ...result, api };
+      // The API answered but could not correct its response; asking it the
+      // same thing again is unlikely to help, so move on. The parse error is
+      // thrown as-is so callers see which field was wrong.
+      lastError = result.error;
+      if (isLastApi) {
+        logger.error(`All APIs exhausted. Last error from ${api.display}: ${result.error.message}`);
+        throw result.error;
       }
+      logger.warn(`${api.display} returned no usable response; falling back to ${apis[i + 1].display}...`);
+      break;
     }
   }
   // Defensive: shouldn't reach here.
@@ -259,12 +478,17 @@ export async function callAI(prompt, retries = 1, taskType = 'general') {
 
 // --- Legacy single-API wrappers (kept for backward compatibility) -----------
 
-export const callClaude = (prompt) => callAPI(
-  { ...API_CONFIGS.claude, key: process.env.ANTHROPIC_API_KEY,
-    model: process.env.CLAUDE_MODEL || API_CONFIGS.claude.defaultModel }, prompt);
-export const callOpenAI = (prompt) => callAPI(
-  { ...API_CONFIGS.openai, key: process.env.OPENAI_API_KEY,
-    model: process.env.OPENAI_MODEL || API_CONFIGS.openai.defaultModel }, prompt);
-export const callPerplexity = (prompt) => callAPI(
-  { ...API_CONFIGS.perplexity, key: process.env.PERPLEXITY_API_KEY,
-    model: process.env.PERPLEXITY_MODEL || API_CONFIGS.perplexity.defaultModel }, prompt);
+// Calls one named provider directly, without ranking or fallback.
+function callProvider(name, prompt) {
+  const provider = getProvider(name);
+  return callAPI({
+    ...provider,
+    endpoint: resolveEndpoint(provider),
+    key: process.env[provider.keyEnv],
+    model: process.env[provider.modelEnv] || provider.defaultModel
+  }, prompt);
+}
+
+export const callClaude = (prompt) => callProvider('claude', prompt);
+export const callOpenAI = (prompt) => callProvider('openai', prompt);
+export const callPerplexity = (prompt) => callProvider('perplexity', prompt);
@@ -0,0 +1,74 @@
+import { ValidationError } from './errors.js';
+
+// Small command-line parser for the `sds` CLI.
+//
+// `definitions` maps option names to { type: 'string'|'boolean', short? }:
+//   --name value, --name=value, -n value   string options
+//   --flag, -f, --no-flag                  boolean options
+//   --                                     everything after is positional
+// Unknown options and missing values throw ValidationError so the CLI can
+// exit with a usage error instead of guessing.
+
+export function parseArgs(argv, definitions) {
+  const options = {};
+  const positionals = [];
+  const shortNames = {};
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (definition.short) shortNames[definition.short] = name;
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name;
+    let inlineValue;
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+      inlineValue = eq === -1 ? undefined : arg.slice(eq + 1);
+    } else {
+      name = shortNames[arg.slice(1)];
+      if (!name) throw new ValidationError(`Unknown option: ${arg}`, arg);
+    }
+
+    // --no-<flag> negates a boolean option
+    if (!definitions[name] && name.startsWith('no-') && definitions[name.slice(3)]?.type === 'boolean') {
+      if (inlineValue !== undefined) throw new ValidationError(`Option --${name} does not take a value`, `--${name}`);
+      options[name.slice(3)] = false;
+      continue;
+    }
+
+    const definition = definitions[name];
+    if (!definition) {
+      throw new ValidationError(`Unknown option: ${arg}`, arg);
+    }
+
+    if (definition.type === 'boolean') {
+      if (inlineValue !== undefined) throw new ValidationError(`Option --${name} does not take a value`, `--${name}`);
+      options[name] = true;
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      const next = argv[i + 1];
+      if (next === undefined || (next.startsWith('-') && next !== '-')) {
+        throw new ValidationError(`Option --${name} requires a value`, `--${name}`);
+      }
+      value = next;
+      i++;
+    }
+    options[name] = value;
+  }
+
+  return { options, positionals };
+}
@@ -1,14 +1,37 @@
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
 import { ConfigurationError } from './errors.js';
+import { getProviders, getConfiguredProviders, loadProviderPlugins } from './providers.js';
+import { AI_MODES } from './fixtures.js';
 
 // Configuration object with defaults
 export const CONFIG = {
   timeout: 30000,
+  stream: true,
+  structuredOutput: true,
   batchSize: 3,
   batchDelay: 1000,
+  jsonRepairAttempts: 2,
   preferredAPI: 'claude',
-  logLevel: 'info'
+  logLevel: 'info',
+  sessionStore: 'file',
+  sessionDir: path.join(os.homedir(), '.sds-generator', 'sessions'),
+  sessionTTL: 30 * 24 * 60 * 60 * 1000,
+  exportDir: 'sds-exports',
+  stacksFile: '',
+  providerPlugins: [],
+  aiMode: 'live',
+  fixturesDir: path.join('fixtures', 'ai'),
+  cache: true,
+  cacheDir: path.join(os.homedir(), '.sds-generator', 'cache'),
+  cacheTTL: 7 * 24 * 60 * 60 * 1000,
+  budget: null,
+  pricesFile: '',
+  httpPort: 3000,
+  httpHost: '127.0.0.1',
+  authToken: '',
+  allowedOrigins: []
 };
 
 // Simple logging system.
@@ -54,18 +77,89 @@ OPENAI_API_KEY=your_openai_api_key_here
 # Research-enhanced models
 PERPLEXITY_API_KEY=your_perplexity_api_key_here
 
+# Local / self-hosted models (no API key needed)
+# Ollama: set a model (and the URL if it isn't http://localhost:11434)
+# OLLAMA_BASE_URL=http://localhost:11434
+# OLLAMA_MODEL=llama3.1
+# Any OpenAI-compatible server (vLLM, LM Studio, LiteLLM, llama.cpp, ...)
+# OPENAI_COMPATIBLE_BASE_URL=http://localhost:8000/v1
+# OPENAI_COMPATIBLE_MODEL=your-model-name
+# OPENAI_COMPATIBLE_API_KEY=
+
 # API Configuration
-# Options: claude, openai, perplexity
+# Options: claude, openai, perplexity, ollama, openai-compatible
 PREFERRED_API=claude
 
-# API timeout in milliseconds
+# API idle timeout in milliseconds: a request fails only when no data has
+# arrived for this long (streamed responses keep it alive)
 API_TIMEOUT=30000
 
+# Stream responses for live progress (true/false)
+STREAM=true
+
+# Use native structured output (Claude tool use, OpenAI JSON schema) for JSON
+# responses where the provider supports it (true/false)
+STRUCTURED_OUTPUT=true
+
 # Number of modules to process in parallel
 BATCH_SIZE=3
 
 # Delay between batches in milliseconds
 BATCH_DELAY=1000
+
+# Follow-up calls asking a provider to fix JSON it returned that could not be
+# parsed, before falling back to the next provider (0 = fall back at once)
+JSON_REPAIR_ATTEMPTS=2
+
+# MCP session storage
+# Options: file, memory
+SESSION_STORE=file
+# Directory for file-backed sessions (default: ~/.sds-generator/sessions)
+# SESSION_DIR=/path/to/sessions
+# Hours of inactivity before a session expires (0 = never)
+SESSION_TTL_HOURS=720
+
+# Directory for CSV/XLSX files written by export_specification
+EXPORT_DIR=sds-exports
+
+# Cache of AI responses, so re-running the same description costs nothing
+# (true/false; the CLI also takes --no-cache). Clear it with "sds cache clear".
+AI_CACHE=true
+# Directory for cached responses (default: ~/.sds-generator/cache)
+# AI_CACHE_DIR=/path/to/cache
+# Hours before a cached response expires (0 = never)
+AI_CACHE_TTL_HOURS=168
+
+# Spending cap in USD per CLI run or MCP session (empty = no cap). A call that
+# could take the total past it is refused; the CLI also takes --budget.
+# AI_BUDGET_USD=1.00
+# Prices per model in USD per million tokens (JSON or YAML), added to the
+# built-in table, e.g. {"gpt-4o": {"input": 2.5, "output": 10}}
+# AI_PRICES_FILE=config/prices.json
+
+# MCP over HTTP ("sds --mcp --http"): address to listen on. Use 0.0.0.0 to
+# accept remote clients, and set MCP_AUTH_TOKEN when you do.
+# MCP_HTTP_PORT=3000
+# MCP_HTTP_HOST=127.0.0.1
+# Clients must send "Authorization: Bearer <token>" (empty = no auth)
+# MCP_AUTH_TOKEN=
+# Comma-separated browser origins allowed besides localhost (* = any)
+# MCP_ALLOWED_ORIGINS=https://app.example.com
+
+# Offline runs for tests and demos (see README "Testing Without API Calls")
+# AI_MODE: live (default), record (save responses as fixtures) or replay (serve fixtures only)
+# AI_MODE=live
+# AI_FIXTURES_DIR=fixtures/ai
+# Canned responses for the mock provider; when set, no real API is called
+# MOCK_RESPONSES=fixtures/mock-responses.json
+
+# Provider plugins: comma-separated ES module paths that register extra AI
+# providers (Gemini, Azure OpenAI, internal gateways, ...). See README.
+# PROVIDER_PLUGINS=./providers/gemini.js
+
+# Custom tech stack catalog (JSON or YAML). Defaults to ./sds-stacks.{json,yaml,yml};
+# ~/.sds-generator/stacks.{json,yaml,yml} is always applied first when present
+# STACKS_FILE=config/stacks.yaml
 `;
         await fs.writeFile('.env', basicTemplate);
         logger.info('✅ Created .env file from built-in template');
@@ -85,6 +179,80 @@ BATCH_DELAY=1000
   }
 }
 
+// Resolved paths of provider plugins already loaded in this process
+const loadedPlugins = new Set();
+
+// Copies the environment into CONFIG. Runs whether or not a .env file was
+// read, so variables set in the real environment (e.g. docker run -e) always
+// apply.
+function applyEnvironment() {
+  CONFIG.timeout = parseInt(process.env.API_TIMEOUT) || CONFIG.timeout;
+  if (process.env.STREAM !== undefined) {
+    CONFIG.stream = !['false', '0', 'no', 'off'].includes(process.env.STREAM.toLowerCase());
+  }
+  if (process.env.STRUCTURED_OUTPUT !== undefined) {
+    CONFIG.structuredOutput = !['false', '0', 'no', 'off'].includes(process.env.STRUCTURED_OUTPUT.toLowerCase());
+  }
+  CONFIG.batchSize = parseInt(process.env.BATCH_SIZE) || CONFIG.batchSize;
+  CONFIG.batchDelay = parseInt(process.env.BATCH_DELAY) || CONFIG.batchDelay;
+  if (process.env.JSON_REPAIR_ATTEMPTS !== undefined && !Number.isNaN(parseInt(process.env.JSON_REPAIR_ATTEMPTS))) {
+    CONFIG.jsonRepairAttempts = Math.max(0, parseInt(process.env.JSON_REPAIR_ATTEMPTS));
+  }
+  CONFIG.preferredAPI = process.env.PREFERRED_API || CONFIG.preferredAPI;
+  CONFIG.sessionStore = process.env.SESSION_STORE || CONFIG.sessionStore;
+  CONFIG.sessionDir = process.env.SESSION_DIR || CONFIG.sessionDir;
+  CONFIG.exportDir = process.env.EXPORT_DIR || CONFIG.exportDir;
+  CONFIG.stacksFile = process.env.STACKS_FILE || CONFIG.stacksFile;
+  CONFIG.fixturesDir = process.env.AI_FIXTURES_DIR || CONFIG.fixturesDir;
+  if (process.env.AI_CACHE !== undefined) {
+    CONFIG.cache = !['false', '0', 'no', 'off'].includes(process.env.AI_CACHE.toLowerCase());
+  }
+  CONFIG.cacheDir = process.env.AI_CACHE_DIR || CONFIG.cacheDir;
+  if (process.env.AI_CACHE_TTL_HOURS !== undefined && !Number.isNaN(parseFloat(process.env.AI_CACHE_TTL_HOURS))) {
+    CONFIG.cacheTTL = parseFloat(process.env.AI_CACHE_TTL_HOURS) * 60 * 60 * 1000;
+  }
+  if (process.env.AI_BUDGET_USD) {
+    const budget = parseFloat(process.env.AI_BUDGET_USD);
+    if (Number.isNaN(budget) || budget < 0) {
+      throw new ConfigurationError(`AI_BUDGET_USD must be an amount in USD (got "${process.env.AI_BUDGET_USD}")`);
+    }
+    CONFIG.budget = budget || null;
+  }
+  CONFIG.pricesFile = process.env.AI_PRICES_FILE || CONFIG.pricesFile;
+  if (process.env.MCP_HTTP_PORT) {
+    const port = Number(process.env.MCP_HTTP_PORT);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new ConfigurationError(`MCP_HTTP_PORT must be a port number (got "${process.env.MCP_HTTP_PORT}")`);
+    }
+    CONFIG.httpPort = port;
+  }
+  CONFIG.httpHost = process.env.MCP_HTTP_HOST || CONFIG.httpHost;
+  CONFIG.authToken = process.env.MCP_AUTH_TOKEN || CONFIG.authToken;
+  if (process.env.MCP_ALLOWED_ORIGINS) {
+    CONFIG.allowedOrigins = process.env.MCP_ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean);
+  }
+  if (process.env.AI_MODE) {
+    if (!AI_MODES.includes(process.env.AI_MODE)) {
+      throw new ConfigurationError(`AI_MODE must be one of ${AI_MODES.join(', ')} (got "${process.env.AI_MODE}")`);
+    }
+    CONFIG.aiMode = process.env.AI_MODE;
+  }
+  if (process.env.PROVIDER_PLUGINS) {
+    CONFIG.providerPlugins = process.env.PROVIDER_PLUGINS.split(',').map(entry => entry.trim()).filter(Boolean);
+  }
+  if (process.env.SESSION_TTL_HOURS !== undefined && !Number.isNaN(parseFloat(process.env.SESSION_TTL_HOURS))) {
+    CONFIG.sessionTTL = parseFloat(process.env.SESSION_TTL_HOURS) * 60 * 60 * 1000;
+  }
+  
+  // Update logger level
+  if (process.env.LOG_LEVEL && logger.levels[process.env.LOG_LEVEL] !== undefined) {
+    logger.currentLevel = logger.levels[process.env.LOG_LEVEL];
+  }
+}
+
+// Keys loadEnv() took from the .env file, so a later call may update them
+const keysFromEnvFile = new Set();
+
 // Load .env file and configure settings
 export async function loadEnv() {
   try {
@@ -101,23 +269,15 @@ export async function loadEnv() {
           value = value.replace(/^["']|["']$/g, '');
           // Remove inline comments
           value = value.replace(/\s+#.*$/, '').trim();
-          process.env[key.trim()] = value;
+          // The real environment wins over the file
+          const name = key.trim();
+          if (process.env[name] === undefined || keysFromEnvFile.has(name)) {
+            process.env[name] = value;
+            keysFromEnvFile.add(name);
+          }
         }
       }
     }
-    
-    // Update CONFIG with loaded environment variables
-    CONFIG.timeout = parseInt(process.env.API_TIMEOUT) || CONFIG.timeout;
-    CONFIG.batchSize = parseInt(process.env.BATCH_SIZE) || CONFIG.batchSize;
-    CONFIG.batchDelay = parseInt(process.env.BATCH_DELAY) || CONFIG.batchDelay;
-    CONFIG.preferredAPI = process.env.PREFERRED_API || CONFIG.preferredAPI;
-    
-    // Update logger level
-    if (process.env.LOG_LEVEL && logger.levels[process.env.LOG_LEVEL] !== undefined) {
-      logger.currentLevel = logger.levels[process.env.LOG_LEVEL];
-    }
-    
-    logger.debug('Configuration loaded successfully');
   } catch (error) {
     if (error.code === 'ENOENT') {
       logger.warn('No .env file found, creating from template...');
@@ -126,14 +286,33 @@ export async function loadEnv() {
       throw new ConfigurationError(`Failed to load environment configuration: ${error.message}`);
     }
   }
+
+  applyEnvironment();
+  logger.debug('Configuration loaded successfully');
+
+  // Provider plugins register themselves once per process, even if
+  // loadEnv() runs again.
+  const newPlugins = CONFIG.providerPlugins.filter(pluginPath => !loadedPlugins.has(path.resolve(pluginPath)));
+  if (newPlugins.length > 0) {
+    const added = await loadProviderPlugins(newPlugins);
+    newPlugins.forEach(pluginPath => loadedPlugins.add(path.resolve(pluginPath)));
+    logger.info(`Loaded provider plugin(s): ${added.join(', ') || '(no new providers)'}`);
+  }
 }
 
-// Validate required API keys
+// Validate required API keys. "Valid" means at least one registered
+// provider (built-in or plugin) is configured: its key is set, or for keyless
+// local providers, one of their enabling variables.
 export function validateAPIKeys() {
-  const requiredKeys = ['ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'PERPLEXITY_API_KEY'];
-  const availableKeys = requiredKeys.filter(key => process.env[key] && !process.env[key].includes('your_') && process.env[key] !== '');
+  // Replay never calls a provider, so it needs no keys at all
+  if (CONFIG.aiMode === 'replay') {
+    logger.info(`AI_MODE=replay: serving recorded fixtures from ${CONFIG.fixturesDir}`);
+    return [];
+  }
+
+  const configured = getConfiguredProviders();
   
-  if (availableKeys.length === 0) {
+  if (configured.length === 0) {
     console.error('❌ No valid API keys found!');
     console.error('');
     console.error('📝 To use sds-generator, you need at least one API key:');
@@ -145,15 +324,22 @@ export function validateAPIKeys() {
     console.error('   ANTHROPIC_API_KEY=sk-ant-api03-your-key-here');
     console.error('   OPENAI_API_KEY=sk-proj-your-key-here');
     console.error('   PERPLEXITY_API_KEY=pplx-your-key-here');
+    getProviders().filter(provider => !provider.builtin).forEach(provider => {
+      console.error(`   ${provider.keyless ? provider.enableEnv[0] : provider.keyEnv}=...  (${provider.display})`);
+    });
     console.error('');
     console.error('3️⃣ Get API keys from:');
     console.error('   • Anthropic: https://console.anthropic.com/');
     console.error('   • OpenAI: https://platform.openai.com/api-keys');
     console.error('   • Perplexity: https://www.perplexity.ai/settings/api');
     console.error('');
+    console.error('   Or use a local model without a key:');
+    console.error('   OLLAMA_MODEL=llama3.1');
+    console.error('   OPENAI_COMPATIBLE_BASE_URL=http://localhost:8000/v1');
+    console.error('');
     throw new ConfigurationError('Please configure at least one API key in .env file');
   }
   
-  logger.info(`Available APIs: ${availableKeys.map(key => key.replace('_API_KEY', '')).join(', ')}`);
-  return availableKeys;
+  logger.info(`Available APIs: ${configured.map(provider => provider.display).join(', ')}`);
+  return configured.map(provider => provider.name);
 }
\ No newline at end of file
@@ -50,16 +50,51 @@ export class NetworkError extends Error {
   }
 }
 
-// Centralized error handling
-export function handleError(error, isMCP = false, requestId = null) {
+export class BudgetExceededError extends Error {
+  constructor(message, spent, budget) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.spent = spent;
+    this.budget = budget;
+  }
+}
+
+// JSON-RPC 2.0 error codes
+export const JSONRPC_ERRORS = {
+  parseError: -32700,
+  invalidRequest: -32600,
+  methodNotFound: -32601,
+  invalidParams: -32602,
+  internalError: -32603,
+  // Implementation-defined: transport-level rejections (HTTP 4xx), and
+  // MCP's code for an unknown resource
+  serverError: -32000,
+  resourceNotFound: -32002
+};
+
+// A malformed or unanswerable JSON-RPC message (see JSONRPC_ERRORS); its
+// message is sent to the client as-is.
+export class ProtocolError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+  }
+}
+
+// User-facing message and JSON-RPC error code for an error
+function describeError(error) {
   let userMessage = 'An unexpected error occurred.';
   let code = -32603; // Internal error
   
-  if (error instanceof APIError) {
+  if (error instanceof ProtocolError) {
+    userMessage = error.message;
+    code = error.code;
+  } else if (error instanceof APIError) {
     userMessage = `Failed to connect to ${error.apiName} API. Please check your API keys in the .env file.`;
     code = -32602; // Invalid params
   } else if (error instanceof ParsingError) {
-    userMessage = `The AI response could not be parsed. This may be a temporary issue - please try again.`;
+    userMessage = `The AI response could not be parsed (${error.message}). Please try again, or set PREFERRED_API to use a different provider.`;
     code = -32603; // Internal error
   } else if (error instanceof ConfigurationError) {
     userMessage = `Configuration error: ${error.message}`;
@@ -73,23 +108,37 @@ export function handleError(error, isMCP = false, requestId = null) {
   } else if (error instanceof NetworkError) {
     userMessage = `Network error accessing ${error.endpoint}: ${error.message}`;
     code = -32603; // Internal error
+  } else if (error instanceof BudgetExceededError) {
+    userMessage = `${error.message}. Raise AI_BUDGET_USD (or --budget) to continue.`;
+    code = -32603; // Internal error
   }
-  
+  return { userMessage, code };
+}
+
+// The `error` member of a JSON-RPC response for `error`
+export function toJSONRPCError(error) {
+  const { userMessage, code } = describeError(error);
+  return {
+    code: code,
+    message: userMessage,
+    data: process.env.NODE_ENV === 'development' ? {
+      stack: error.stack,
+      originalError: error.originalError?.message
+    } : undefined
+  };
+}
+
+// Centralized error handling
+export function handleError(error, isMCP = false, requestId = null) {
   if (isMCP) {
     // Return structured error for MCP clients
     process.stdout.write(JSON.stringify({
       jsonrpc: "2.0",
       id: requestId,
-      error: { 
-        code: code, 
-        message: userMessage,
-        data: process.env.NODE_ENV === 'development' ? { 
-          stack: error.stack,
-          originalError: error.originalError?.message 
-        } : undefined
-      }
+      error: toJSONRPCError(error)
     }) + '\n');
   } else {
+    const { userMessage } = describeError(error);
     // Display user-friendly message for CLI
     console.error(`❌ Operation failed: ${userMessage}`);
     if (process.env.NODE_ENV === 'development') {
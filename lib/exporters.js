@@ -0,0 +1,107 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { CONFIG } from './config.js';
+import { FileIOError } from './errors.js';
+import { createWorkbook } from './xlsx.js';
+
+// Tabular exports (CSV / XLSX) of a specification for spreadsheet users.
+
+export const FUNCTION_COLUMNS = [
+  'Module', 'Function', 'Purpose', 'Parameters', 'Return Value',
+  'Design Spec', 'Function Definition', 'Remarks', 'Test Cases'
+];
+
+const listCell = (value) => Array.isArray(value) ? value.join('\n') : (value ?? '');
+
+// One row per function. Modules without functions still get a row so they
+// don't silently disappear from the sheet.
+export function getFunctionRows(specification) {
+  const rows = [];
+  for (const module of specification.modules || []) {
+    const functions = Array.isArray(module.functions) ? module.functions : [];
+    if (functions.length === 0) {
+      rows.push([module.name ?? '', '', '', '', '', '', '', '', '']);
+      continue;
+    }
+    for (const func of functions) {
+      rows.push([
+        module.name ?? '',
+        func.name ?? '',
+        func.purpose ?? '',
+        listCell(func.parameters),
+        func.returnValue ?? '',
+        func.designSpec ?? '',
+        func.functionDefinition ?? '',
+        func.remarks ?? '',
+        listCell(func.testCases)
+      ]);
+    }
+  }
+  return rows;
+}
+
+// Spreadsheet apps execute CSV cells starting with these characters as
+// formulas. AI-generated text is untrusted, so such cells are prefixed with a
+// quote. (XLSX cells are written as inline strings, which are never evaluated,
+// so they are left as they are.)
+function neutralizeFormula(value) {
+  return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function csvCell(value) {
+  const text = neutralizeFormula(String(value ?? ''));
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV export: a header row plus one row per function. Starts with a UTF-8
+ * BOM so Excel detects the encoding (Korean text is garbled without it).
+ */
+export function specificationToCSV(specification) {
+  const lines = [FUNCTION_COLUMNS, ...getFunctionRows(specification)]
+    .map(row => row.map(csvCell).join(','));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * XLSX export with three sheets: Requirements, Modules and Functions.
+ * Returns the workbook as a Buffer.
+ */
+export function specificationToXLSX(specification) {
+  const requirements = specification.requirements || {};
+  const requirementRows = [
+    ...(Array.isArray(requirements.functional) ? requirements.functional : []).map(req => ['Functional', req]),
+    ...(Array.isArray(requirements.nonFunctional) ? requirements.nonFunctional : []).map(req => ['Non-Functional', req]),
+    ...(requirements.system ? [['System', listCell(requirements.system)]] : [])
+  ].map(row => row.map(cell => String(cell)));
+
+  const moduleRows = (specification.modules || []).map((module, index) => [
+    index + 1,
+    String(module.name ?? ''),
+    String(module.description ?? ''),
+    Array.isArray(module.functions) ? module.functions.length : 0
+  ]);
+
+  const functionRows = getFunctionRows(specification)
+    .map(row => row.map(cell => String(cell)));
+
+  return createWorkbook([
+    { name: 'Requirements', rows: [['Type', 'Requirement'], ...requirementRows], widths: [16, 100] },
+    { name: 'Modules', rows: [['#', 'Module', 'Description', 'Functions'], ...moduleRows], widths: [5, 30, 80, 10] },
+    { name: 'Functions', rows: [FUNCTION_COLUMNS, ...functionRows], widths: [20, 24, 40, 30, 24, 50, 50, 30, 50] }
+  ]);
+}
+
+// Writes an export into CONFIG.exportDir and returns its absolute path.
+// `baseName` must already be a safe file name (session IDs are).
+export async function writeExportFile(baseName, extension, content) {
+  const dir = path.resolve(CONFIG.exportDir);
+  const filePath = path.join(dir, `${baseName}.${extension}`);
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(filePath, content);
+  } catch (error) {
+    throw new FileIOError(`Failed to write export: ${error.message}`, filePath, 'write');
+  }
+  return filePath;
+}
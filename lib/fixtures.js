@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { ConfigurationError, FileIOError } from './errors.js';
+
+// Offline AI responses for tests and demos.
+//
+// Both the `mock` provider and record/replay mode key responses by a hash of
+// the prompt. The prompts built by the pipeline depend only on their inputs
+// (description, tech stack, modules), so the same run produces the same hashes.
+//
+// Fixture files (AI_MODE=record writes them, AI_MODE=replay reads them) are
+// one JSON file per prompt in AI_FIXTURES_DIR:
+//
+//   <hash>.json  { hash, task_type, provider, model, recorded_at, prompt, response }
+//
+// Mock response files (MOCK_RESPONSES) are a single JSON object whose keys are
+// prompt hashes, "task:<taskType>" (e.g. "task:specification") or "*", tried
+// in that order. Values are response text, or JSON that is serialized for you.
+
+export const AI_MODES = ['live', 'record', 'replay'];
+
+export function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(String(prompt)).digest('hex').slice(0, 16);
+}
+
+function fixturePath(dir, hash) {
+  return path.join(path.resolve(dir), `${hash}.json`);
+}
+
+// Recorded response for a prompt, or null if there is none.
+export async function readFixture(dir, prompt) {
+  const filePath = fixturePath(dir, hashPrompt(prompt));
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new FileIOError(`Failed to read fixture: ${error.message}`, filePath, 'read');
+  }
+  try {
+    const fixture = JSON.parse(text);
+    if (typeof fixture.response !== 'string') throw new Error('"response" must be a string');
+    return fixture;
+  } catch (error) {
+    throw new ConfigurationError(`Invalid fixture ${filePath}: ${error.message}`);
+  }
+}
+
+export async function writeFixture(dir, { prompt, response, taskType, provider, model }) {
+  const hash = hashPrompt(prompt);
+  const filePath = fixturePath(dir, hash);
+  const fixture = {
+    hash,
+    task_type: taskType,
+    provider,
+    model,
+    recorded_at: new Date().toISOString(),
+    prompt,
+    response
+  };
+  try {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(fixture, null, 2) + '\n');
+  } catch (error) {
+    throw new FileIOError(`Failed to write fixture: ${error.message}`, filePath, 'write');
+  }
+  return filePath;
+}
+
+// Canned response from a MOCK_RESPONSES file. Read on every call so a test
+// can rewrite the file between runs.
+export async function readMockResponse(filePath, prompt, taskType) {
+  let responses;
+  try {
+    responses = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigurationError(`Cannot load mock responses ${filePath}: ${error.message}`);
+  }
+  if (!responses || typeof responses !== 'object' || Array.isArray(responses)) {
+    throw new ConfigurationError(`Mock responses ${filePath} must be a JSON object`);
+  }
+
+  const hash = hashPrompt(prompt);
+  const key = [hash, `task:${taskType}`, '*'].find(candidate => Object.prototype.hasOwnProperty.call(responses, candidate));
+  if (!key) {
+    throw new ConfigurationError(
+      `No mock response for prompt hash ${hash} (task ${taskType}) in ${filePath}. ` +
+      `Add "${hash}", "task:${taskType}" or "*". Prompt starts: ${String(prompt).replace(/\s+/g, ' ').slice(0, 120)}`
+    );
+  }
+  const value = responses[key];
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
@@ -0,0 +1,325 @@
+import crypto from 'crypto';
+import http from 'http';
+import { CONFIG, logger } from './config.js';
+import { JSONRPC_ERRORS } from './errors.js';
+import { JSONRPC_VERSION, parseErrorResponse } from './jsonrpc.js';
+
+// MCP "Streamable HTTP" transport: the same dispatcher as stdio, served on a
+// single endpoint (/mcp by default).
+//
+//   POST   one JSON-RPC message or batch. Requests are answered as an SSE
+//          stream (progress notifications, then the response) when the
+//          client accepts text/event-stream, else as one JSON body.
+//          Notifications and responses alone get 202 Accepted.
+//   GET    an SSE stream for messages the server sends on its own
+//          (connection.notify), e.g. resource update notifications.
+//   DELETE ends the session.
+//
+// The response to initialize carries an Mcp-Session-Id header; every later
+// request must send it back. Each session is one `connection` for the
+// dispatcher, so per-client state (subscriptions) follows the session rather
+// than the TCP socket.
+//
+// With MCP_AUTH_TOKEN set, requests need "Authorization: Bearer <token>".
+// Browser requests are refused unless their Origin is local or listed in
+// MCP_ALLOWED_ORIGINS, against DNS rebinding.
+
+const SESSION_HEADER = 'mcp-session-id';
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Comment lines sent on idle SSE streams so proxies don't close them
+const KEEPALIVE_INTERVAL = 15 * 1000;
+
+// Sessions unused for this long, with no open stream, are forgotten. A
+// client that comes back later gets 404 and initializes again.
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+
+// Most sessions kept at once; a new one evicts the longest-idle session
+// without an open stream, so reconnecting clients can't fill memory
+const MAX_SESSIONS = 1000;
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const isLoopback = (host) => LOOPBACK_HOSTS.includes(host) || host === '::1';
+
+const isRequest = (message) => message && typeof message === 'object' && typeof message.method === 'string' && 'id' in message;
+
+// A JSON-RPC error body for requests refused before reaching the dispatcher
+function sendError(res, status, message, { code = JSONRPC_ERRORS.serverError, headers = {} } = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ jsonrpc: JSONRPC_VERSION, id: null, error: { code, message } }));
+}
+
+function isAuthorized(req, token) {
+  if (!token) return true;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function isAllowedOrigin(origin, allowedOrigins) {
+  if (!origin) return true;
+  if (allowedOrigins.includes('*') || allowedOrigins.includes(origin)) return true;
+  try {
+    return isLoopback(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function openEventStream(res, headers = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    ...headers
+  });
+  // Written only while the client is still listening
+  return (message) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+  };
+}
+
+/**
+ * Serves `dispatcher` (see jsonrpc.js) over HTTP until the returned server is
+ * closed. Resolves once it is listening.
+ *
+ * @param {object} [options]
+ * @param {number} [options.port=CONFIG.httpPort]  0 picks a free port
+ * @param {string} [options.host=CONFIG.httpHost]
+ * @param {string} [options.path='/mcp']
+ * @param {string} [options.token=CONFIG.authToken]  Bearer token; empty for none
+ * @param {string[]} [options.allowedOrigins=CONFIG.allowedOrigins]
+ * @param {number} [options.maxSessions=1000]  Most sessions kept at once
+ * @returns {Promise<{server: http.Server, url: string, sessions: Map, close: () => Promise<void>}>}
+ */
+export async function serveHTTP(dispatcher, {
+  port = CONFIG.httpPort,
+  host = CONFIG.httpHost,
+  path = '/mcp',
+  token = CONFIG.authToken,
+  allowedOrigins = CONFIG.allowedOrigins,
+  maxSessions = MAX_SESSIONS
+} = {}) {
+  // Session id → { connection, streams: Set<ServerResponse>, lastSeen }
+  const sessions = new Map();
+
+  function createSession() {
+    const id = crypto.randomUUID();
+    const session = { streams: new Set(), lastSeen: Date.now() };
+    session.connection = {
+      id,
+      notify: (method, params) => {
+        const message = { jsonrpc: JSONRPC_VERSION, method, params };
+        if (session.streams.size === 0) {
+          logger.debug(`Session ${id} has no open stream; dropped ${method}`);
+        }
+        for (const stream of session.streams) {
+          stream.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+        }
+      }
+    };
+    return session;
+  }
+
+  function endSession(id, session) {
+    sessions.delete(id);
+    session.connection.closed = true;
+  }
+
+  function pruneSessions(now = Date.now()) {
+    for (const [id, session] of sessions) {
+      if (session.streams.size === 0 && now - session.lastSeen > SESSION_IDLE_TIMEOUT) {
+        endSession(id, session);
+      }
+    }
+  }
+
+  // Frees a slot for a new session; false if every session has an open stream
+  function makeRoom() {
+    if (sessions.size < maxSessions) return true;
+    let oldest = null;
+    for (const [id, session] of sessions) {
+      if (session.streams.size === 0 && (!oldest || session.lastSeen < oldest[1].lastSeen)) {
+        oldest = [id, session];
+      }
+    }
+    if (!oldest) return false;
+    endSession(...oldest);
+    logger.debug(`MCP session ${oldest[0]} evicted to make room for a new session`);
+    return true;
+  }
+
+  async function handlePost(req, res, session) {
+    const accept = req.headers.accept || '';
+    let message;
+    try {
+      message = JSON.parse(await readBody(req));
+    } catch (error) {
+      if (error.status) return sendError(res, error.status, error.message);
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(parseErrorResponse(error)));
+      return;
+    }
+
+    const messages = Array.isArray(message) ? message : [message];
+    const initializing = messages.some(member => member?.method === 'initialize');
+    if (initializing) {
+      if (Array.isArray(message)) {
+        return sendError(res, 400, 'Bad Request: initialize must not be part of a batch', { code: JSONRPC_ERRORS.invalidRequest });
+      }
+      if (!makeRoom()) {
+        return sendError(res, 503, 'Service Unavailable: too many open MCP sessions', { headers: { 'Retry-After': '60' } });
+      }
+      session = createSession();
+    } else if (!session) {
+      return sendError(res, 400, `Bad Request: missing ${SESSION_HEADER} header; call initialize first`);
+    }
+    session.lastSeen = Date.now();
+    const { connection } = session;
+    // Notifications raised outside an SSE response go to the session's GET streams
+    const toStreams = (notification) => connection.notify(notification.method, notification.params);
+
+    if (!messages.some(isRequest)) {
+      await dispatcher.handle(message, { send: toStreams, connection });
+      res.writeHead(202).end();
+      return;
+    }
+
+    // initialize is answered as plain JSON: the session id has to be in the
+    // headers, and there is nothing to stream before it
+    if (accept.includes('text/event-stream') && !initializing) {
+      const send = openEventStream(res);
+      const response = await dispatcher.handle(message, { send, connection });
+      if (response) send(response);
+      res.end();
+      return;
+    }
+
+    const response = await dispatcher.handle(message, { send: toStreams, connection });
+    const headers = { 'Content-Type': 'application/json' };
+    if (initializing) {
+      if (response?.error) {
+        res.writeHead(200, headers).end(JSON.stringify(response));
+        return;
+      }
+      sessions.set(connection.id, session);
+      headers['Mcp-Session-Id'] = connection.id;
+      logger.info(`MCP session ${connection.id} started`);
+    }
+    res.writeHead(200, headers).end(JSON.stringify(response));
+  }
+
+  function handleGet(req, res, session) {
+    if (!(req.headers.accept || '').includes('text/event-stream')) {
+      return sendError(res, 406, 'Not Acceptable: GET opens a text/event-stream');
+    }
+    openEventStream(res);
+    // Flush the headers so the client sees the stream open
+    res.write(': connected\n\n');
+    session.streams.add(res);
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+    res.on('close', () => {
+      clearInterval(keepalive);
+      session.streams.delete(res);
+      session.lastSeen = Date.now();
+    });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== path) {
+        return sendError(res, 404, `Not Found: the MCP endpoint is ${path}`);
+      }
+      if (!isAllowedOrigin(req.headers.origin, allowedOrigins)) {
+        return sendError(res, 403, `Forbidden: origin ${req.headers.origin} is not allowed`);
+      }
+      if (!isAuthorized(req, token)) {
+        return sendError(res, 401, 'Unauthorized', { headers: { 'WWW-Authenticate': 'Bearer' } });
+      }
+
+      pruneSessions();
+      const sessionId = req.headers[SESSION_HEADER];
+      const session = sessionId ? sessions.get(sessionId) : null;
+      // An unknown id tells the client to start over with initialize
+      if (sessionId && !session) {
+        return sendError(res, 404, `Session not found: ${sessionId}`);
+      }
+
+      switch (req.method) {
+        case 'POST':
+          return await handlePost(req, res, session);
+        case 'GET':
+          if (!session) return sendError(res, 400, `Bad Request: missing ${SESSION_HEADER} header`);
+          return handleGet(req, res, session);
+        case 'DELETE':
+          if (!session) return sendError(res, 400, `Bad Request: missing ${SESSION_HEADER} header`);
+          endSession(sessionId, session);
+          for (const stream of session.streams) stream.end();
+          logger.info(`MCP session ${sessionId} ended`);
+          res.writeHead(204).end();
+          return;
+        default:
+          return sendError(res, 405, `Method Not Allowed: ${req.method}`, { headers: { Allow: 'GET, POST, DELETE' } });
+      }
+    } catch (error) {
+      logger.error(`HTTP ${req.method} ${req.url} failed: ${error.message}`);
+      if (!res.headersSent) {
+        sendError(res, 500, 'Internal Server Error', { code: JSONRPC_ERRORS.internalError });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = server.address();
+  const url = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}${path}`;
+  if (!token && !isLoopback(host)) {
+    logger.warn(`MCP server listens on ${host} without MCP_AUTH_TOKEN; anyone who can reach it can use your API keys`);
+  }
+  logger.info(`MCP server listening on ${url}`);
+
+  return {
+    server,
+    url,
+    sessions,
+    close: () => new Promise(resolve => {
+      for (const session of sessions.values()) {
+        for (const stream of session.streams) stream.end();
+      }
+      server.close(() => resolve());
+    })
+  };
+}
@@ -0,0 +1,140 @@
+import { ParsingError } from './errors.js';
+
+// Typographic quotes some models (and copy-pasted examples) use as JSON
+// string delimiters.
+const SMART_OPEN_QUOTES = '“„‟';
+const SMART_CLOSE_QUOTES = '”';
+
+// How many partial trailing elements a truncated response may lose before
+// the repair gives up.
+const MAX_TRUNCATION_CUTS = 3;
+
+/**
+ * Repairs the defects LLM output commonly has, without guessing at content:
+ *   - typographic double quotes used as string delimiters
+ *   - trailing commas before `]` or `}`
+ *   - truncation (the response stopped mid-way): the unfinished trailing
+ *     element is dropped and the open arrays/objects are closed
+ *
+ * Quotes inside strings are left alone. Returns the parsed value, or throws
+ * the JSON.parse error of the last candidate.
+ */
+export function repairJSON(text) {
+  let out = '';
+  let inString = false;
+  let closeQuotes = '';
+  const stack = [];
+  // Places where the text can be cut to drop an unfinished element: before
+  // an opening bracket or a comma, or after a closing bracket, with the
+  // brackets open there.
+  const cutPoints = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        out += char + (text[i + 1] ?? '');
+        i++;
+      } else if (closeQuotes.includes(char)) {
+        out += '"';
+        inString = false;
+      } else if (char === '\n') {
+        out += '\\n';
+      } else {
+        out += char;
+      }
+      continue;
+    }
+
+    if (char === '"' || SMART_OPEN_QUOTES.includes(char) || SMART_CLOSE_QUOTES.includes(char)) {
+      inString = true;
+      closeQuotes = char === '"' ? '"' : `"${SMART_OPEN_QUOTES}${SMART_CLOSE_QUOTES}`;
+      out += '"';
+    } else if (char === '{' || char === '[') {
+      cutPoints.push({ length: out.length, closers: stack.slice() });
+      stack.push(char === '{' ? '}' : ']');
+      out += char;
+    } else if (char === '}' || char === ']') {
+      // Drop a trailing comma before the closing bracket
+      out = out.replace(/,\s*$/, '');
+      stack.pop();
+      out += char;
+      cutPoints.push({ length: out.length, closers: stack.slice() });
+    } else if (char === ',') {
+      cutPoints.push({ length: out.length, closers: stack.slice() });
+      out += char;
+    } else {
+      out += char;
+    }
+  }
+
+  const close = (body, closers) => body.replace(/[\s,:]*$/, '') + closers.slice().reverse().join('');
+
+  // Not truncated: only the quote and comma fixes apply
+  if (!inString && stack.length === 0) {
+    return JSON.parse(out);
+  }
+
+  // Only cut points are tried: closing the text where it stopped would keep
+  // a cut-off string or number ("pass" for "password", 12 for 120) as if it
+  // were complete.
+  let lastError = new SyntaxError('Unexpected end of JSON input');
+  for (const point of cutPoints.slice(-MAX_TRUNCATION_CUTS).reverse()) {
+    try {
+      return JSON.parse(close(out.slice(0, point.length), point.closers));
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+// JSON parsing with multiple fallback strategies
+export function parseJSONFromResponse(response) {
+  if (typeof response !== 'string') {
+    throw new ParsingError('Response is not a string', response);
+  }
+
+  // Strategy 1: Direct parsing — works when the AI complied with "respond
+  // with JSON only".
+  try {
+    return JSON.parse(response);
+  } catch (_) { /* fall through */ }
+
+  // Strategy 2: Extract JSON from markdown code blocks. Most LLMs default
+  // to ```json fences when asked for structured output.
+  const codeBlockMatch = response.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (codeBlockMatch) {
+    try {
+      return JSON.parse(codeBlockMatch[1].trim());
+    } catch (_) { /* fall through */ }
+  }
+
+  // Strategy 3: Repair the raw response or the fenced block (which may have
+  // lost its closing fence to truncation). Only text that starts as JSON is
+  // considered, so prose with stray braces is never mined for a value.
+  const fenced = response.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/);
+  const candidates = [response.trim(), fenced?.[1].trim()]
+    .filter(candidate => candidate && /^[[{]/.test(candidate));
+  let repairError;
+  for (const candidate of candidates) {
+    try {
+      return repairJSON(candidate);
+    } catch (error) {
+      repairError = error;
+    }
+  }
+
+  // No more strategies. Earlier versions of this code attempted naive
+  // substring extraction (first `{` to last `}`) and brace counting, but
+  // both can silently corrupt JSON when the AI response contains prose
+  // with stray braces or nested-quoted braces. Failing loudly is safer
+  // for downstream specification generation — better to ask the model to
+  // correct it (see callAI's `parse` option) than to write malformed
+  // `.sds/` files.
+  throw new ParsingError(
+    'Failed to parse JSON from response. Expected raw JSON or a ```json fenced block.' +
+      (repairError ? ` (${repairError.message})` : ''),
+    response
+  );
+}
@@ -0,0 +1,161 @@
+import { logger } from './config.js';
+import { JSONRPC_ERRORS, ProtocolError, toJSONRPCError } from './errors.js';
+
+// JSON-RPC 2.0 for the MCP server.
+//
+// The dispatcher knows nothing about the transport: it takes one parsed
+// message (or a batch) and resolves to the response to send, or null when
+// none is due. Methods are plain async functions:
+//
+//   methods['tools/list'] = async (params, context) => result
+//
+// `context` is { id, notify(method, params), connection }: notify sends a
+// notification to the client along with the response (e.g. progress), and
+// `connection` is the client's connection, { id, notify, closed }, whose
+// notify reaches the client at any time; transports set `closed` once the
+// client is gone. A method throws to answer with an error
+// (see toJSONRPCError; ProtocolError for a specific JSON-RPC code).
+//
+// serveStdio() is the stdio transport: one JSON message per line. The HTTP
+// transport is in http-transport.js.
+
+export const JSONRPC_VERSION = '2.0';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isValidId = (id) => typeof id === 'string' || typeof id === 'number' || id === null;
+
+function errorResponse(id, error) {
+  const response = { jsonrpc: JSONRPC_VERSION, id, error: toJSONRPCError(error) };
+  if (response.error.code === JSONRPC_ERRORS.internalError) {
+    logger.error(`Request ${id ?? ''} failed: ${error.message}`);
+  }
+  return response;
+}
+
+export function parseErrorResponse(error) {
+  return errorResponse(null, new ProtocolError(`Parse error: ${error.message}`, JSONRPC_ERRORS.parseError));
+}
+
+/**
+ * Creates a dispatcher for `methods` (see the top of this file).
+ *
+ * handle(message, { send, connection }) resolves to a response object, an
+ * array of them for a batch, or null: notifications (messages without an id)
+ * and responses from the client get no answer. `send(message)` writes a
+ * message to the client; it backs `context.notify`. handle() never rejects.
+ */
+export function createDispatcher(methods) {
+  async function handleOne(message, send, connection) {
+    if (!isPlainObject(message)) {
+      return errorResponse(null, new ProtocolError('Invalid Request: expected an object', JSONRPC_ERRORS.invalidRequest));
+    }
+    // A response to a request of ours; this server sends none, so there is
+    // nothing to match it with
+    if (message.method === undefined && ('result' in message || 'error' in message)) {
+      return null;
+    }
+
+    const isNotification = !('id' in message);
+    const id = isValidId(message.id) ? message.id ?? null : null;
+    let problem = null;
+    if (message.jsonrpc !== JSONRPC_VERSION) {
+      problem = `"jsonrpc" must be "${JSONRPC_VERSION}"`;
+    } else if (typeof message.method !== 'string') {
+      problem = '"method" must be a string';
+    } else if (!isValidId(message.id ?? null)) {
+      problem = '"id" must be a string, number or null';
+    } else if (message.params !== undefined && typeof message.params !== 'object') {
+      problem = '"params" must be an object or array';
+    }
+    if (problem) {
+      return isNotification ? null : errorResponse(id, new ProtocolError(`Invalid Request: ${problem}`, JSONRPC_ERRORS.invalidRequest));
+    }
+
+    const method = Object.hasOwn(methods, message.method) ? methods[message.method] : null;
+    const context = {
+      id,
+      notify: (notification, params) => send({ jsonrpc: JSONRPC_VERSION, method: notification, params }),
+      connection
+    };
+
+    if (isNotification) {
+      if (!method) {
+        logger.debug(`Ignoring notification ${message.method}`);
+        return null;
+      }
+      try {
+        await method(message.params ?? {}, context);
+      } catch (error) {
+        logger.warn(`Notification ${message.method} failed: ${error.message}`);
+      }
+      return null;
+    }
+
+    if (!method) {
+      return errorResponse(id, new ProtocolError(`Method not found: ${message.method}`, JSONRPC_ERRORS.methodNotFound));
+    }
+    try {
+      return { jsonrpc: JSONRPC_VERSION, id, result: await method(message.params ?? {}, context) };
+    } catch (error) {
+      return errorResponse(id, error);
+    }
+  }
+
+  return {
+    async handle(message, { send, connection }) {
+      if (!Array.isArray(message)) {
+        return handleOne(message, send, connection);
+      }
+      if (message.length === 0) {
+        return errorResponse(null, new ProtocolError('Invalid Request: empty batch', JSONRPC_ERRORS.invalidRequest));
+      }
+      // Batch members run concurrently; the answers go back together
+      const responses = (await Promise.all(message.map(member => handleOne(member, send, connection)))).filter(Boolean);
+      return responses.length > 0 ? responses : null;
+    }
+  };
+}
+
+/**
+ * Serves `dispatcher` over stdio: newline-delimited JSON messages in, one
+ * message per line out. Input is buffered until a full line has arrived, so
+ * messages may be split across chunks or share one. Requests are handled
+ * concurrently; each response is written when it is ready.
+ */
+export function serveStdio(dispatcher, { input = process.stdin, output = process.stdout } = {}) {
+  const send = (message) => output.write(JSON.stringify(message) + '\n');
+  // stdio has a single client for the life of the process
+  const connection = {
+    id: 'stdio',
+    notify: (method, params) => send({ jsonrpc: JSONRPC_VERSION, method, params })
+  };
+
+  const handleLine = (line) => {
+    if (line.trim() === '') return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      send(parseErrorResponse(error));
+      return;
+    }
+    dispatcher.handle(message, { send, connection }).then(response => {
+      if (response) send(response);
+    });
+  };
+
+  let buffer = '';
+  input.setEncoding('utf8');
+  input.on('data', (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  });
+  input.on('end', () => {
+    handleLine(buffer);
+    buffer = '';
+  });
+  return { send, connection };
+}
@@ -0,0 +1,8 @@
+// Language detection helper.
+//
+// Prompts, rendered documents and MCP responses are produced in Korean when
+// the user writes Korean, English otherwise.
+export function detectLanguage(text) {
+  const koreanRegex = /[가-힣]/;
+  return koreanRegex.test(text || '') ? 'ko' : 'en';
+}
@@ -0,0 +1,205 @@
+import { detectLanguage } from './language.js';
+import { generateModuleTemplates } from './templates.js';
+
+// Markdown rendering of a specification, shared by the CLI (specification.md)
+// and the MCP tools.
+
+const templates = {
+  ko: {
+    title: '설계 명세서',
+    projectType: '프로젝트 타입',
+    language: '프로그래밍 언어',
+    complexity: '복잡도',
+    generated: '생성일',
+    description: '프로젝트 설명',
+    requirements: '시스템 요구사항',
+    compatibility: '시스템 호환성',
+    softwareDesign: '소프트웨어 설계 명세서',
+    module: '모듈',
+    moduleDetails: '모듈 상세 함수 명세',
+    returnValue: '반환값',
+    testCases: '테스트 케이스',
+    specInfo: '명세서 정보',
+    totalModules: '총 모듈 수',
+    totalFunctions: '총 함수 수',
+    techStack: '기술 스택',
+    moduleStructure: '모듈 구조',
+    functionList: '함수 목록',
+    purpose: '목적',
+    parameters: '매개변수',
+    noFunctions: '함수가 정의되지 않았습니다.',
+    generationFailed: '⚠️ 이 모듈의 함수 명세를 생성하지 못했습니다',
+    codeTemplates: '코드 템플릿'
+  },
+  en: {
+    title: 'Design Specification',
+    projectType: 'Project Type',
+    language: 'Programming Language',
+    complexity: 'Complexity',
+    generated: 'Generated',
+    description: 'Project Description',
+    requirements: 'System Requirements',
+    compatibility: 'System Compatibility',
+    softwareDesign: 'Software Design Specification',
+    module: 'Module',
+    moduleDetails: 'Detailed Module Function Specification',
+    returnValue: 'Return Value',
+    testCases: 'Test Cases',
+    specInfo: 'Specification Information',
+    totalModules: 'Total Modules',
+    totalFunctions: 'Total Functions',
+    techStack: 'Technology Stack',
+    moduleStructure: 'Module Structure',
+    functionList: 'Function List',
+    purpose: 'Purpose',
+    parameters: 'Parameters',
+    noFunctions: 'No functions defined.',
+    generationFailed: '⚠️ The function specification for this module could not be generated',
+    codeTemplates: 'Code Templates'
+  }
+};
+
+// Labels for the `stack` fields of a tech stack entry, in display order.
+const stackLabels = {
+  ko: {
+    language: '언어',
+    framework: '프레임워크',
+    frontend: '프론트엔드',
+    backend: '백엔드',
+    stateManagement: '상태 관리',
+    database: '데이터베이스',
+    testing: '테스트',
+    deployment: '배포',
+    tools: '도구'
+  },
+  en: {
+    language: 'Language',
+    framework: 'Framework',
+    frontend: 'Frontend',
+    backend: 'Backend',
+    stateManagement: 'State Management',
+    database: 'Database',
+    testing: 'Testing',
+    deployment: 'Deployment',
+    tools: 'Tools'
+  }
+};
+
+// Get default language for platform
+export function getDefaultLanguage(platform) {
+  const defaults = {
+    mobile: 'React Native',
+    web: 'JavaScript/TypeScript',
+    desktop: 'JavaScript/TypeScript',
+    backend: 'JavaScript/Python',
+    api: 'JavaScript/Python',
+    embedded: 'C'
+  };
+  return defaults[platform] || 'JavaScript';
+}
+
+// Bullet list of a tech stack's fields. Fields the entry doesn't define are
+// skipped rather than printed as "undefined".
+export function formatTechStack(techStack, lang = 'en') {
+  const labels = stackLabels[lang] || stackLabels.en;
+  const stack = techStack?.stack || {};
+  return Object.keys(labels)
+    .filter(field => stack[field] !== undefined && stack[field] !== null && stack[field] !== '')
+    .map(field => `- **${labels[field]}**: ${Array.isArray(stack[field]) ? stack[field].join(', ') : stack[field]}`)
+    .join('\n');
+}
+
+/**
+ * Renders a specification as markdown.
+ *
+ * @param {object} specification
+ * @param {object} [options]
+ * @param {string} [options.platform]          Adds a project type line and picks
+ *                                             the fallback language when the
+ *                                             spec has no tech stack
+ * @param {boolean} [options.includeTemplates] Append per-module code stubs
+ */
+export function renderMarkdown(specification, { platform, includeTemplates = false } = {}) {
+  const selectedTechStack = specification.techStack;
+  const modules = Array.isArray(specification.modules) ? specification.modules : [];
+  const totalFunctions = modules.reduce((sum, module) => sum + (module.functions?.length || 0), 0);
+  const languageInfo = selectedTechStack?.stack?.language || getDefaultLanguage(platform);
+
+  // Detect language from specification content
+  const lang = detectLanguage(specification.description || specification.title || '');
+
+  const t = templates[lang];
+  const today = new Date().toLocaleDateString(lang === 'ko' ? 'ko-KR' : 'en-US');
+
+  let markdown = `# ${specification.title || t.title}
+
+## ${t.description}
+${specification.description || ''}
+
+## ${t.requirements}
+${specification.requirements ? `
+### Functional Requirements
+${Array.isArray(specification.requirements.functional) ? specification.requirements.functional.map(req => `- ${req}`).join('\n') : ''}
+
+### Non-Functional Requirements
+${Array.isArray(specification.requirements.nonFunctional) ? specification.requirements.nonFunctional.map(req => `- ${req}`).join('\n') : ''}
+
+### ${t.compatibility}
+${specification.requirements.system || ''}
+` : ''}
+
+## ${t.softwareDesign}
+
+### ${t.specInfo}
+${platform ? `- **${t.projectType}**: ${platform}\n` : ''}- **${t.language}**: ${languageInfo}
+- **${t.generated}**: ${today}
+- **${t.totalModules}**: ${modules.length}
+- **${t.totalFunctions}**: ${totalFunctions}
+
+### ${t.techStack}
+${selectedTechStack ? `
+${formatTechStack(selectedTechStack, lang)}
+` : ''}
+
+## ${t.moduleStructure}
+
+${modules.map((module, index) => `### ${index + 1}. ${module.name}
+${module.description || ''}
+${module.generationError ? `\n> ${t.generationFailed}: ${module.generationError}\n` : ''}
+#### ${t.functionList}
+
+| Function | Design Spec | Function Definition | Remarks |
+|----------|-------------|---------------------|---------|
+${module.functions && module.functions.length > 0 ?
+  module.functions.map(func => `| ${func.name}() | ${func.designSpec || '설계 명세'} | ${func.functionDefinition || '함수 정의'} | ${func.remarks || '비고'} |`).join('\n') :
+  t.noFunctions}
+
+${module.functions && module.functions.length > 0 ?
+  module.functions.map((func, funcIndex) => `##### ${funcIndex + 1}. ${func.name}()
+- **${t.purpose}**: ${func.purpose}
+- **${t.parameters}**: ${Array.isArray(func.parameters) ? func.parameters.join(', ') : func.parameters || 'None'}
+- **${t.returnValue}**: ${func.returnValue}
+- **${t.testCases}**: ${Array.isArray(func.testCases) ? func.testCases.map(test => `  - ${test}`).join('\n') : func.testCases || 'None'}
+`).join('\n') : ''}
+`).join('\n')}
+`;
+
+  if (includeTemplates) {
+    markdown += `\n${renderTemplatesMarkdown(specification)}\n`;
+  }
+
+  return markdown;
+}
+
+// "Code Templates" section: one fenced stub per module in the spec's
+// tech stack language.
+export function renderTemplatesMarkdown(specification) {
+  const t = templates[detectLanguage(specification.description || specification.title || '')];
+  return `## ${t.codeTemplates}
+
+${generateModuleTemplates(specification).map(template => `### ${template.fileName} (${template.module})
+
+\`\`\`${template.language}
+${template.code}
+\`\`\``).join('\n\n')}`;
+}
@@ -0,0 +1,569 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { callAI } from './api-client.js';
+import { CONFIG, logger } from './config.js';
+import { BudgetExceededError, FileIOError, ValidationError } from './errors.js';
+import { detectLanguage } from './language.js';
+import { parseJSONFromResponse } from './json-parser.js';
+import { SPECIFICATION_SCHEMA, SPECIFICATION_SCHEMA_PATH, validateSpecification, assertValidSpecification, responseSchema } from './spec-schema.js';
+import { techStackOptions, getTechStacks, resolvePlatform } from './tech-stacks.js';
+import { classifyProject, classifyProjectWithAI } from './project-classifier.js';
+import { loadStackCatalog } from './stack-catalog.js';
+import { registerProvider } from './providers.js';
+import { createUsageTracker, loadPriceTable, formatUsage, formatCost } from './usage.js';
+import { renderMarkdown } from './markdown.js';
+import { specificationToCSV, specificationToXLSX } from './exporters.js';
+import { getFileExtension, generateCodeTemplate, generateModuleTemplates, sanitizeFileName } from './templates.js';
+
+// Specification generation pipeline.
+//
+// The single implementation behind both the `sds` CLI and the MCP server, and
+// the package's programmatic API:
+//
+//   import { analyze, generateModules, generateSpec, render, writeArtifacts } from 'sds-generator';
+//
+//   const analysis = analyze(description);
+//   const modules = await generateModules(description, { maxModules: analysis.moduleCount });
+//   const spec = await generateSpec(description, analysis.techStack, modules);
+//   await writeArtifacts(spec, { dir: '.sds' });
+//
+// Callers are expected to have loaded configuration (loadEnv) first so the
+// API client can find its keys, and loadStackCatalog() if custom tech stacks
+// should be offered. To count tokens and cost, pass the same usage tracker
+// to every step:
+//
+//   const usage = createUsageTracker({ budget: 0.5 });
+//   const modules = await generateModules(description, { usage });
+//   const spec = await generateSpec(description, techStack, modules, { usage });
+//   console.log(formatUsage(usage.totals));
+
+export { registerProvider, techStackOptions, getTechStacks, resolvePlatform, loadStackCatalog, detectLanguage, parseJSONFromResponse, classifyProject, classifyProjectWithAI };
+export { SPECIFICATION_SCHEMA, SPECIFICATION_SCHEMA_PATH, validateSpecification, assertValidSpecification };
+export { createUsageTracker, loadPriceTable, formatUsage, formatCost };
+
+// --- Analysis -----------------------------------------------------------------
+
+// Dynamic module count based on complexity with description analysis
+export function getModuleCount(complexity_level, description = '') {
+  if (complexity_level === 'auto') {
+    return inferModuleCountFromDescription(description);
+  }
+
+  const moduleCounts = {
+    simple: 4,
+    medium: 8,
+    complex: 12
+  };
+  return moduleCounts[complexity_level] || 8;
+}
+
+// Intelligent module count inference from project description
+function inferModuleCountFromDescription(description) {
+  const text = description.toLowerCase();
+  let score = 5; // Base score
+
+  // Complexity indicators
+  const complexityKeywords = {
+    high: ['authentication', 'security', 'payment', 'analytics', 'real-time', 'notification', 'api integration', 'machine learning', 'ai', 'blockchain'],
+    medium: ['user management', 'database', 'search', 'admin panel', 'dashboard', 'reporting', 'file upload', 'email'],
+    low: ['crud', 'basic', 'simple', 'minimal']
+  };
+
+  // Count complexity indicators
+  complexityKeywords.high.forEach(keyword => {
+    if (text.includes(keyword)) score += 2;
+  });
+
+  complexityKeywords.medium.forEach(keyword => {
+    if (text.includes(keyword)) score += 1;
+  });
+
+  complexityKeywords.low.forEach(keyword => {
+    if (text.includes(keyword)) score -= 1;
+  });
+
+  // Description length factor
+  const wordCount = description.split(/\s+/).length;
+  if (wordCount > 100) score += 2;
+  else if (wordCount > 50) score += 1;
+  else if (wordCount < 20) score -= 1;
+
+  // Platform complexity
+  if (text.includes('mobile') || text.includes('ios') || text.includes('android')) score += 1;
+  if (text.includes('web') && text.includes('backend')) score += 2;
+  if (text.includes('microservices') || text.includes('distributed')) score += 3;
+
+  // Ensure reasonable bounds
+  return Math.max(4, Math.min(15, Math.round(score)));
+}
+
+/**
+ * Offline analysis of a project description: response language, target
+ * platform (aliases such as `api` resolve to their catalog name), module
+ * count and the default tech stack for that platform.
+ * With `platform: 'auto'` the keyword classifier picks the platform and its
+ * result is returned as `classification`; use classifyProjectWithAI first
+ * and pass its platform to get the AI-assisted fallback.
+ *
+ * @param {string} description
+ * @param {object} [options]
+ * @param {string} [options.platform='auto']   Platform, or 'auto' to detect
+ * @param {string} [options.complexity='auto'] simple | medium | complex | auto
+ */
+export function analyze(description, { platform = 'auto', complexity = 'auto' } = {}) {
+  if (typeof description !== 'string' || description.trim() === '') {
+    throw new ValidationError('Project description is required', 'description');
+  }
+
+  const classification = platform === 'auto' ? classifyProject(description) : null;
+  const detectedPlatform = resolvePlatform(classification ? classification.platform : platform);
+  const techStacks = getTechStacks(detectedPlatform);
+  if (!techStacks) {
+    throw new ValidationError(`Unsupported platform: ${platform}. Expected one of: ${Object.keys(techStackOptions).join(', ')}, api, auto`, 'platform');
+  }
+
+  return {
+    language: detectLanguage(description),
+    platform: detectedPlatform,
+    classification,
+    complexity,
+    moduleCount: getModuleCount(complexity, description),
+    techStacks,
+    techStack: techStacks[0]
+  };
+}
+
+// --- Generation ---------------------------------------------------------------
+
+// Response schemas for providers with native structured output
+const MODULE_LIST_SCHEMA = {
+  name: 'module_list',
+  schema: {
+    type: 'object',
+    required: ['modules'],
+    properties: {
+      modules: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'description'],
+          properties: { name: { type: 'string' }, description: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+const OUTLINE_FIELDS = ['title', 'description', 'requirements'];
+const OUTLINE_SCHEMA = responseSchema('specification_outline', { fields: OUTLINE_FIELDS });
+const MODULE_SPEC_SCHEMA = responseSchema('module_specification', { definition: 'module' });
+
+/**
+ * Asks the AI for the project's module list.
+ *
+ * @param {string} description
+ * @param {object} [options]
+ * @param {string} [options.complexity='auto']
+ * @param {number} [options.maxModules]  Keep at most this many modules
+ * @param {Function} [options.onProgress] Streaming progress callback (see callAI)
+ * @param {object} [options.usage]  Usage tracker (see createUsageTracker)
+ * @returns {Promise<Array<{name: string, description: string}>>}
+ */
+export async function generateModules(description, { complexity = 'auto', maxModules, onProgress, usage } = {}) {
+  const language = detectLanguage(description);
+
+  const prompts = {
+    ko: `다음 프로젝트 설명을 바탕으로 모듈 목록을 생성해주세요.
+
+프로젝트 설명: ${description}
+복잡도: ${complexity}
+
+다음 JSON 형식으로만 응답해주세요:
+{
+  "modules": [
+    {"name": "모듈명", "description": "모듈 설명"},
+    ...
+  ]
+}`,
+    en: `Generate a module list based on the following project description.
+
+Project Description: ${description}
+Complexity: ${complexity}
+
+Please respond only in the following JSON format:
+{
+  "modules": [
+    {"name": "module_name", "description": "module description"},
+    ...
+  ]
+}`
+  };
+
+  // Shape errors are thrown from `parse` so callAI asks the model to fix them
+  const moduleList = await callAI(prompts[language], 1, 'module-generation', {
+    onProgress,
+    usage,
+    schema: MODULE_LIST_SCHEMA,
+    parse: (text) => {
+      const parsed = parseJSONFromResponse(text);
+      if (!parsed || !Array.isArray(parsed.modules)) {
+        throw new ValidationError('Invalid module list format: expected {"modules": [...]}', 'modules');
+      }
+      return parsed;
+    }
+  });
+  return maxModules ? moduleList.modules.slice(0, maxModules) : moduleList.modules;
+}
+
+// Syntax examples appended to prompts that ask for function definitions
+const SYNTAX_EXAMPLES = `   - Swift: func functionName(parameter: Type) -> ReturnType
+   - JavaScript: function functionName(parameter) {}
+   - Java: public ReturnType functionName(Type parameter) {}
+   - Python: def function_name(parameter: type) -> return_type:`;
+
+// First pass: everything except the modules' functions.
+function buildSkeletonPrompt(language, description, techStack, modules) {
+  const prompts = {
+    ko: `다음 정보를 바탕으로 소프트웨어 설계 명세서의 개요를 JSON 형식으로 생성해주세요. 모듈별 함수는 따로 생성하므로 포함하지 마세요.
+
+프로젝트 설명: ${description}
+기술 스택: ${JSON.stringify(techStack, null, 2)}
+모듈 목록: ${JSON.stringify(modules, null, 2)}
+
+다음 JSON 구조로 응답해주세요:
+{
+  "title": "프로젝트 제목",
+  "description": "상세 설명",
+  "requirements": {
+    "functional": ["기능적 요구사항 목록"],
+    "nonFunctional": ["비기능적 요구사항 목록"],
+    "system": "시스템 요구사항"
+  }
+}
+
+IMPORTANT: 반드시 유효한 JSON 형식으로만 응답하세요. 설명이나 추가 텍스트는 포함하지 마세요.`,
+    en: `Generate the outline of a software design specification in JSON format based on the following information. Module functions are generated separately; do not include them.
+
+Project Description: ${description}
+Tech Stack: ${JSON.stringify(techStack, null, 2)}
+Module List: ${JSON.stringify(modules, null, 2)}
+
+Please respond in the following JSON structure:
+{
+  "title": "Project Title",
+  "description": "Detailed description",
+  "requirements": {
+    "functional": ["List of functional requirements"],
+    "nonFunctional": ["List of non-functional requirements"],
+    "system": "System requirements"
+  }
+}
+
+IMPORTANT: Respond only in valid JSON format. Do not include explanations or additional text.`
+  };
+  return prompts[language];
+}
+
+// Second pass: the functions of one module, with the other modules listed
+// so cross-module calls stay consistent.
+function buildModulePrompt(language, description, techStack, modules, module, skeleton) {
+  const otherModules = modules.filter(other => other !== module).map(other => `- ${other.name}: ${other.description || ''}`).join('\n');
+  const requirements = JSON.stringify(skeleton.requirements || {}, null, 2);
+  const prompts = {
+    ko: `다음 프로젝트의 "${module.name}" 모듈에 대한 상세 함수 명세를 JSON 형식으로 생성해주세요.
+
+프로젝트 설명: ${description}
+기술 스택: ${JSON.stringify(techStack, null, 2)}
+요구사항: ${requirements}
+모듈: ${module.name} - ${module.description || ''}
+다른 모듈:
+${otherModules || '- 없음'}
+
+다음 JSON 구조로 응답해주세요:
+{
+  "name": "${module.name}",
+  "description": "모듈 설명",
+  "functions": [
+    {
+      "name": "함수명",
+      "purpose": "함수 목적",
+      "parameters": ["매개변수 목록"],
+      "returnValue": "반환값 설명",
+      "designSpec": "설계 명세",
+      "functionDefinition": "함수 정의",
+      "remarks": "비고",
+      "testCases": ["테스트 케이스 목록"]
+    }
+  ]
+}
+
+IMPORTANT:
+1. 반드시 유효한 JSON 형식으로만 응답하세요. 설명이나 추가 텍스트는 포함하지 마세요.
+2. 모든 함수 정의와 매개변수는 반드시 ${techStack.stack.language} 문법을 사용하세요.
+${SYNTAX_EXAMPLES}`,
+    en: `Generate the detailed function specification of the "${module.name}" module of the following project in JSON format.
+
+Project Description: ${description}
+Tech Stack: ${JSON.stringify(techStack, null, 2)}
+Requirements: ${requirements}
+Module: ${module.name} - ${module.description || ''}
+Other Modules:
+${otherModules || '- none'}
+
+Please respond in the following JSON structure:
+{
+  "name": "${module.name}",
+  "description": "Module description",
+  "functions": [
+    {
+      "name": "Function Name",
+      "purpose": "Function purpose",
+      "parameters": ["Parameter list"],
+      "returnValue": "Return value description",
+      "designSpec": "Design specification",
+      "functionDefinition": "Function definition",
+      "remarks": "Remarks",
+      "testCases": ["Test case list"]
+    }
+  ]
+}
+
+IMPORTANT:
+1. Respond only in valid JSON format. Do not include explanations or additional text.
+2. All function definitions and parameters must use ${techStack.stack.language} syntax:
+${SYNTAX_EXAMPLES}`
+  };
+  return prompts[language];
+}
+
+// Module spec from a parsed response: the module object itself or one
+// wrapped as { module: {...} }.
+function toModuleSpec(parsed, module) {
+  const result = parsed?.module && !parsed.functions ? parsed.module : parsed;
+  if (!result || !Array.isArray(result.functions)) {
+    throw new ValidationError(`Invalid function list for module "${module.name}": expected {"functions": [...]}`, 'functions');
+  }
+  return assertValidSpecification({
+    name: module.name,
+    description: result.description || module.description || '',
+    functions: result.functions
+  }, { definition: 'module' });
+}
+
+function generateModuleSpec(language, description, techStack, modules, module, skeleton, { onProgress, usage }) {
+  return callAI(
+    buildModulePrompt(language, description, techStack, modules, module, skeleton),
+    1,
+    'module-specification',
+    { onProgress, usage, schema: MODULE_SPEC_SCHEMA, parse: (text) => toModuleSpec(parseJSONFromResponse(text), module) }
+  );
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Asks the AI for the full specification of the given modules.
+ *
+ * Generation is split so large projects aren't truncated by a single
+ * response's token limit: one skeleton call (title, description,
+ * requirements), then one call per module, CONFIG.batchSize at a time with
+ * CONFIG.batchDelay ms between batches. A module whose call fails is kept
+ * with no functions and a `generationError`; the call only fails outright if
+ * the skeleton or every module fails, or the usage tracker's budget runs
+ * out (no further batches are started then).
+ *
+ * Each part is checked against the specification JSON Schema as it arrives,
+ * and a part with invalid fields is sent back to the model with the field
+ * errors (see callAI's `parse` option), so only that part is regenerated.
+ *
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] Streaming progress callback (see callAI)
+ * @param {object} [options.usage] Usage tracker (see createUsageTracker)
+ * @returns {Promise<object>} The specification
+ */
+export async function generateSpec(description, techStack, modules, { onProgress, usage } = {}) {
+  const language = detectLanguage(description);
+
+  const skeleton = await callAI(buildSkeletonPrompt(language, description, techStack, modules), 1, 'specification-skeleton', {
+    onProgress,
+    usage,
+    schema: OUTLINE_SCHEMA,
+    parse: (text) => {
+      const parsed = parseJSONFromResponse(text);
+      return assertValidSpecification(parsed, { fields: OUTLINE_FIELDS });
+    }
+  });
+
+  const batchSize = Math.max(1, CONFIG.batchSize);
+  const results = [];
+  for (let start = 0; start < modules.length; start += batchSize) {
+    if (start > 0 && CONFIG.batchDelay > 0) {
+      await sleep(CONFIG.batchDelay);
+    }
+    const batch = modules.slice(start, start + batchSize);
+    logger.info(`Generating functions for modules ${start + 1}-${start + batch.length} of ${modules.length}`);
+    const settled = await Promise.allSettled(batch.map(module =>
+      generateModuleSpec(language, description, techStack, modules, module, skeleton, { onProgress, usage })
+    ));
+    const overBudget = settled.find(result => result.status === 'rejected' && result.reason instanceof BudgetExceededError);
+    if (overBudget) {
+      throw overBudget.reason;
+    }
+    results.push(...settled);
+  }
+
+  const failures = results
+    .map((result, index) => ({ result, module: modules[index] }))
+    .filter(({ result }) => result.status === 'rejected');
+  if (modules.length > 0 && failures.length === modules.length) {
+    throw failures[0].result.reason;
+  }
+  failures.forEach(({ module, result }) => {
+    logger.warn(`Module "${module.name}" could not be generated: ${result.reason.message}`);
+  });
+
+  return assertValidSpecification({
+    title: skeleton.title,
+    description: skeleton.description,
+    techStack,
+    requirements: skeleton.requirements,
+    modules: results.map((result, index) => result.status === 'fulfilled' ? result.value : {
+      name: modules[index].name,
+      description: modules[index].description || '',
+      functions: [],
+      generationError: result.reason.message
+    })
+  });
+}
+
+// --- Output -------------------------------------------------------------------
+
+export const RENDER_FORMATS = ['markdown', 'json', 'csv', 'xlsx'];
+
+/**
+ * Renders a specification.
+ *
+ * @param {object} specification
+ * @param {string} [format='markdown'] markdown | json | csv | xlsx
+ * @param {object} [options]
+ * @param {string} [options.platform]          Project type shown in markdown
+ * @param {boolean} [options.includeTemplates] Add per-module code stubs
+ *                                             (markdown section / JSON `templates` map)
+ * @returns {string|Buffer} Text for markdown/json/csv, a Buffer for xlsx
+ */
+export function render(specification, format = 'markdown', { platform, includeTemplates = false } = {}) {
+  if (format === 'markdown') {
+    return renderMarkdown(specification, { platform, includeTemplates });
+  }
+  if (format === 'json') {
+    // "$schema" lets editors and downstream tools validate the file
+    const document = { $schema: SPECIFICATION_SCHEMA.$id, ...specification };
+    return JSON.stringify(includeTemplates ? {
+      ...document,
+      templates: Object.fromEntries(generateModuleTemplates(specification).map(template => [
+        template.module,
+        { fileName: template.fileName, language: template.language, code: template.code }
+      ]))
+    } : document, null, 2);
+  }
+  if (format === 'csv') {
+    return specificationToCSV(specification);
+  }
+  if (format === 'xlsx') {
+    return specificationToXLSX(specification);
+  }
+  throw new ValidationError(`Unsupported format: ${format}. Expected one of: ${RENDER_FORMATS.join(', ')}`, 'format');
+}
+
+/**
+ * Writes the development artifacts for a specification into `dir`:
+ * specification.json, one code stub per module, package.json and README.md.
+ * With `markdownPath`, the rendered markdown is written there as well.
+ *
+ * @returns {Promise<{dir: string, files: string[]}>} Absolute paths written
+ */
+export async function writeArtifacts(specification, { dir = '.sds', markdownPath } = {}) {
+  const files = [];
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    const dirAbs = path.resolve(dir);
+
+    // Create specification.json
+    const specPath = path.join(dirAbs, 'specification.json');
+    await fs.writeFile(specPath, render(specification, 'json'));
+    files.push(specPath);
+
+    // Create module template files. The LLM may return arbitrary module names
+    // (or be tricked via prompt injection into doing so), so we sanitize and
+    // also defensively check that the resulting absolute path stays inside
+    // dir — refuse to write anywhere else.
+    for (const module of specification.modules || []) {
+      const fileExtension = getFileExtension(specification.techStack);
+      const safeName = sanitizeFileName(module.name);
+      const modulePathAbs = path.resolve(path.join(dir, `${safeName}${fileExtension}`));
+      if (!modulePathAbs.startsWith(dirAbs + path.sep) && modulePathAbs !== dirAbs) {
+        throw new FileIOError(
+          `Refusing to write outside SDS directory: ${modulePathAbs}`,
+          modulePathAbs,
+          'write'
+        );
+      }
+      const moduleTemplate = generateCodeTemplate(module, specification.techStack);
+      await fs.writeFile(modulePathAbs, moduleTemplate);
+      files.push(modulePathAbs);
+    }
+
+    // Create package.json template
+    const packagePath = path.join(dirAbs, 'package.json');
+    const packageTemplate = {
+      name: specification.title?.toLowerCase().replace(/\s+/g, '-') || 'project',
+      version: '1.0.0',
+      description: specification.description || '',
+      main: 'index.js',
+      scripts: {
+        start: 'node index.js',
+        test: 'echo "No tests specified"'
+      },
+      dependencies: {},
+      devDependencies: {}
+    };
+    await fs.writeFile(packagePath, JSON.stringify(packageTemplate, null, 2));
+    files.push(packagePath);
+
+    // Create README.md
+    const readmeContent = `# ${specification.title || 'Project'}
+
+${specification.description || 'Project description'}
+
+## Installation
+
+\`\`\`bash
+npm install
+\`\`\`
+
+## Usage
+
+\`\`\`bash
+npm start
+\`\`\`
+
+## Modules
+
+${(specification.modules || []).map(module => `- **${module.name}**: ${module.description}`).join('\n')}
+`;
+
+    const readmePath = path.join(dirAbs, 'README.md');
+    await fs.writeFile(readmePath, readmeContent);
+    files.push(readmePath);
+
+    if (markdownPath) {
+      const markdownAbs = path.resolve(markdownPath);
+      await fs.writeFile(markdownAbs, renderMarkdown(specification));
+      files.push(markdownAbs);
+    }
+
+    return { dir: dirAbs, files };
+  } catch (error) {
+    if (error instanceof FileIOError) throw error;
+    throw new FileIOError(`Failed to create SDS directory: ${error.message}`, dir, 'create');
+  }
+}
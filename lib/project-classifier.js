@@ -0,0 +1,200 @@
+import { callAI } from './api-client.js';
+import { logger } from './config.js';
+import { APIError, NetworkError, ParsingError, ValidationError } from './errors.js';
+import { parseJSONFromResponse } from './json-parser.js';
+import { resolvePlatform } from './tech-stacks.js';
+
+// Project-type classification from a free-text description, shared by the
+// CLI default and MCP `target_platform: auto`. Platforms are the catalog keys
+// of tech-stacks.js (`api` is reported as `backend`).
+//
+// Keyword scoring runs offline. English terms match whole words only (so
+// "happy path" is not an "app"); Korean terms match as substrings because
+// particles attach directly to nouns ("앱을", "웹에서"). Longer phrases are
+// matched first and consumed, so "web app" counts for web but not for
+// mobile's "app", and "react native" does not also count as "react".
+
+const PLATFORM_KEYWORDS = {
+  mobile: {
+    en: {
+      mobile: 3, ios: 3, android: 3, iphone: 3, smartphone: 3, 'mobile app': 4,
+      'app store': 3, 'google play': 3, 'play store': 3, 'react native': 3,
+      flutter: 3, swiftui: 3, swift: 2, kotlin: 2, 'push notification': 2,
+      ipad: 2, tablet: 1, app: 1, wearable: 2
+    },
+    ko: {
+      모바일: 3, 스마트폰: 3, 아이폰: 3, 안드로이드: 3, 앱스토어: 3, 플레이스토어: 3,
+      '푸시 알림': 2, 푸시알림: 2, 태블릿: 1, 어플: 1, 앱: 1
+    }
+  },
+  web: {
+    en: {
+      web: 2, website: 3, 'web app': 3, 'web application': 3, browser: 3,
+      'landing page': 3, frontend: 2, 'front-end': 2, 'single page application': 3,
+      spa: 2, 'next.js': 3, nextjs: 3, nuxt: 3, vue: 2, react: 1, seo: 2, cms: 2,
+      dashboard: 1, 'admin panel': 1, portal: 1, 'online store': 1
+    },
+    ko: {
+      웹앱: 3, 웹: 2, 홈페이지: 3, 브라우저: 3, '랜딩 페이지': 3, 랜딩페이지: 3,
+      프론트엔드: 2, 사이트: 1, 대시보드: 1, 관리자: 1, 쇼핑몰: 1
+    }
+  },
+  desktop: {
+    en: {
+      desktop: 3, 'desktop app': 4, windows: 2, macos: 2, linux: 1, electron: 3,
+      tauri: 3, qt: 3, wpf: 3, 'system tray': 3, 'menu bar': 2, 'native installer': 2
+    },
+    ko: {
+      데스크톱: 3, 데스크탑: 3, 윈도우: 2, 맥os: 2, 설치형: 2, 'pc 프로그램': 3, 트레이: 2
+    }
+  },
+  embedded: {
+    en: {
+      embedded: 3, firmware: 3, microcontroller: 3, mcu: 3, rtos: 3, freertos: 3,
+      zephyr: 3, arduino: 3, 'raspberry pi': 2, esp32: 3, stm32: 3, iot: 2, sensor: 1,
+      gpio: 3, ble: 2, bluetooth: 1
+    },
+    ko: {
+      임베디드: 3, 펌웨어: 3, 마이크로컨트롤러: 3, 아두이노: 3, 라즈베리파이: 2,
+      사물인터넷: 2, 센서: 1
+    }
+  },
+  backend: {
+    en: {
+      api: 3, 'rest api': 4, graphql: 3, grpc: 3, backend: 3, 'back-end': 3,
+      server: 2, microservice: 3, endpoint: 2, webhook: 2, 'message queue': 2,
+      'batch job': 2, cron: 1, database: 1
+    },
+    ko: {
+      백엔드: 3, 서버: 2, 마이크로서비스: 3, 엔드포인트: 2, 웹훅: 2, 배치: 1,
+      데이터베이스: 1
+    }
+  }
+};
+
+export const DEFAULT_PLATFORM = 'web';
+
+// Score at which a single platform's keywords are considered conclusive.
+const CONCLUSIVE_SCORE = 4;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every keyword as { platform, term, weight, pattern }, longest first.
+const KEYWORD_PATTERNS = Object.entries(PLATFORM_KEYWORDS)
+  .flatMap(([platform, languages]) => Object.entries(languages).flatMap(([language, terms]) =>
+    Object.entries(terms).map(([term, weight]) => ({
+      platform,
+      term,
+      weight,
+      pattern: language === 'en'
+        ? new RegExp(`(?<![a-z0-9])${escapeRegExp(term)}(?:e?s)?(?![a-z0-9])`, 'g')
+        : new RegExp(escapeRegExp(term), 'g')
+    }))
+  ))
+  .sort((a, b) => b.term.length - a.term.length);
+
+export const PLATFORMS = Object.keys(PLATFORM_KEYWORDS);
+
+/**
+ * Classifies a project description by keyword scoring.
+ *
+ * @param {string} description
+ * @returns {{platform: string, confidence: number, reasoning: string,
+ *            source: 'keywords', scores: Object<string, number>}}
+ *   `confidence` is 0-1: how far the winner leads, scaled down when only a
+ *   few weak keywords matched. 0 means nothing matched and the default
+ *   platform was returned.
+ */
+export function classifyProject(description) {
+  let text = String(description || '').toLowerCase();
+  const scores = Object.fromEntries(PLATFORMS.map(platform => [platform, 0]));
+  const matches = Object.fromEntries(PLATFORMS.map(platform => [platform, []]));
+
+  for (const keyword of KEYWORD_PATTERNS) {
+    text = text.replace(keyword.pattern, (match) => {
+      scores[keyword.platform] += keyword.weight;
+      matches[keyword.platform].push(keyword.term);
+      return ' '.repeat(match.length);
+    });
+  }
+
+  const ranked = PLATFORMS.slice().sort((a, b) => scores[b] - scores[a]);
+  const [best, second] = ranked;
+  const total = PLATFORMS.reduce((sum, platform) => sum + scores[platform], 0);
+
+  if (total === 0) {
+    return {
+      platform: DEFAULT_PLATFORM,
+      confidence: 0,
+      reasoning: `No platform keywords found; defaulting to ${DEFAULT_PLATFORM}.`,
+      source: 'keywords',
+      scores
+    };
+  }
+
+  const share = scores[best] / total;
+  const strength = Math.min(1, scores[best] / CONCLUSIVE_SCORE);
+  const confidence = Math.round(share * strength * 100) / 100;
+
+  const describe = (platform) => `${platform} ${scores[platform]} (${[...new Set(matches[platform])].join(', ')})`;
+  let reasoning = `Keyword score ${describe(best)}`;
+  if (scores[second] > 0) {
+    reasoning += `; runner-up ${describe(second)}`;
+  }
+  if (scores[best] === scores[second]) {
+    reasoning += `; tie resolved in favour of ${best}`;
+  }
+
+  return { platform: best, confidence, reasoning: reasoning + '.', source: 'keywords', scores };
+}
+
+/**
+ * Classifies a project description, asking the AI when keyword scoring is
+ * not confident enough. Provider and parse failures (network, unparsable or
+ * unknown answer) fall back to the keyword result. Configuration errors (no
+ * provider configured) and an exceeded budget are thrown, like any other
+ * AI step would.
+ *
+ * @param {string} description
+ * @param {object} [options]
+ * @param {boolean} [options.ai=true]          Allow the AI-assisted fallback
+ * @param {number} [options.minConfidence=0.6] Keyword confidence below which
+ *                                             the AI is consulted
+ * @param {object} [options.usage]             Usage tracker (see usage.js)
+ */
+export async function classifyProjectWithAI(description, { ai = true, minConfidence = 0.6, usage } = {}) {
+  const result = classifyProject(description);
+  if (!ai || result.confidence >= minConfidence) {
+    return result;
+  }
+
+  const prompt = `Classify the software project below into exactly one platform: ${PLATFORMS.join(', ')}.
+
+Project Description: ${description}
+
+Respond only with JSON:
+{"platform": "one of ${PLATFORMS.join('|')}", "confidence": 0.0-1.0, "reasoning": "one sentence"}`;
+
+  try {
+    const answer = await callAI(prompt, 0, 'classification', { parse: parseJSONFromResponse, usage });
+    const platform = resolvePlatform(String(answer?.platform || '').toLowerCase());
+    if (!PLATFORMS.includes(platform)) {
+      throw new ParsingError(`unknown platform "${answer?.platform}"`, answer);
+    }
+    const confidence = Number(answer.confidence);
+    return {
+      platform,
+      confidence: Number.isFinite(confidence) ? Math.max(0, Math.min(1, confidence)) : 0.5,
+      reasoning: `AI classification: ${answer.reasoning || 'no reasoning given'} (keywords: ${result.reasoning})`,
+      source: 'ai',
+      scores: result.scores
+    };
+  } catch (error) {
+    const isAnswerFailure = [APIError, NetworkError, ParsingError, ValidationError].some(type => error instanceof type);
+    if (!isAnswerFailure) throw error;
+    logger.warn(`AI project classification failed (${error.message}); using keyword result`);
+    return result;
+  }
+}
@@ -0,0 +1,429 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { ConfigurationError, ValidationError } from './errors.js';
+import { readMockResponse } from './fixtures.js';
+
+// Provider registry.
+//
+// Every AI backend callAI() can use — the built-in ones below and any added
+// by plugins — is registered here, and API key validation is derived from the
+// same list. A provider definition:
+//
+//   {
+//     name: 'gemini',                       // used by PREFERRED_API
+//     display: 'Gemini',                    // optional, for logs
+//     endpoint: 'https://...' | () => url,  // function: resolved per call
+//     requestBuilder: (prompt, key, model) => fetch options,
+//     responseExtractor: (json) => text,
+//     usageExtractor: (json) => ({ inputTokens, outputTokens }),  // optional
+//     scores: { performance, cost, reliability },   // 0-10; cost: higher = pricier
+//     keyEnv: 'GEMINI_API_KEY',             // env var holding the key
+//     keyless: true, enableEnv: ['X_URL'],  // or: no key, enabled by env vars
+//     modelEnv: 'GEMINI_MODEL', defaultModel: 'gemini-1.5-pro',
+//     specialties: ['code'],                // informational
+//     maxRetries: 0,                        // optional cap on callAI retries
+//     cache: false,                         // optional: never cache responses
+//     exclusive: true                       // optional: when configured, the
+//                                           // only provider used
+//   }
+//
+// Streaming (used when STREAM is on) needs two more fields; providers without
+// them are called without streaming:
+//
+//   requestBuilder: (prompt, key, model, { stream }) => ...  // ask for a stream
+//   streamFormat: 'sse' | 'ndjson',
+//   streamDeltaExtractor: (event) => text fragment ('' for non-text events)
+//
+// usageExtractor is also given every stream event; the counts it returns
+// (either field may be missing) are merged, later events winning. Without
+// it, token usage is estimated from the text length (see usage.js).
+//
+// Providers with native structured output set `structuredOutput: true`; for
+// callers that pass a response schema, requestBuilder then receives
+// `{ stream, schema }` with schema = { name, schema: <JSON Schema> } and
+// should ask the API for a response matching it. The extracted text must
+// still be the JSON document. Other providers only get the prompt's
+// "respond in JSON" instructions.
+//
+// Instead of endpoint/requestBuilder/responseExtractor, a provider may give
+// `call: async (prompt, provider, { taskType, schema }) => text`, or
+// `=> ({ text, usage: { inputTokens, outputTokens } })` to report usage.
+
+// Token counts in the OpenAI chat completions format, also used by
+// Perplexity and most OpenAI-compatible servers
+function openAIUsage(data) {
+  return data.usage && { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens };
+}
+
+// Base URL from an env var, without trailing slashes so both
+// "http://host:8000/v1" and ".../v1/" work.
+function baseUrl(envName, fallback = '') {
+  return (process.env[envName] || fallback).replace(/\/+$/, '');
+}
+
+// Built-in providers.
+//
+// Model strings can be overridden via env vars (CLAUDE_MODEL / OPENAI_MODEL /
+// PERPLEXITY_MODEL) so the codebase doesn't need a release every time a vendor
+// deprecates a model. The defaults below are conservative — pick something
+// known to be available rather than the bleeding edge.
+const BUILTIN_PROVIDERS = {
+  claude: {
+    name: 'claude',
+    display: 'Claude',
+    endpoint: 'https://api.anthropic.com/v1/messages',
+    keyEnv: 'ANTHROPIC_API_KEY',
+    modelEnv: 'CLAUDE_MODEL',
+    defaultModel: 'claude-3-5-sonnet-20241022',
+    priority: 1,
+    scores: { performance: 9, cost: 6, reliability: 9 },
+    specialties: ['code', 'analysis', 'structured-output'],
+    // Structured output is a forced call of a tool whose input schema is the
+    // response schema; the tool input is the answer.
+    structuredOutput: true,
+    requestBuilder: (prompt, key, model, { stream = false, schema } = {}) => ({
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': key,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: model,
+        max_tokens: 4000,
+        messages: [{ role: 'user', content: prompt }],
+        ...(schema ? {
+          tools: [{ name: schema.name, description: 'Return the requested JSON document.', input_schema: schema.schema }],
+          tool_choice: { type: 'tool', name: schema.name }
+        } : {}),
+        ...(stream ? { stream: true } : {})
+      })
+    }),
+    responseExtractor: (data) => {
+      const toolUse = data.content?.find(block => block.type === 'tool_use');
+      if (toolUse) {
+        return JSON.stringify(toolUse.input);
+      }
+      if (!data.content || !data.content[0] || !data.content[0].text) {
+        throw new ValidationError('Invalid response format from Claude API', 'response_content');
+      }
+      return data.content[0].text;
+    },
+    // Streams carry input tokens in message_start and the output total in
+    // message_delta
+    usageExtractor: (data) => {
+      const usage = data.usage || data.message?.usage;
+      return usage && { inputTokens: usage.input_tokens, outputTokens: usage.output_tokens };
+    },
+    // Server-sent events; text (or, for tool use, the tool input JSON)
+    // arrives in content_block_delta events
+    streamFormat: 'sse',
+    streamDeltaExtractor: (event) => event.type === 'content_block_delta'
+      ? event.delta?.text || event.delta?.partial_json || ''
+      : ''
+  },
+
+  openai: {
+    name: 'openai',
+    display: 'OpenAI',
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+    keyEnv: 'OPENAI_API_KEY',
+    modelEnv: 'OPENAI_MODEL',
+    defaultModel: 'gpt-4',
+    priority: 2,
+    scores: { performance: 8, cost: 7, reliability: 8 },
+    specialties: ['general', 'creative', 'code'],
+    // Not strict: strict mode needs every property required and
+    // additionalProperties: false, which the specification schema doesn't use
+    structuredOutput: true,
+    requestBuilder: (prompt, key, model, { stream = false, schema } = {}) => ({
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${key}`
+      },
+      body: JSON.stringify({
+        model: model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: 4000,
+        ...(schema ? {
+          response_format: { type: 'json_schema', json_schema: { name: schema.name, schema: schema.schema, strict: false } }
+        } : {}),
+        // Streams only report usage (in a final chunk) when asked to
+        ...(stream ? { stream: true, stream_options: { include_usage: true } } : {})
+      })
+    }),
+    responseExtractor: (data) => {
+      if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
+        throw new ValidationError('Invalid response format from OpenAI API', 'response_content');
+      }
+      return data.choices[0].message.content;
+    },
+    usageExtractor: openAIUsage,
+    streamFormat: 'sse',
+    streamDeltaExtractor: (event) => event.choices?.[0]?.delta?.content || ''
+  },
+
+  perplexity: {
+    name: 'perplexity',
+    display: 'Perplexity',
+    endpoint: 'https://api.perplexity.ai/chat/completions',
+    keyEnv: 'PERPLEXITY_API_KEY',
+    modelEnv: 'PERPLEXITY_MODEL',
+    defaultModel: 'llama-3.1-sonar-large-128k-online',
+    priority: 3,
+    scores: { performance: 7, cost: 4, reliability: 7 },
+    specialties: ['research', 'factual', 'current-events'],
+    requestBuilder: (prompt, key, model, { stream = false } = {}) => ({
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${key}`
+      },
+      body: JSON.stringify({
+        model: model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: 4000,
+        ...(stream ? { stream: true } : {})
+      })
+    }),
+    responseExtractor: (data) => {
+      if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
+        throw new ValidationError('Invalid response format from Perplexity API', 'response_content');
+      }
+      return data.choices[0].message.content;
+    },
+    usageExtractor: openAIUsage,
+    streamFormat: 'sse',
+    streamDeltaExtractor: (event) => event.choices?.[0]?.delta?.content || ''
+  },
+
+  // Local / self-hosted providers. They need no API key; they are enabled by
+  // setting their base URL (or, for Ollama, just a model) in .env.
+  ollama: {
+    name: 'ollama',
+    display: 'Ollama',
+    keyless: true,
+    endpoint: () => `${baseUrl('OLLAMA_BASE_URL', 'http://localhost:11434')}/api/chat`,
+    enableEnv: ['OLLAMA_BASE_URL', 'OLLAMA_MODEL'],
+    modelEnv: 'OLLAMA_MODEL',
+    defaultModel: 'llama3.1',
+    priority: 4,
+    scores: { performance: 6, cost: 1, reliability: 6 },
+    specialties: ['offline', 'general'],
+    requestBuilder: (prompt, key, model, { stream = false } = {}) => ({
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: model,
+        messages: [{ role: 'user', content: prompt }],
+        stream: stream,
+        options: { num_predict: 4000 }
+      })
+    }),
+    responseExtractor: (data) => {
+      if (!data.message || !data.message.content) {
+        throw new ValidationError('Invalid response format from Ollama API', 'response_content');
+      }
+      return data.message.content;
+    },
+    // Counts arrive with the final ("done") message
+    usageExtractor: (data) => data.done ? { inputTokens: data.prompt_eval_count, outputTokens: data.eval_count } : null,
+    // Newline-delimited JSON, one message fragment per line
+    streamFormat: 'ndjson',
+    streamDeltaExtractor: (event) => event.message?.content || ''
+  },
+
+  'openai-compatible': {
+    name: 'openai-compatible',
+    display: 'OpenAI-compatible',
+    keyless: true,
+    keyEnv: 'OPENAI_COMPATIBLE_API_KEY',
+    endpoint: () => `${baseUrl('OPENAI_COMPATIBLE_BASE_URL')}/chat/completions`,
+    enableEnv: ['OPENAI_COMPATIBLE_BASE_URL'],
+    modelEnv: 'OPENAI_COMPATIBLE_MODEL',
+    defaultModel: 'default',
+    priority: 5,
+    scores: { performance: 7, cost: 2, reliability: 7 },
+    specialties: ['offline', 'general', 'code'],
+    requestBuilder: (prompt, key, model, { stream = false } = {}) => ({
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        // Gateways such as vLLM or LiteLLM may or may not require a key
+        ...(key ? { 'Authorization': `Bearer ${key}` } : {})
+      },
+      body: JSON.stringify({
+        model: model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: 4000,
+        ...(stream ? { stream: true } : {})
+      })
+    }),
+    responseExtractor: (data) => {
+      if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
+        throw new ValidationError('Invalid response format from OpenAI-compatible API', 'response_content');
+      }
+      return data.choices[0].message.content;
+    },
+    usageExtractor: openAIUsage,
+    streamFormat: 'sse',
+    streamDeltaExtractor: (event) => event.choices?.[0]?.delta?.content || ''
+  },
+
+  // Deterministic offline provider for tests: canned responses from the
+  // MOCK_RESPONSES file (see fixtures.js). When enabled it is the only
+  // provider used, so a missing response fails instead of reaching a paid API.
+  mock: {
+    name: 'mock',
+    display: 'Mock',
+    keyless: true,
+    enableEnv: ['MOCK_RESPONSES'],
+    exclusive: true,
+    maxRetries: 0,
+    // The responses file may change between runs; always read it
+    cache: false,
+    defaultModel: 'mock',
+    scores: { performance: 0, cost: 0, reliability: 10 },
+    specialties: ['testing'],
+    call: (prompt, provider, { taskType }) => readMockResponse(process.env.MOCK_RESPONSES, prompt, taskType)
+  }
+};
+
+const providers = new Map();
+
+const SCORE_FIELDS = ['performance', 'cost', 'reliability'];
+
+function invalid(name, message) {
+  return new ConfigurationError(`Invalid provider "${name || '?'}": ${message}`);
+}
+
+/**
+ * Adds a provider to the registry.
+ *
+ * @param {object} definition See the format at the top of this file
+ * @param {object} [options]
+ * @param {boolean} [options.override=false] Replace an existing provider of
+ *                                           the same name (e.g. point
+ *                                           "openai" at an Azure deployment)
+ * @returns {object} The stored provider
+ * @throws {ConfigurationError} if the definition is incomplete
+ */
+export function registerProvider(definition, { override = false } = {}) {
+  const name = definition?.name;
+  if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+    throw invalid(name, 'name must be letters, digits, "-" or "_"');
+  }
+  const key = name.toLowerCase();
+  if (providers.has(key) && !override) {
+    throw invalid(name, 'a provider with this name is already registered (pass { override: true } to replace it)');
+  }
+  // HTTP providers describe the request; others (like the mock) supply
+  // call(prompt, provider, { taskType }) and skip fetch entirely.
+  if (typeof definition.call !== 'function') {
+    if (typeof definition.endpoint !== 'string' && typeof definition.endpoint !== 'function') {
+      throw invalid(name, 'endpoint must be a URL string or a function returning one');
+    }
+    for (const field of ['requestBuilder', 'responseExtractor']) {
+      if (typeof definition[field] !== 'function') {
+        throw invalid(name, `${field} must be a function`);
+      }
+    }
+  }
+  for (const field of SCORE_FIELDS) {
+    const score = definition.scores?.[field];
+    if (typeof score !== 'number' || score < 0 || score > 10) {
+      throw invalid(name, `scores.${field} must be a number from 0 to 10`);
+    }
+  }
+  if (definition.keyless) {
+    if (!Array.isArray(definition.enableEnv) || definition.enableEnv.length === 0) {
+      throw invalid(name, 'keyless providers need enableEnv: the env vars that switch them on');
+    }
+  } else if (typeof definition.keyEnv !== 'string' || definition.keyEnv === '') {
+    throw invalid(name, 'keyEnv is required unless the provider is keyless');
+  }
+
+  const provider = {
+    display: name,
+    specialties: [],
+    ...definition,
+    name: key
+  };
+  providers.set(key, provider);
+  return provider;
+}
+
+export function unregisterProvider(name) {
+  return providers.delete(String(name).toLowerCase());
+}
+
+export function getProvider(name) {
+  return providers.get(String(name).toLowerCase());
+}
+
+// All registered providers, in registration order.
+export function getProviders() {
+  return [...providers.values()];
+}
+
+// Placeholder values copied from .env.example don't count as keys.
+function hasUsableValue(envName) {
+  const value = process.env[envName];
+  return Boolean(value) && !value.includes('your_');
+}
+
+// Key-based providers are usable when their key is set; keyless ones when
+// one of their `enableEnv` variables is set.
+export function isProviderConfigured(provider) {
+  if (provider.keyless) {
+    return provider.enableEnv.some(hasUsableValue);
+  }
+  return hasUsableValue(provider.keyEnv);
+}
+
+export function getConfiguredProviders() {
+  return getProviders().filter(isProviderConfigured);
+}
+
+export function resolveEndpoint(provider) {
+  return typeof provider.endpoint === 'function' ? provider.endpoint() : provider.endpoint;
+}
+
+/**
+ * Loads provider plugins: ES modules whose default export is either a
+ * function, called with `{ registerProvider }` (may be async), or a provider
+ * definition / array of definitions. Relative paths resolve against `cwd`.
+ *
+ * @returns {Promise<string[]>} Names of the providers that were registered
+ * @throws {ConfigurationError} naming the plugin that failed
+ */
+export async function loadProviderPlugins(pluginPaths, { cwd = process.cwd() } = {}) {
+  const before = new Set(providers.keys());
+  for (const pluginPath of pluginPaths) {
+    const resolved = path.resolve(cwd, pluginPath);
+    let plugin;
+    try {
+      plugin = await import(pathToFileURL(resolved).href);
+    } catch (error) {
+      throw new ConfigurationError(`Failed to load provider plugin ${resolved}: ${error.message}`);
+    }
+    const exported = plugin.default;
+    try {
+      if (typeof exported === 'function') {
+        await exported({ registerProvider });
+      } else if (Array.isArray(exported)) {
+        exported.forEach(definition => registerProvider(definition));
+      } else if (exported && typeof exported === 'object') {
+        registerProvider(exported);
+      } else {
+        throw new ConfigurationError('default export must be a function or provider definition(s)');
+      }
+    } catch (error) {
+      throw new ConfigurationError(`Provider plugin ${resolved}: ${error.message}`);
+    }
+  }
+  return [...providers.keys()].filter(name => !before.has(name));
+}
+
+Object.values(BUILTIN_PROVIDERS).forEach(definition => registerProvider({ ...definition, builtin: true }));
@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { CONFIG, logger } from './config.js';
+import { FileIOError } from './errors.js';
+
+// On-disk cache of AI responses, shared by the CLI and the MCP server.
+//
+// Entries are content-addressed: the key is a hash of the provider, model,
+// prompt and the generation parameters that change the answer (the response
+// schema for structured output), so an edited prompt or a different model
+// never reuses an old answer. One JSON file per entry in AI_CACHE_DIR:
+//
+//   <key>.json  { key, provider, model, task_type, created_at, response }
+//
+// Entries older than AI_CACHE_TTL_HOURS are ignored and removed when read.
+
+// Hits and misses in this process, for the end-of-run summary.
+const counters = { hits: 0, misses: 0, writes: 0 };
+
+export function cacheKey({ provider, model, prompt, params = {} }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ provider, model, prompt: String(prompt), params }))
+    .digest('hex');
+}
+
+function entryPath(key) {
+  return path.join(path.resolve(CONFIG.cacheDir), `${key}.json`);
+}
+
+function isExpired(entry, now = Date.now()) {
+  if (!CONFIG.cacheTTL || CONFIG.cacheTTL <= 0) return false;
+  const created = Date.parse(entry.created_at || '');
+  return Number.isNaN(created) || created + CONFIG.cacheTTL <= now;
+}
+
+// The first live entry among `keys` (tried in order), or null on a miss.
+// Unreadable or expired entries are skipped; a cache problem never fails the
+// AI call.
+export async function readCachedResponse(keys) {
+  for (const key of keys) {
+    const filePath = entryPath(key);
+    try {
+      const entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      if (typeof entry.response !== 'string') throw new Error('"response" must be a string');
+      if (isExpired(entry)) {
+        await fs.unlink(filePath).catch(() => {});
+        continue;
+      }
+      counters.hits++;
+      return { ...entry, key };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring unreadable cache entry ${filePath}: ${error.message}`);
+      }
+    }
+  }
+  counters.misses++;
+  return null;
+}
+
+export async function writeCachedResponse(key, { provider, model, taskType, response }) {
+  const filePath = entryPath(key);
+  const entry = {
+    key,
+    provider,
+    model,
+    task_type: taskType,
+    created_at: new Date().toISOString(),
+    response
+  };
+  try {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Write then rename, so a concurrent reader never sees a partial file.
+    // The temp name is unique per write: the same prompt can be cached twice
+    // at once.
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(entry) + '\n');
+    await fs.rename(tempPath, filePath);
+    counters.writes++;
+  } catch (error) {
+    logger.warn(`Could not write cache entry ${filePath}: ${error.message}`);
+  }
+}
+
+async function listEntries() {
+  const dir = path.resolve(CONFIG.cacheDir);
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new FileIOError(`Failed to read cache directory: ${error.message}`, dir, 'read');
+  }
+  return names.filter(name => name.endsWith('.json')).map(name => path.join(dir, name));
+}
+
+// This process's lookups so far: { hits, misses, writes }.
+export function getCacheCounters() {
+  return { ...counters };
+}
+
+/**
+ * Cache contents on disk plus this process's hit/miss counters.
+ *
+ * @returns {Promise<{dir: string, ttlHours: number, entries: number,
+ *   expired: number, bytes: number, oldest: string|null, newest: string|null,
+ *   providers: Object<string, number>, hits: number, misses: number, writes: number}>}
+ */
+export async function getCacheStats() {
+  const stats = {
+    dir: path.resolve(CONFIG.cacheDir),
+    ttlHours: CONFIG.cacheTTL / (60 * 60 * 1000),
+    entries: 0,
+    expired: 0,
+    bytes: 0,
+    oldest: null,
+    newest: null,
+    providers: {},
+    ...counters
+  };
+  const now = Date.now();
+  for (const filePath of await listEntries()) {
+    let entry;
+    try {
+      const text = await fs.readFile(filePath, 'utf8');
+      entry = JSON.parse(text);
+      stats.bytes += Buffer.byteLength(text);
+    } catch {
+      continue;
+    }
+    stats.entries++;
+    if (isExpired(entry, now)) stats.expired++;
+    stats.providers[entry.provider] = (stats.providers[entry.provider] || 0) + 1;
+    if (!stats.oldest || entry.created_at < stats.oldest) stats.oldest = entry.created_at;
+    if (!stats.newest || entry.created_at > stats.newest) stats.newest = entry.created_at;
+  }
+  return stats;
+}
+
+/**
+ * Deletes cache entries: all of them, or with `expiredOnly` just the expired
+ * ones. Resolves to the number of entries removed.
+ */
+export async function clearCache({ expiredOnly = false } = {}) {
+  let removed = 0;
+  const now = Date.now();
+  for (const filePath of await listEntries()) {
+    if (expiredOnly) {
+      try {
+        if (!isExpired(JSON.parse(await fs.readFile(filePath, 'utf8')), now)) continue;
+      } catch {
+        // unreadable entries are removed too
+      }
+    }
+    try {
+      await fs.unlink(filePath);
+      removed++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new FileIOError(`Failed to delete cache entry: ${error.message}`, filePath, 'delete');
+      }
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,157 @@
+import { ValidationError } from './errors.js';
+
+// Revision history for MCP sessions.
+//
+// Every change to a session's specification is appended to
+// sessionData.revisions as a numbered snapshot:
+//   { revision, action, request, created_at, specification, patch? }
+// `patch` is kept for refinements so the operations the AI returned can be
+// inspected later.
+//
+// Nothing is ever rewritten or truncated. Reverting copies an older snapshot
+// into a new revision, so an undo can itself be undone by reverting again.
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Sessions created before revision tracking have no history; seed it with the
+// specification they currently hold.
+export function ensureRevisionHistory(sessionData) {
+  if (!Array.isArray(sessionData.revisions) || sessionData.revisions.length === 0) {
+    sessionData.revisions = [{
+      revision: 1,
+      action: 'initial',
+      request: null,
+      created_at: sessionData.created_at || new Date().toISOString(),
+      specification: clone(sessionData.specification)
+    }];
+  }
+  return sessionData.revisions;
+}
+
+// Records `specification` as the session's new current revision.
+export function recordRevision(sessionData, specification, { action, request = null, patch } = {}) {
+  const revisions = ensureRevisionHistory(sessionData);
+  const now = new Date().toISOString();
+  const entry = {
+    revision: revisions[revisions.length - 1].revision + 1,
+    action,
+    request,
+    created_at: now,
+    specification: clone(specification)
+  };
+  if (patch !== undefined) entry.patch = clone(patch);
+  revisions.push(entry);
+  sessionData.specification = specification;
+  sessionData.last_modified = now;
+  return entry;
+}
+
+export function getCurrentRevision(sessionData) {
+  const revisions = ensureRevisionHistory(sessionData);
+  return revisions[revisions.length - 1];
+}
+
+export function getRevision(sessionData, number) {
+  const revisions = ensureRevisionHistory(sessionData);
+  const entry = revisions.find(rev => rev.revision === Number(number));
+  if (!entry) {
+    const range = `1-${revisions[revisions.length - 1].revision}`;
+    throw new ValidationError(`Revision ${number} not found (available: ${range})`, 'revision');
+  }
+  return entry;
+}
+
+// Makes revision `number` current again by appending a copy of it. Without a
+// number this is an undo: the revision before the current one is restored.
+export function revertToRevision(sessionData, number) {
+  const current = getCurrentRevision(sessionData);
+  const targetNumber = number === undefined || number === null ? current.revision - 1 : number;
+  if (targetNumber < 1) {
+    throw new ValidationError('Nothing to undo: the session is at its first revision', 'revision');
+  }
+  const target = getRevision(sessionData, targetNumber);
+  if (target.revision === current.revision) {
+    throw new ValidationError(`Revision ${target.revision} is already current`, 'revision');
+  }
+  return {
+    target,
+    entry: recordRevision(sessionData, clone(target.specification), {
+      action: 'revert',
+      request: `Revert to revision ${target.revision}`
+    })
+  };
+}
+
+// --- Diff -------------------------------------------------------------------
+
+const FUNCTION_FIELDS = [
+  'purpose', 'parameters', 'returnValue', 'designSpec',
+  'functionDefinition', 'remarks', 'testCases'
+];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+function byName(items) {
+  const map = new Map();
+  for (const item of Array.isArray(items) ? items : []) {
+    if (item && item.name !== undefined) map.set(item.name, item);
+  }
+  return map;
+}
+
+/**
+ * Structural diff between two specifications. Returns a flat list of
+ * changes, each { type: 'added'|'removed'|'changed', path, from?, to? },
+ * where path is e.g. "title", "modules.Auth" or
+ * "modules.Auth.functions.login.purpose". Modules and functions are matched
+ * by name, so reordering alone produces no changes.
+ */
+export function diffSpecifications(from = {}, to = {}) {
+  const changes = [];
+
+  for (const field of ['title', 'description', 'techStack', 'requirements']) {
+    if (!sameValue(from[field], to[field])) {
+      changes.push({ type: 'changed', path: field, from: from[field], to: to[field] });
+    }
+  }
+
+  const fromModules = byName(from.modules);
+  const toModules = byName(to.modules);
+
+  for (const [name, module] of fromModules) {
+    if (!toModules.has(name)) changes.push({ type: 'removed', path: `modules.${name}`, from: module });
+  }
+
+  for (const [name, module] of toModules) {
+    const before = fromModules.get(name);
+    if (!before) {
+      changes.push({ type: 'added', path: `modules.${name}`, to: module });
+      continue;
+    }
+    if (!sameValue(before.description, module.description)) {
+      changes.push({ type: 'changed', path: `modules.${name}.description`, from: before.description, to: module.description });
+    }
+
+    const fromFunctions = byName(before.functions);
+    const toFunctions = byName(module.functions);
+    for (const [fnName, fn] of fromFunctions) {
+      if (!toFunctions.has(fnName)) changes.push({ type: 'removed', path: `modules.${name}.functions.${fnName}`, from: fn });
+    }
+    for (const [fnName, fn] of toFunctions) {
+      const fnBefore = fromFunctions.get(fnName);
+      if (!fnBefore) {
+        changes.push({ type: 'added', path: `modules.${name}.functions.${fnName}`, to: fn });
+        continue;
+      }
+      for (const field of FUNCTION_FIELDS) {
+        if (!sameValue(fnBefore[field], fn[field])) {
+          changes.push({ type: 'changed', path: `modules.${name}.functions.${fnName}.${field}`, from: fnBefore[field], to: fn[field] });
+        }
+      }
+    }
+  }
+
+  return changes;
+}
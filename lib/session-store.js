@@ -0,0 +1,206 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { CONFIG, logger } from './config.js';
+import { FileIOError, ValidationError } from './errors.js';
+
+// Session storage for the MCP server.
+//
+// A store is a plain object exposing an async, Map-like API:
+//   load()            read persisted sessions into memory (called once on start)
+//   get(id)           session data or undefined (expired sessions are dropped)
+//   set(id, data)     insert/replace a session and persist it
+//   delete(id)        remove a session; resolves to true if it existed
+//   list()            [{ id, data }] for every live session
+//
+// Two implementations ship: an in-memory store (the old behaviour) and a
+// file-backed store that writes one JSON file per session. Anything else —
+// Redis, SQLite — only has to implement the same five functions and be passed
+// to startMCPServer via createSessionStore({ store }).
+
+// Session IDs end up in file names, so only accept what generateSessionId()
+// produces. This keeps a client-supplied session_id from escaping the
+// session directory.
+const SESSION_ID_PATTERN = /^spec_[A-Za-z0-9_]+$/;
+
+export function generateSessionId() {
+  return `spec_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+}
+
+export function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+// A session expires `ttl` ms after it was last touched. ttl <= 0 disables
+// expiry entirely.
+export function getSessionExpiry(data, ttl = CONFIG.sessionTTL) {
+  if (!ttl || ttl <= 0) return null;
+  const touched = Date.parse(data?.last_modified || data?.created_at || '');
+  if (Number.isNaN(touched)) return null;
+  return new Date(touched + ttl).toISOString();
+}
+
+function isExpired(data, ttl) {
+  const expiry = getSessionExpiry(data, ttl);
+  return expiry !== null && Date.parse(expiry) <= Date.now();
+}
+
+export function createMemorySessionStore({ ttl = CONFIG.sessionTTL, onExpire } = {}) {
+  const sessions = new Map();
+
+  async function expire(id) {
+    sessions.delete(id);
+    if (onExpire) await onExpire(id);
+  }
+
+  const store = {
+    kind: 'memory',
+    async load() {
+      return sessions.size;
+    },
+    async get(id) {
+      const data = sessions.get(id);
+      if (data && isExpired(data, ttl)) {
+        await expire(id);
+        return undefined;
+      }
+      return data;
+    },
+    async set(id, data) {
+      sessions.set(id, data);
+    },
+    async delete(id) {
+      return sessions.delete(id);
+    },
+    async list() {
+      const live = [];
+      for (const [id, data] of sessions) {
+        if (isExpired(data, ttl)) {
+          await expire(id);
+        } else {
+          live.push({ id, data });
+        }
+      }
+      return live;
+    }
+  };
+  return store;
+}
+
+export function createFileSessionStore({ dir = CONFIG.sessionDir, ttl = CONFIG.sessionTTL } = {}) {
+  // Memory is the working copy; every write goes through to disk so a
+  // restart (or a second server process started later) sees the same data.
+  const filePath = (id) => path.join(dir, `${id}.json`);
+
+  async function removeFile(id) {
+    try {
+      await fs.unlink(filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw new FileIOError(`Failed to delete session ${id}: ${error.message}`, filePath(id), 'delete');
+    }
+  }
+
+  // Saves of one session run one after another: concurrent set() calls
+  // (normal over HTTP) would otherwise share the temp file, and the data of
+  // the last call is what must end up on disk.
+  const saving = new Map();
+
+  async function writeSession(id, json) {
+    // Write to a temp file and rename so a crash mid-write never leaves a
+    // truncated session behind.
+    const target = filePath(id);
+    const tmp = `${target}.${process.pid}.tmp`;
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(tmp, json);
+      await fs.rename(tmp, target);
+    } catch (error) {
+      throw new FileIOError(`Failed to save session ${id}: ${error.message}`, target, 'write');
+    }
+  }
+
+  const cache = createMemorySessionStore({
+    ttl,
+    onExpire: async (id) => {
+      logger.debug(`Session ${id} expired; removing`);
+      await removeFile(id);
+    }
+  });
+
+  const store = {
+    kind: 'file',
+    dir,
+    async load() {
+      let entries;
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        entries = await fs.readdir(dir);
+      } catch (error) {
+        throw new FileIOError(`Failed to open session directory: ${error.message}`, dir, 'read');
+      }
+
+      let loaded = 0;
+      for (const entry of entries) {
+        if (!entry.endsWith('.json')) continue;
+        const id = entry.slice(0, -'.json'.length);
+        if (!isValidSessionId(id)) continue;
+
+        try {
+          const data = JSON.parse(await fs.readFile(filePath(id), 'utf8'));
+          if (isExpired(data, ttl)) {
+            logger.debug(`Session ${id} expired; removing`);
+            await removeFile(id);
+            continue;
+          }
+          await cache.set(id, data);
+          loaded++;
+        } catch (error) {
+          // One corrupt file must not keep the server from starting.
+          logger.warn(`Skipping unreadable session file ${entry}: ${error.message}`);
+        }
+      }
+      logger.debug(`Loaded ${loaded} session(s) from ${dir}`);
+      return loaded;
+    },
+    async get(id) {
+      if (!isValidSessionId(id)) return undefined;
+      return cache.get(id);
+    },
+    async set(id, data) {
+      if (!isValidSessionId(id)) {
+        throw new ValidationError(`Invalid session ID: ${id}`, 'session_id');
+      }
+      const json = JSON.stringify(data, null, 2);
+      const save = (saving.get(id) || Promise.resolve()).catch(() => {}).then(() => writeSession(id, json));
+      saving.set(id, save);
+      try {
+        await cache.set(id, data);
+        await save;
+      } finally {
+        if (saving.get(id) === save) saving.delete(id);
+      }
+    },
+    async delete(id) {
+      if (!isValidSessionId(id)) return false;
+      // A save still in progress would put the file back
+      await saving.get(id)?.catch(() => {});
+      const inMemory = await cache.delete(id);
+      const onDisk = await removeFile(id);
+      return inMemory || onDisk;
+    },
+    async list() {
+      return cache.list();
+    }
+  };
+  return store;
+}
+
+// Builds the store selected by configuration (SESSION_STORE in .env).
+// Callers may pass a ready-made `store` to plug in their own implementation.
+export function createSessionStore({ store, type = CONFIG.sessionStore, ...options } = {}) {
+  if (store) return store;
+  if (type === 'memory') return createMemorySessionStore(options);
+  if (type === 'file') return createFileSessionStore(options);
+  throw new ValidationError(`Unknown session store type: ${type}`, 'SESSION_STORE');
+}
@@ -0,0 +1,187 @@
+import { ValidationError } from './errors.js';
+
+// Structured patches for refine_specification.
+//
+// Instead of asking the AI to regenerate the whole specification (and lose
+// everything it wasn't shown), refinement asks for a list of operations keyed
+// by module and function name, which are applied here:
+//
+//   { "op": "add_module",      "module": { "name", "description", "functions": [...] } }
+//   { "op": "modify_module",   "module": "Auth", "changes": { "description": "..." } }
+//   { "op": "add_function",    "module": "Auth", "function": { "name", "purpose", ... } }
+//   { "op": "modify_function", "module": "Auth", "function": "login", "changes": { "purpose": "..." } }
+//   { "op": "remove_item",     "module": "Auth" }                       (whole module)
+//   { "op": "remove_item",     "module": "Auth", "function": "login" }  (one function)
+//   { "op": "update_requirements", "changes": { "functional": [...] } }
+//
+// Operation names match the refine_specification action_type enum. When the
+// caller picks an action_type other than "auto", only that operation is
+// accepted.
+
+export const PATCH_OPERATIONS = [
+  'add_module', 'modify_module', 'add_function', 'modify_function', 'remove_item', 'update_requirements'
+];
+
+const MODULE_FIELDS = ['name', 'description'];
+const FUNCTION_FIELDS = [
+  'name', 'purpose', 'parameters', 'returnValue', 'designSpec',
+  'functionDefinition', 'remarks', 'testCases'
+];
+const REQUIREMENT_FIELDS = ['functional', 'nonFunctional', 'system'];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isName(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function pick(source, fields) {
+  const result = {};
+  for (const field of fields) {
+    if (source[field] !== undefined) result[field] = source[field];
+  }
+  return result;
+}
+
+function findModule(spec, name, field) {
+  const module = spec.modules.find(m => m.name === name);
+  if (!module) {
+    throw new ValidationError(`Module "${name}" does not exist`, field);
+  }
+  return module;
+}
+
+function findFunctionIndex(module, name, field) {
+  const index = (module.functions || []).findIndex(fn => fn.name === name);
+  if (index === -1) {
+    throw new ValidationError(`Function "${name}" does not exist in module "${module.name}"`, field);
+  }
+  return index;
+}
+
+function checkChanges(changes, allowed, field) {
+  if (!isObject(changes) || Object.keys(changes).length === 0) {
+    throw new ValidationError('"changes" must be a non-empty object', field);
+  }
+  const unknown = Object.keys(changes).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown field(s): ${unknown.join(', ')}`, field);
+  }
+}
+
+function applyOperation(spec, operation, field) {
+  const { op } = operation;
+
+  if (op === 'add_module') {
+    const module = operation.module;
+    if (!isObject(module) || !isName(module.name)) {
+      throw new ValidationError('add_module requires a module object with a name', field);
+    }
+    if (spec.modules.some(m => m.name === module.name)) {
+      throw new ValidationError(`Module "${module.name}" already exists`, field);
+    }
+    if (module.functions !== undefined && !Array.isArray(module.functions)) {
+      throw new ValidationError('Module functions must be an array', field);
+    }
+    spec.modules.push({
+      ...pick(module, MODULE_FIELDS),
+      functions: (module.functions || []).map(fn => pick(fn, FUNCTION_FIELDS))
+    });
+    return `Added module ${module.name}`;
+  }
+
+  if (op === 'modify_module') {
+    const module = findModule(spec, operation.module, field);
+    checkChanges(operation.changes, MODULE_FIELDS, field);
+    const { name } = operation.changes;
+    if (name !== undefined && name !== module.name && spec.modules.some(m => m.name === name)) {
+      throw new ValidationError(`Cannot rename to "${name}": module already exists`, field);
+    }
+    Object.assign(module, operation.changes);
+    return `Modified module ${operation.module}`;
+  }
+
+  if (op === 'add_function') {
+    const module = findModule(spec, operation.module, field);
+    const fn = operation.function;
+    if (!isObject(fn) || !isName(fn.name)) {
+      throw new ValidationError('add_function requires a function object with a name', field);
+    }
+    module.functions = module.functions || [];
+    if (module.functions.some(existing => existing.name === fn.name)) {
+      throw new ValidationError(`Function "${fn.name}" already exists in module "${module.name}"`, field);
+    }
+    module.functions.push(pick(fn, FUNCTION_FIELDS));
+    return `Added function ${module.name}.${fn.name}`;
+  }
+
+  if (op === 'modify_function') {
+    const module = findModule(spec, operation.module, field);
+    const index = findFunctionIndex(module, operation.function, field);
+    checkChanges(operation.changes, FUNCTION_FIELDS, field);
+    const { name } = operation.changes;
+    if (name !== undefined && name !== operation.function && module.functions.some(fn => fn.name === name)) {
+      throw new ValidationError(`Cannot rename to "${name}": function already exists`, field);
+    }
+    Object.assign(module.functions[index], operation.changes);
+    return `Modified function ${module.name}.${operation.function}`;
+  }
+
+  if (op === 'remove_item') {
+    const module = findModule(spec, operation.module, field);
+    if (operation.function === undefined || operation.function === null) {
+      spec.modules = spec.modules.filter(m => m !== module);
+      return `Removed module ${module.name}`;
+    }
+    const index = findFunctionIndex(module, operation.function, field);
+    module.functions.splice(index, 1);
+    return `Removed function ${module.name}.${operation.function}`;
+  }
+
+  if (op === 'update_requirements') {
+    checkChanges(operation.changes, REQUIREMENT_FIELDS, field);
+    spec.requirements = { ...(spec.requirements || {}), ...operation.changes };
+    return `Updated requirements (${Object.keys(operation.changes).join(', ')})`;
+  }
+
+  throw new ValidationError(`Unknown operation "${op}". Expected one of: ${PATCH_OPERATIONS.join(', ')}`, field);
+}
+
+/**
+ * Applies a patch ({ operations: [...] }) to a copy of `specification`.
+ * The patch is all-or-nothing: the first invalid operation throws a
+ * ValidationError naming it (field "operations[i]") and the original
+ * specification is left untouched.
+ *
+ * @param {object} specification  Current specification (not mutated)
+ * @param {object} patch          { summary?, operations: [...] }
+ * @param {string} actionType     refine_specification action_type; anything
+ *                                other than "auto" restricts the allowed ops
+ * @returns {{ specification: object, applied: string[] }}
+ */
+export function applySpecificationPatch(specification, patch, actionType = 'auto') {
+  if (!isObject(patch) || !Array.isArray(patch.operations)) {
+    throw new ValidationError('Patch must be an object with an operations array', 'operations');
+  }
+  if (patch.operations.length === 0) {
+    throw new ValidationError('Patch contains no operations', 'operations');
+  }
+
+  const spec = JSON.parse(JSON.stringify(specification));
+  if (!Array.isArray(spec.modules)) spec.modules = [];
+
+  const applied = patch.operations.map((operation, index) => {
+    const field = `operations[${index}]`;
+    if (!isObject(operation)) {
+      throw new ValidationError('Operation must be an object', field);
+    }
+    if (actionType !== 'auto' && operation.op !== actionType) {
+      throw new ValidationError(`Operation "${operation.op}" is not allowed for action_type "${actionType}"`, field);
+    }
+    return applyOperation(spec, operation, field);
+  });
+
+  return { specification: spec, applied };
+}
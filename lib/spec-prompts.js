@@ -0,0 +1,171 @@
+import { JSONRPC_ERRORS, ProtocolError } from './errors.js';
+import { detectLanguage } from './language.js';
+import { readSessionResource, sessionResourceURI } from './spec-resources.js';
+
+// MCP prompts: guided workflows that chain the server's tools in the order
+// they depend on each other (analyze first, since every other tool needs the
+// session it creates).
+//
+// Each prompt renders in Korean or English: the `language` argument if
+// given, else the language of the user's text or of the session's
+// specification. Prompts about a session embed its spec.json resource so
+// the model starts from the stored document.
+
+const LANGUAGES = ['en', 'ko'];
+
+const LANGUAGE_ARGUMENT = {
+  name: 'language',
+  description: 'Language of the prompt: "en" or "ko" (default: detected from the other arguments or the specification)',
+  required: false
+};
+
+const SESSION_ARGUMENT = {
+  name: 'session_id',
+  description: 'Specification session ID (returned from analyze_project_request; see list_sessions)',
+  required: true
+};
+
+export const PROMPTS = [
+  {
+    name: 'new_project_interview',
+    description: 'Interview the user about a new project, then generate, trim and export its specification with the tools in the right order',
+    arguments: [
+      { name: 'idea', description: 'What the user wants to build, in their own words (optional)', required: false },
+      LANGUAGE_ARGUMENT
+    ]
+  },
+  {
+    name: 'refine_for_security',
+    description: 'Review a specification for security weaknesses and fix them with refine_specification',
+    arguments: [
+      SESSION_ARGUMENT,
+      { name: 'focus', description: 'Area to concentrate on, e.g. "authentication" or "payment data" (optional)', required: false },
+      LANGUAGE_ARGUMENT
+    ]
+  },
+  {
+    name: 'review_spec_for_gaps',
+    description: 'Review a specification for missing modules, functions, test cases and uncovered requirements, and propose refinements',
+    arguments: [SESSION_ARGUMENT, LANGUAGE_ARGUMENT]
+  }
+];
+
+// Prompt text per language; each entry renders the instructions from the
+// prompt's arguments
+const PROMPT_TEXT = {
+  en: {
+    new_project_interview: {
+      description: 'New project interview',
+      text: ({ idea }) => `You are helping me write a software design specification with the sds-generator tools.
+${idea ? `\nMy idea: ${idea}\n` : ''}
+1. Interview me first, a few questions at a time: who the users are, the main features, the target platform (web, mobile, desktop, backend/API or embedded), data that must be stored, integrations, and constraints such as security, scale or deadlines. Stop when you can describe the project in one solid paragraph.
+2. Call analyze_project_request with that paragraph as project_description. Set target_platform only if I named one. Keep the session_id it returns; every later step needs it.
+3. Show me the generated modules. If I want fewer, call select_modules with the names I keep. Do not call select_modules before step 2.
+4. Apply any change I ask for with refine_specification (same session_id).
+5. When I am happy, call export_specification with the format I want (markdown by default).
+
+If I only want to compare technology stacks, select_tech_stack lists them, but analyze_project_request already picks one.`
+    },
+    refine_for_security: {
+      description: 'Security review',
+      text: ({ session_id, focus }) => `Review the specification above (session ${session_id}) for security weaknesses${focus ? `, concentrating on ${focus}` : ''}.
+
+1. Check authentication and authorization, input validation, handling of secrets and personal data, encryption in transit and at rest, logging and auditing, rate limiting, and error messages that leak internals.
+2. List each weakness with the module or function it affects, why it matters and how to fix it. Ask me which fixes to apply.
+3. Apply each accepted fix with refine_specification (session_id "${session_id}"): describe it in modification_request, and use action_type add_function or modify_function when the fix is a single function.
+4. Summarize what changed. list_revisions shows the revisions; revert_specification undoes one.`
+    },
+    review_spec_for_gaps: {
+      description: 'Gap review',
+      text: ({ session_id }) => `Review the specification above (session ${session_id}) for gaps before it is handed to developers.
+
+1. Check that every functional and non-functional requirement is covered by at least one function, and name those that are not.
+2. Look for features the project obviously needs but no module provides (e.g. settings, notifications, administration, data migration).
+3. Flag functions with vague purposes, missing parameters or return values, or fewer than two test cases, including one failure case.
+4. Report the gaps as a prioritized list and ask me which to fill.
+5. Fill each accepted gap with refine_specification (session_id "${session_id}"), using action_type add_module for new modules and add_function for new functions.`
+    }
+  },
+  ko: {
+    new_project_interview: {
+      description: '새 프로젝트 인터뷰',
+      text: ({ idea }) => `sds-generator 도구로 소프트웨어 설계 명세서 작성을 도와주세요.
+${idea ? `\n제 아이디어: ${idea}\n` : ''}
+1. 먼저 한 번에 몇 가지씩 질문해 주세요: 사용자가 누구인지, 주요 기능, 대상 플랫폼(웹, 모바일, 데스크톱, 백엔드/API, 임베디드), 저장할 데이터, 외부 연동, 보안·규모·일정 같은 제약 조건. 프로젝트를 탄탄한 한 문단으로 설명할 수 있으면 질문을 멈추세요.
+2. 그 문단을 project_description으로 analyze_project_request를 호출하세요. 제가 플랫폼을 말한 경우에만 target_platform을 지정하세요. 반환된 session_id는 이후 모든 단계에 필요하니 기억해 두세요.
+3. 생성된 모듈을 보여 주세요. 일부만 원하면 남길 모듈 이름으로 select_modules를 호출하세요. 2단계 전에는 select_modules를 호출하지 마세요.
+4. 제가 요청하는 수정은 refine_specification(같은 session_id)으로 반영하세요.
+5. 만족하면 제가 원하는 형식(기본은 markdown)으로 export_specification을 호출하세요.
+
+기술 스택만 비교하고 싶을 때는 select_tech_stack으로 목록을 볼 수 있지만, analyze_project_request가 이미 스택을 골라 줍니다.`
+    },
+    refine_for_security: {
+      description: '보안 검토',
+      text: ({ session_id, focus }) => `위 명세서(세션 ${session_id})의 보안 취약점을 검토해 주세요${focus ? `. 특히 ${focus}에 집중해 주세요` : ''}.
+
+1. 인증과 권한, 입력 검증, 비밀 정보와 개인정보 처리, 전송 및 저장 시 암호화, 로깅과 감사, 요청 제한, 내부 정보를 노출하는 오류 메시지를 확인하세요.
+2. 각 취약점을 영향받는 모듈이나 함수, 중요한 이유, 해결 방법과 함께 나열하고 어떤 수정을 적용할지 물어봐 주세요.
+3. 승인된 수정은 refine_specification(session_id "${session_id}")으로 하나씩 적용하세요. modification_request에 내용을 설명하고, 함수 하나만 바꾸는 수정이면 action_type을 add_function 또는 modify_function으로 지정하세요.
+4. 변경 사항을 요약해 주세요. 리비전은 list_revisions로 보고 revert_specification으로 되돌릴 수 있습니다.`
+    },
+    review_spec_for_gaps: {
+      description: '누락 항목 검토',
+      text: ({ session_id }) => `개발자에게 넘기기 전에 위 명세서(세션 ${session_id})에 빠진 부분이 없는지 검토해 주세요.
+
+1. 모든 기능·비기능 요구사항이 최소 하나의 함수로 다뤄지는지 확인하고, 그렇지 않은 요구사항을 알려 주세요.
+2. 프로젝트에 분명히 필요하지만 어떤 모듈에도 없는 기능(예: 설정, 알림, 관리자 기능, 데이터 마이그레이션)을 찾아 주세요.
+3. 목적이 모호하거나 매개변수·반환값이 빠졌거나, 실패 사례를 포함한 테스트 케이스가 두 개 미만인 함수를 표시해 주세요.
+4. 누락 항목을 우선순위 목록으로 보고하고 어떤 것을 채울지 물어봐 주세요.
+5. 승인된 항목은 refine_specification(session_id "${session_id}")으로 채우세요. 새 모듈은 action_type add_module, 새 함수는 add_function을 사용하세요.`
+    }
+  }
+};
+
+function chooseLanguage(language, sample) {
+  if (language === undefined) return detectLanguage(sample);
+  if (!LANGUAGES.includes(language)) {
+    throw new ProtocolError(`Invalid prompt argument language: must be one of ${LANGUAGES.join(', ')}`, JSONRPC_ERRORS.invalidParams);
+  }
+  return language;
+}
+
+/**
+ * Renders a prompt for prompts/get.
+ *
+ * @param {string} name One of PROMPTS
+ * @param {object} [args] The prompt's arguments (strings)
+ * @param {(sessionId: string) => Promise<object|undefined>} getSession Session lookup (the session store's get)
+ * @returns {Promise<{description: string, messages: object[]}>}
+ * @throws {ProtocolError} for an unknown prompt, a missing or invalid argument, or an unknown session
+ */
+export async function getPrompt(name, args = {}, getSession) {
+  const prompt = PROMPTS.find(candidate => candidate.name === name);
+  if (!prompt) {
+    throw new ProtocolError(`Unknown prompt: ${name}`, JSONRPC_ERRORS.invalidParams);
+  }
+  for (const argument of prompt.arguments) {
+    const value = args[argument.name];
+    if (argument.required && (value === undefined || value === '')) {
+      throw new ProtocolError(`Missing prompt argument ${argument.name} for ${name}`, JSONRPC_ERRORS.invalidParams);
+    }
+    if (value !== undefined && typeof value !== 'string') {
+      throw new ProtocolError(`Invalid prompt argument ${argument.name}: must be a string`, JSONRPC_ERRORS.invalidParams);
+    }
+  }
+
+  const messages = [];
+  let sample = [args.idea, args.focus].filter(Boolean).join(' ');
+  if (args.session_id) {
+    const sessionData = await getSession(args.session_id);
+    if (!sessionData) {
+      throw new ProtocolError(`Specification session not found: ${args.session_id}`, JSONRPC_ERRORS.invalidParams);
+    }
+    sample ||= sessionData.specification?.description || sessionData.specification?.title || '';
+    const resource = await readSessionResource(sessionResourceURI(args.session_id, 'spec.json'), () => sessionData);
+    messages.push({ role: 'user', content: { type: 'resource', resource } });
+  }
+
+  const text = PROMPT_TEXT[chooseLanguage(args.language, sample)][name];
+  messages.push({ role: 'user', content: { type: 'text', text: text.text(args) } });
+  return { description: text.description, messages };
+}
@@ -0,0 +1,171 @@
+import { logger } from './config.js';
+import { JSONRPC_ERRORS, ProtocolError } from './errors.js';
+import { render } from './pipeline.js';
+
+// MCP resources for stored specification sessions.
+//
+// Each session is exposed under sds://session/{id}/:
+//
+//   spec.json        the specification document (schema/specification.schema.json)
+//   spec.md          the same rendered as markdown
+//   module/{name}    one module as JSON; the name is URI-encoded
+//
+// Clients subscribe to a URI (resources/subscribe) to be told with
+// notifications/resources/updated when a tool changes what it returns.
+
+export const RESOURCE_SCHEME = 'sds';
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'sds://session/{session_id}/spec.json',
+    name: 'Specification (JSON)',
+    description: 'The specification of a session as JSON, matching schema/specification.schema.json',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'sds://session/{session_id}/spec.md',
+    name: 'Specification (Markdown)',
+    description: 'The specification of a session rendered as markdown',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'sds://session/{session_id}/module/{name}',
+    name: 'Module',
+    description: 'One module of a session\'s specification as JSON, with its functions',
+    mimeType: 'application/json'
+  }
+];
+
+const URI_PATTERN = /^sds:\/\/session\/([^/]+)\/(spec\.json|spec\.md|module\/([^/]+))$/;
+
+export function sessionResourceURI(sessionId, path) {
+  return `${RESOURCE_SCHEME}://session/${sessionId}/${path}`;
+}
+
+const moduleURI = (sessionId, name) => sessionResourceURI(sessionId, `module/${encodeURIComponent(name)}`);
+
+// { sessionId, kind: 'spec.json' | 'spec.md' | 'module', module } or null
+export function parseResourceURI(uri) {
+  const match = typeof uri === 'string' ? URI_PATTERN.exec(uri) : null;
+  if (!match) return null;
+  if (!match[3]) return { sessionId: match[1], kind: match[2] };
+  try {
+    return { sessionId: match[1], kind: 'module', module: decodeURIComponent(match[3]) };
+  } catch {
+    return null;
+  }
+}
+
+const modulesOf = (specification) => (Array.isArray(specification?.modules) ? specification.modules : []);
+
+// Resource descriptors for one session, for resources/list
+export function listSessionResources(sessionId, sessionData) {
+  const title = sessionData.specification?.title || sessionId;
+  return [
+    {
+      uri: sessionResourceURI(sessionId, 'spec.json'),
+      name: `${title} (JSON)`,
+      description: `Specification of session ${sessionId}`,
+      mimeType: 'application/json'
+    },
+    {
+      uri: sessionResourceURI(sessionId, 'spec.md'),
+      name: `${title} (Markdown)`,
+      description: `Specification of session ${sessionId}, rendered as markdown`,
+      mimeType: 'text/markdown'
+    },
+    ...modulesOf(sessionData.specification).map(module => ({
+      uri: moduleURI(sessionId, module.name),
+      name: `${title}: ${module.name}`,
+      description: module.description,
+      mimeType: 'application/json'
+    }))
+  ];
+}
+
+/**
+ * Contents of a resource for resources/read.
+ *
+ * @param {string} uri
+ * @param {(sessionId: string) => Promise<object|undefined>} getSession Session lookup (the session store's get)
+ * @returns {Promise<{uri: string, mimeType: string, text: string}>}
+ * @throws {ProtocolError} for a malformed URI (invalid params) or a missing session or module (resource not found)
+ */
+export async function readSessionResource(uri, getSession) {
+  const parsed = parseResourceURI(uri);
+  if (!parsed) {
+    throw new ProtocolError(`Invalid resource URI: ${uri} (expected sds://session/{id}/spec.json, spec.md or module/{name})`, JSONRPC_ERRORS.invalidParams);
+  }
+  const sessionData = await getSession(parsed.sessionId);
+  if (!sessionData) {
+    throw new ProtocolError(`Resource not found: ${uri} (no session ${parsed.sessionId})`, JSONRPC_ERRORS.resourceNotFound);
+  }
+  const { specification } = sessionData;
+
+  if (parsed.kind === 'spec.json') {
+    return { uri, mimeType: 'application/json', text: render(specification, 'json') };
+  }
+  if (parsed.kind === 'spec.md') {
+    return { uri, mimeType: 'text/markdown', text: render(specification, 'markdown', { platform: sessionData.platform }) };
+  }
+  const module = modulesOf(specification).find(candidate => candidate.name === parsed.module);
+  if (!module) {
+    throw new ProtocolError(`Resource not found: ${uri} (no module "${parsed.module}" in session ${parsed.sessionId})`, JSONRPC_ERRORS.resourceNotFound);
+  }
+  return { uri, mimeType: 'application/json', text: JSON.stringify(module, null, 2) };
+}
+
+// URIs of a session whose contents differ between two versions of its
+// specification (either may be null: session created or deleted)
+function changedURIs(sessionId, before, after) {
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  const uris = [sessionResourceURI(sessionId, 'spec.json'), sessionResourceURI(sessionId, 'spec.md')];
+  const beforeModules = new Map(modulesOf(before).map(module => [module.name, JSON.stringify(module)]));
+  const afterModules = new Map(modulesOf(after).map(module => [module.name, JSON.stringify(module)]));
+  for (const name of new Set([...beforeModules.keys(), ...afterModules.keys()])) {
+    if (beforeModules.get(name) !== afterModules.get(name)) uris.push(moduleURI(sessionId, name));
+  }
+  return uris;
+}
+
+/**
+ * Resource subscriptions of the connected clients (see `connection` in
+ * jsonrpc.js). notifyChanged() sends notifications/resources/updated to
+ * every connection subscribed to a URI whose contents changed.
+ */
+export function createResourceSubscriptions() {
+  // URI → Set of connections
+  const subscribers = new Map();
+
+  return {
+    subscribe(connection, uri) {
+      if (!subscribers.has(uri)) subscribers.set(uri, new Set());
+      subscribers.get(uri).add(connection);
+    },
+
+    unsubscribe(connection, uri) {
+      subscribers.get(uri)?.delete(connection);
+      if (subscribers.get(uri)?.size === 0) subscribers.delete(uri);
+    },
+
+    // `before`/`after` are the session's specification before and after the
+    // change; pass `after = null` when the session was deleted.
+    notifyChanged(sessionId, before, after) {
+      for (const uri of changedURIs(sessionId, before, after)) {
+        for (const connection of subscribers.get(uri) || []) {
+          // Connections of ended HTTP sessions are dropped on the way
+          if (connection.closed) {
+            this.unsubscribe(connection, uri);
+            continue;
+          }
+          try {
+            connection.notify('notifications/resources/updated', { uri });
+          } catch (error) {
+            logger.warn(`Could not notify ${connection.id} about ${uri}: ${error.message}`);
+          }
+        }
+        if (after === null) subscribers.delete(uri);
+      }
+    }
+  };
+}
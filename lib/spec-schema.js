@@ -0,0 +1,178 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { ValidationError } from './errors.js';
+
+// JSON Schema of the specification document (schema/specification.schema.json),
+// shipped with the package for downstream tools, and a validator for the
+// subset of JSON Schema it uses: type, required, properties, items, minItems,
+// pattern, enum and local "#/$defs/..." references.
+//
+// Errors are reported per field with the same paths the refine patches use,
+// e.g. "modules[2].functions[0].functionDefinition".
+
+export const SPECIFICATION_SCHEMA_PATH = fileURLToPath(new URL('../schema/specification.schema.json', import.meta.url));
+export const SPECIFICATION_SCHEMA = JSON.parse(readFileSync(SPECIFICATION_SCHEMA_PATH, 'utf8'));
+
+// How many field errors a ValidationError message lists before summarizing.
+const MAX_REPORTED_ERRORS = 10;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref) {
+  const match = /^#\/\$defs\/(.+)$/.exec(ref);
+  const schema = match && SPECIFICATION_SCHEMA.$defs[match[1]];
+  if (!schema) throw new Error(`Unsupported schema reference ${ref}`);
+  return schema;
+}
+
+function describe(schema) {
+  if (schema.$ref) return describe(resolveRef(schema.$ref));
+  return schema.pattern === '\\S' ? 'a non-empty string' : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`;
+}
+
+function validateValue(value, schema, path, errors) {
+  if (schema.$ref) {
+    const before = errors.length;
+    validateValue(value, resolveRef(schema.$ref), path, errors);
+    if (errors.length > before) return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path, message: `must be ${describe(schema)}` });
+    return;
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern, 'u').test(value)) {
+    errors.push({ path, message: `must be ${describe(schema)}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+    }
+    return;
+  }
+
+  if (typeOf(value) === 'object') {
+    const field = (key) => (path ? `${path}.${key}` : key);
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: field(key), message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        validateValue(value[key], propertySchema, field(key), errors);
+      }
+    }
+  }
+}
+
+// The document schema restricted to some of its top-level fields.
+function pickFields(fields) {
+  return {
+    type: 'object',
+    required: SPECIFICATION_SCHEMA.required.filter(field => fields.includes(field)),
+    properties: Object.fromEntries(fields.map(field => [field, SPECIFICATION_SCHEMA.properties[field]]))
+  };
+}
+
+/**
+ * Validates `value` against the specification schema, or a section of it so
+ * parts can be checked as they are generated.
+ *
+ * @param {*} value
+ * @param {object} [options]
+ * @param {string} [options.definition] Validate against this "$defs" entry (e.g. "module")
+ * @param {string[]} [options.fields]   Validate only these top-level fields of the document
+ * @param {string} [options.path='']    Path prefix for the reported fields
+ * @returns {{path: string, message: string}[]} Empty when valid
+ */
+export function validateSpecification(value, { definition, fields, path = '' } = {}) {
+  const schema = definition ? resolveRef(`#/$defs/${definition}`) : fields ? pickFields(fields) : SPECIFICATION_SCHEMA;
+  const errors = [];
+  validateValue(value, schema, path, errors);
+  return errors;
+}
+
+// The same validation against any schema in that subset, e.g. an MCP tool's
+// inputSchema. "$ref"s still resolve against the specification schema.
+export function validateAgainstSchema(value, schema, { path = '' } = {}) {
+  const errors = [];
+  validateValue(value, schema, path, errors);
+  return errors;
+}
+
+// One line per field error, for messages and for re-prompting the model.
+export function formatSchemaErrors(errors) {
+  const lines = errors.slice(0, MAX_REPORTED_ERRORS).map(error => `${error.path || '(root)'} ${error.message}`);
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    lines.push(`... and ${errors.length - MAX_REPORTED_ERRORS} more`);
+  }
+  return lines.join('; ');
+}
+
+/**
+ * Throws a ValidationError naming the first invalid field (and listing the
+ * others in the message) unless `value` matches the schema. Takes the same
+ * options as validateSpecification, plus `baseline`: a previous version of
+ * the document whose errors are ignored, so an edit is only blamed for the
+ * problems it introduced.
+ */
+export function assertValidSpecification(value, options = {}) {
+  const known = options.baseline
+    ? new Set(validateSpecification(options.baseline, options).map(error => `${error.path} ${error.message}`))
+    : new Set();
+  const errors = validateSpecification(value, options).filter(error => !known.has(`${error.path} ${error.message}`));
+  if (errors.length > 0) {
+    throw new ValidationError(
+      `${options.definition ? `Invalid ${options.definition}` : 'Specification does not match the schema'}: ${formatSchemaErrors(errors)}`,
+      errors[0].path || options.definition || 'specification'
+    );
+  }
+  return value;
+}
+
+// Copy of `schema` with local references replaced by their definitions, for
+// consumers that don't resolve "$ref" (vendor structured-output APIs).
+function inlineRefs(schema) {
+  if (Array.isArray(schema)) return schema.map(inlineRefs);
+  if (!schema || typeof schema !== 'object') return schema;
+  const { $ref, ...rest } = schema;
+  const result = $ref ? inlineRefs(resolveRef($ref)) : {};
+  for (const [key, value] of Object.entries(rest)) {
+    result[key] = inlineRefs(value);
+  }
+  return result;
+}
+
+/**
+ * A self-contained schema for one AI response, for providers with native
+ * structured output (see the `schema` option of callAI). Selects part of the
+ * specification schema like validateSpecification does.
+ *
+ * @param {string} name Identifier for the response (letters, digits, _ and -)
+ * @returns {{name: string, schema: object}}
+ */
+export function responseSchema(name, { definition, fields } = {}) {
+  const schema = definition ? resolveRef(`#/$defs/${definition}`) : fields ? pickFields(fields) : SPECIFICATION_SCHEMA;
+  const { $schema, $id, $defs, title, ...rest } = schema;
+  return { name, schema: inlineRefs(rest) };
+}
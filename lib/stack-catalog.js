@@ -0,0 +1,225 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CONFIG, logger } from './config.js';
+import { ConfigurationError } from './errors.js';
+import { parseYAML } from './yaml.js';
+import { techStackOptions, resolvePlatform } from './tech-stacks.js';
+
+// User-defined tech stack catalog.
+//
+// Customizations are read from (in order, later files win):
+//   1. ~/.sds-generator/stacks.{json,yaml,yml}
+//   2. ./sds-stacks.{json,yaml,yml}, or the file named by STACKS_FILE
+//
+// File format (JSON or the YAML equivalent):
+//   {
+//     "platforms": {
+//       "backend": {
+//         "add":      [{ "name": "NestJS + Prisma", "stack": { "language": "TypeScript", ... } }],
+//         "override": [{ "name": "Node.js/Express", "stack": { "database": ["PostgreSQL"] } }],
+//         "hide":     ["Python/FastAPI"]
+//       }
+//     }
+//   }
+//
+// Customizations are applied to `techStackOptions` in place, so the CLI menu,
+// the MCP select_tech_stack tool and the pipeline all see the same catalog.
+
+const BUILTIN_STACKS = structuredClone(techStackOptions);
+
+const STACK_FIELDS = ['language', 'framework', 'frontend', 'backend', 'stateManagement', 'database', 'testing', 'deployment', 'tools'];
+const PLATFORM_SECTIONS = ['add', 'override', 'hide'];
+const FILE_NAMES = ['json', 'yaml', 'yml'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+async function findFile(candidates) {
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      // try the next one
+    }
+  }
+  return null;
+}
+
+async function readCatalogFile(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigurationError(`Cannot read tech stack catalog ${filePath}: ${error.message}`);
+  }
+  try {
+    return /\.ya?ml$/i.test(filePath) ? parseYAML(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigurationError(`Invalid tech stack catalog ${filePath}: ${error.message}`);
+  }
+}
+
+// Validates the `stack` object of an entry. With `partial`, fields may be
+// omitted (overrides); otherwise `language` is required.
+function validateStackFields(stack, where, partial) {
+  if (!isPlainObject(stack)) {
+    throw new Error(`${where} must be an object`);
+  }
+  for (const [field, value] of Object.entries(stack)) {
+    if (!STACK_FIELDS.includes(field)) {
+      throw new Error(`${where}.${field} is not a known field (expected: ${STACK_FIELDS.join(', ')})`);
+    }
+    if (field === 'database') {
+      const valid = typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+      if (!valid) throw new Error(`${where}.database must be a string or a list of strings`);
+    } else if (typeof value !== 'string' || value.trim() === '') {
+      throw new Error(`${where}.${field} must be a non-empty string`);
+    }
+  }
+  if (!partial && !stack.language) {
+    throw new Error(`${where}.language is required`);
+  }
+}
+
+function normalizeStack(stack) {
+  const normalized = { ...stack };
+  if (typeof normalized.database === 'string') {
+    normalized.database = normalized.database.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return normalized;
+}
+
+function validateEntry(entry, where, partial) {
+  if (!isPlainObject(entry)) {
+    throw new Error(`${where} must be an object with "name" and "stack"`);
+  }
+  const unknown = Object.keys(entry).filter(key => key !== 'name' && key !== 'stack');
+  if (unknown.length > 0) {
+    throw new Error(`${where}.${unknown[0]} is not allowed (expected "name" and "stack")`);
+  }
+  if (typeof entry.name !== 'string' || entry.name.trim() === '') {
+    throw new Error(`${where}.name must be a non-empty string`);
+  }
+  validateStackFields(entry.stack, `${where}.stack`, partial);
+}
+
+// Applies one file's customizations to `catalog` (mutated). Throws plain
+// Errors with a JSON path; the caller adds the file name.
+function applyCustomizations(catalog, config) {
+  if (!isPlainObject(config)) {
+    throw new Error('the file must contain an object with a "platforms" key');
+  }
+  const unknown = Object.keys(config).filter(key => key !== 'platforms');
+  if (unknown.length > 0) {
+    throw new Error(`unknown top-level key "${unknown[0]}" (expected "platforms")`);
+  }
+  if (!isPlainObject(config.platforms)) {
+    throw new Error('"platforms" must be an object keyed by platform');
+  }
+
+  for (const [platformName, changes] of Object.entries(config.platforms)) {
+    const platform = resolvePlatform(platformName);
+    const where = `platforms.${platformName}`;
+    if (!catalog[platform]) {
+      throw new Error(`${where}: unknown platform (expected one of: ${Object.keys(catalog).join(', ')}, api)`);
+    }
+    if (!isPlainObject(changes)) {
+      throw new Error(`${where} must be an object with add, override and/or hide`);
+    }
+    const unknownSection = Object.keys(changes).find(key => !PLATFORM_SECTIONS.includes(key));
+    if (unknownSection) {
+      throw new Error(`${where}.${unknownSection} is not allowed (expected: ${PLATFORM_SECTIONS.join(', ')})`);
+    }
+    for (const section of PLATFORM_SECTIONS) {
+      if (changes[section] !== undefined && changes[section] !== null && !Array.isArray(changes[section])) {
+        throw new Error(`${where}.${section} must be a list`);
+      }
+    }
+
+    const stacks = catalog[platform];
+
+    (changes.override || []).forEach((entry, index) => {
+      validateEntry(entry, `${where}.override[${index}]`, true);
+      const target = stacks.find(stack => sameName(stack.name, entry.name));
+      if (!target) {
+        throw new Error(`${where}.override[${index}]: no ${platform} stack named "${entry.name}" (available: ${stacks.map(stack => stack.name).join(', ')})`);
+      }
+      target.stack = { ...target.stack, ...normalizeStack(entry.stack) };
+    });
+
+    (changes.add || []).forEach((entry, index) => {
+      validateEntry(entry, `${where}.add[${index}]`, false);
+      if (stacks.some(stack => sameName(stack.name, entry.name))) {
+        throw new Error(`${where}.add[${index}]: a ${platform} stack named "${entry.name}" already exists; use "override" to change it`);
+      }
+      stacks.push({ id: 0, name: entry.name.trim(), stack: normalizeStack(entry.stack) });
+    });
+
+    (changes.hide || []).forEach((name, index) => {
+      if (typeof name !== 'string') {
+        throw new Error(`${where}.hide[${index}] must be a stack name`);
+      }
+      const position = stacks.findIndex(stack => sameName(stack.name, name));
+      if (position === -1) {
+        throw new Error(`${where}.hide[${index}]: no ${platform} stack named "${name}" (available: ${stacks.map(stack => stack.name).join(', ')})`);
+      }
+      stacks.splice(position, 1);
+    });
+
+    if (stacks.length === 0) {
+      throw new Error(`${where}: every stack is hidden; at least one must remain`);
+    }
+  }
+}
+
+/**
+ * Loads the user tech stack catalog (see the file format above) and applies
+ * it to `techStackOptions`, starting from the built-in catalog each time so
+ * repeated calls pick up edits. The catalog is only replaced once every file
+ * is valid.
+ *
+ * @param {object} [options]
+ * @param {string} [options.cwd=process.cwd()] Project directory
+ * @param {string} [options.homeDir=os.homedir()]
+ * @param {string} [options.file=CONFIG.stacksFile] Explicit project file
+ * @returns {Promise<{files: string[]}>} Files that were applied
+ * @throws {ConfigurationError} naming the file and the offending entry
+ */
+export async function loadStackCatalog({ cwd = process.cwd(), homeDir = os.homedir(), file = CONFIG.stacksFile } = {}) {
+  const files = [];
+  const homeFile = await findFile(FILE_NAMES.map(ext => path.join(homeDir, '.sds-generator', `stacks.${ext}`)));
+  if (homeFile) files.push(homeFile);
+
+  if (file) {
+    const explicit = path.resolve(cwd, file);
+    if (!(await findFile([explicit]))) {
+      throw new ConfigurationError(`Tech stack catalog not found: ${explicit} (set by STACKS_FILE)`);
+    }
+    files.push(explicit);
+  } else {
+    const projectFile = await findFile(FILE_NAMES.map(ext => path.join(cwd, `sds-stacks.${ext}`)));
+    if (projectFile) files.push(projectFile);
+  }
+
+  const catalog = structuredClone(BUILTIN_STACKS);
+  for (const filePath of files) {
+    const config = await readCatalogFile(filePath);
+    try {
+      applyCustomizations(catalog, config);
+    } catch (error) {
+      throw new ConfigurationError(`Invalid tech stack catalog ${filePath}: ${error.message}`);
+    }
+  }
+
+  for (const [platform, stacks] of Object.entries(catalog)) {
+    stacks.forEach((stack, index) => { stack.id = index + 1; });
+    techStackOptions[platform] = stacks;
+  }
+
+  if (files.length > 0) {
+    logger.debug(`Tech stack catalog loaded from ${files.join(', ')}`);
+  }
+  return { files };
+}
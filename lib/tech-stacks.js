@@ -0,0 +1,288 @@
+// Tech stack catalog by project type.
+//
+// Shared by the CLI menu, the MCP select_tech_stack tool and the generation
+// pipeline. Every entry uses the same `stack` fields so renderers can rely on
+// them; `database` is always an array.
+export const techStackOptions = {
+  mobile: [
+    {
+      id: 1,
+      name: 'React Native',
+      stack: {
+        language: 'JavaScript/TypeScript',
+        framework: 'React Native',
+        frontend: 'React Native',
+        backend: 'Node.js/Express',
+        stateManagement: 'Redux Toolkit / Zustand',
+        database: ['AsyncStorage', 'SQLite', 'Firebase'],
+        testing: 'Jest + React Native Testing Library',
+        deployment: 'App Store / Google Play',
+        tools: 'Metro, React Native CLI'
+      }
+    },
+    {
+      id: 2,
+      name: 'Flutter',
+      stack: {
+        language: 'Dart',
+        framework: 'Flutter',
+        frontend: 'Flutter',
+        backend: 'Firebase/Node.js',
+        stateManagement: 'Provider / Riverpod / Bloc',
+        database: ['Hive', 'SQLite', 'Firebase'],
+        testing: 'Flutter Test Framework',
+        deployment: 'App Store / Google Play',
+        tools: 'Flutter CLI, Dart DevTools'
+      }
+    },
+    {
+      id: 3,
+      name: 'Native iOS (Swift)',
+      stack: {
+        language: 'Swift',
+        framework: 'UIKit / SwiftUI',
+        frontend: 'SwiftUI',
+        backend: 'CloudKit/Firebase',
+        stateManagement: 'Core Data / Combine',
+        database: ['Core Data', 'SQLite', 'CloudKit'],
+        testing: 'XCTest',
+        deployment: 'App Store',
+        tools: 'Xcode, TestFlight'
+      }
+    },
+    {
+      id: 4,
+      name: 'Native Android (Kotlin)',
+      stack: {
+        language: 'Kotlin',
+        framework: 'Android Jetpack',
+        frontend: 'Jetpack Compose',
+        backend: 'Firebase/Retrofit',
+        stateManagement: 'ViewModel / LiveData',
+        database: ['Room', 'SQLite', 'Firebase'],
+        testing: 'JUnit + Espresso',
+        deployment: 'Google Play',
+        tools: 'Android Studio, Gradle'
+      }
+    }
+  ],
+  web: [
+    {
+      id: 1,
+      name: 'React/Next.js',
+      stack: {
+        language: 'JavaScript/TypeScript',
+        framework: 'Next.js',
+        frontend: 'React',
+        backend: 'Node.js/Express',
+        stateManagement: 'Redux Toolkit / Zustand',
+        database: ['PostgreSQL', 'MongoDB'],
+        testing: 'Jest + React Testing Library',
+        deployment: 'Vercel / AWS / Docker',
+        tools: 'Webpack, Babel, ESLint'
+      }
+    },
+    {
+      id: 2,
+      name: 'Vue/Nuxt',
+      stack: {
+        language: 'JavaScript/TypeScript',
+        framework: 'Nuxt.js',
+        frontend: 'Vue.js',
+        backend: 'Node.js/Express',
+        stateManagement: 'Pinia / Vuex',
+        database: ['PostgreSQL', 'MongoDB'],
+        testing: 'Vitest + Vue Test Utils',
+        deployment: 'Netlify / Vercel / Docker',
+        tools: 'Vite, Vue CLI'
+      }
+    }
+  ],
+  backend: [
+    {
+      id: 1,
+      name: 'Node.js/Express',
+      stack: {
+        language: 'JavaScript/TypeScript',
+        framework: 'Express.js',
+        frontend: 'N/A',
+        backend: 'Express.js',
+        stateManagement: 'N/A',
+        database: ['PostgreSQL', 'MongoDB', 'Redis'],
+        testing: 'Jest + Supertest',
+        deployment: 'Docker / AWS / Heroku',
+        tools: 'npm, Jest, Postman'
+      }
+    },
+    {
+      id: 2,
+      name: 'Python/FastAPI',
+      stack: {
+        language: 'Python',
+        framework: 'FastAPI',
+        frontend: 'N/A',
+        backend: 'FastAPI',
+        stateManagement: 'N/A',
+        database: ['PostgreSQL', 'MongoDB', 'Redis'],
+        testing: 'pytest + httpx',
+        deployment: 'Docker / AWS / Heroku',
+        tools: 'pip, pytest, uvicorn'
+      }
+    },
+    {
+      id: 3,
+      name: 'Go (Gin)',
+      stack: {
+        language: 'Go',
+        framework: 'Gin',
+        frontend: 'N/A',
+        backend: 'Gin',
+        stateManagement: 'N/A',
+        database: ['PostgreSQL', 'Redis'],
+        testing: 'go test + testify',
+        deployment: 'Docker / Kubernetes',
+        tools: 'Go modules, golangci-lint, sqlc'
+      }
+    },
+    {
+      id: 4,
+      name: 'Rust/Axum',
+      stack: {
+        language: 'Rust',
+        framework: 'Axum',
+        frontend: 'N/A',
+        backend: 'Axum + Tokio',
+        stateManagement: 'N/A',
+        database: ['PostgreSQL', 'Redis'],
+        testing: 'cargo test',
+        deployment: 'Docker / Kubernetes',
+        tools: 'Cargo, SQLx, Clippy'
+      }
+    },
+    {
+      id: 5,
+      name: 'Java/Spring Boot',
+      stack: {
+        language: 'Java',
+        framework: 'Spring Boot',
+        frontend: 'N/A',
+        backend: 'Spring Boot',
+        stateManagement: 'N/A',
+        database: ['PostgreSQL', 'MySQL', 'Redis'],
+        testing: 'JUnit 5 + Mockito',
+        deployment: 'Docker / Kubernetes / AWS',
+        tools: 'Gradle / Maven, Spring Initializr'
+      }
+    }
+  ],
+  desktop: [
+    {
+      id: 1,
+      name: 'Electron',
+      stack: {
+        language: 'JavaScript/TypeScript',
+        framework: 'Electron',
+        frontend: 'React',
+        backend: 'Node.js (main process)',
+        stateManagement: 'Redux Toolkit / Zustand',
+        database: ['SQLite', 'electron-store'],
+        testing: 'Jest + Playwright',
+        deployment: 'electron-builder (Windows / macOS / Linux)',
+        tools: 'Electron Forge, Vite'
+      }
+    },
+    {
+      id: 2,
+      name: 'Tauri',
+      stack: {
+        language: 'Rust/TypeScript',
+        framework: 'Tauri',
+        frontend: 'React / Svelte',
+        backend: 'Rust (Tauri core)',
+        stateManagement: 'Zustand / Svelte stores',
+        database: ['SQLite'],
+        testing: 'cargo test + Vitest',
+        deployment: 'Tauri bundler (MSI / DMG / AppImage)',
+        tools: 'Tauri CLI, Cargo, Vite'
+      }
+    },
+    {
+      id: 3,
+      name: 'Qt (C++)',
+      stack: {
+        language: 'C++',
+        framework: 'Qt 6',
+        frontend: 'Qt Widgets / QML',
+        backend: 'C++',
+        stateManagement: 'Qt signals and slots',
+        database: ['SQLite', 'Qt SQL'],
+        testing: 'Qt Test',
+        deployment: 'windeployqt / macdeployqt / AppImage',
+        tools: 'Qt Creator, CMake'
+      }
+    }
+  ],
+  embedded: [
+    {
+      id: 1,
+      name: 'Embedded C/FreeRTOS',
+      stack: {
+        language: 'C',
+        framework: 'FreeRTOS',
+        frontend: 'N/A',
+        backend: 'N/A',
+        stateManagement: 'RTOS tasks and queues',
+        database: ['Flash storage', 'EEPROM'],
+        testing: 'Unity + CMock',
+        deployment: 'Firmware flashing (OpenOCD / J-Link)',
+        tools: 'GCC ARM, CMake, GDB'
+      }
+    },
+    {
+      id: 2,
+      name: 'Zephyr RTOS',
+      stack: {
+        language: 'C',
+        framework: 'Zephyr',
+        frontend: 'N/A',
+        backend: 'N/A',
+        stateManagement: 'Zephyr kernel threads and message queues',
+        database: ['NVS', 'LittleFS'],
+        testing: 'Ztest + Twister',
+        deployment: 'west flash / MCUboot OTA',
+        tools: 'west, Zephyr SDK, Devicetree'
+      }
+    },
+    {
+      id: 3,
+      name: 'Arduino',
+      stack: {
+        language: 'C++',
+        framework: 'Arduino',
+        frontend: 'N/A',
+        backend: 'N/A',
+        stateManagement: 'Main loop state machine',
+        database: ['EEPROM', 'SD card'],
+        testing: 'PlatformIO Unit Testing',
+        deployment: 'USB upload / OTA',
+        tools: 'Arduino IDE, PlatformIO'
+      }
+    }
+  ]
+};
+
+// Platform names accepted as aliases of a catalog entry. The MCP schema
+// advertises `api`, which is the backend catalog under another name.
+export const PLATFORM_ALIASES = {
+  api: 'backend'
+};
+
+// Catalog key for a platform name (resolving aliases).
+export function resolvePlatform(platform) {
+  return PLATFORM_ALIASES[platform] || platform;
+}
+
+// Stacks for a platform (or alias), or undefined if the catalog has none.
+export function getTechStacks(platform) {
+  return techStackOptions[resolvePlatform(platform)];
+}
@@ -0,0 +1,362 @@
+// Language-specific code stubs for generated modules.
+//
+// Used by the CLI to write module files into .sds/ and by the MCP server's
+// export_specification when include_templates is set.
+
+// Matches "Java" but not "JavaScript" — a plain includes('java') used to
+// send JavaScript/TypeScript stacks down the Java path.
+const isJava = (language) => /\bjava\b/.test(language);
+const isGo = (language) => /\bgo(lang)?\b/.test(language);
+// Plain C, checked after C++ and C# since "\bc\b" also matches those.
+const isC = (language) => /\bc\b/.test(language);
+
+// Get file extension based on tech stack language
+export function getFileExtension(techStack) {
+  if (!techStack || !techStack.stack || !techStack.stack.language) {
+    return '.js'; // fallback
+  }
+  
+  const language = techStack.stack.language.toLowerCase();
+  
+  if (language.includes('swift')) return '.swift';
+  if (language.includes('dart')) return '.dart';
+  if (isJava(language)) return '.java';
+  if (language.includes('python')) return '.py';
+  if (language.includes('kotlin')) return '.kt';
+  if (language.includes('rust')) return '.rs';
+  if (isGo(language)) return '.go';
+  if (language.includes('c++') || language.includes('cpp')) return '.cpp';
+  if (language.includes('c#')) return '.cs';
+  if (isC(language)) return '.c';
+  
+  return '.js'; // default fallback
+}
+
+// Markdown fence tag for a file extension from getFileExtension()
+const FENCE_LANGUAGES = {
+  '.swift': 'swift',
+  '.dart': 'dart',
+  '.java': 'java',
+  '.py': 'python',
+  '.kt': 'kotlin',
+  '.cpp': 'cpp',
+  '.cs': 'csharp',
+  '.rs': 'rust',
+  '.go': 'go',
+  '.c': 'c',
+  '.js': 'javascript'
+};
+
+export function getTemplateLanguage(techStack) {
+  return FENCE_LANGUAGES[getFileExtension(techStack)] || 'text';
+}
+
+// Generate language-specific code template
+export function generateCodeTemplate(module, techStack) {
+  const language = techStack?.stack?.language?.toLowerCase() || '';
+  
+  if (language.includes('swift')) {
+    return generateSwiftTemplate(module);
+  } else if (language.includes('dart')) {
+    return generateDartTemplate(module);
+  } else if (isJava(language)) {
+    return generateJavaTemplate(module);
+  } else if (language.includes('python')) {
+    return generatePythonTemplate(module);
+  } else if (language.includes('kotlin')) {
+    return generateKotlinTemplate(module);
+  } else if (language.includes('rust')) {
+    return generateRustTemplate(module);
+  } else if (isGo(language)) {
+    return generateGoTemplate(module);
+  } else if (language.includes('c#')) {
+    return generateCSharpTemplate(module);
+  } else if (language.includes('c++') || language.includes('cpp') || isC(language)) {
+    return generateCTemplate(module);
+  } else {
+    return generateJavaScriptTemplate(module);
+  }
+}
+
+// Swift template
+function generateSwiftTemplate(module) {
+  return `// ${module.name} Module
+// ${module.description}
+
+import Foundation
+
+${module.functions && module.functions.length > 0 ? 
+  module.functions.map(func => `
+/**
+ * ${func.purpose}
+ */
+${func.functionDefinition || `func ${func.name}() {
+    // TODO: Implement ${func.name}
+    fatalError("Not implemented")
+}`}
+`).join('\n') : 
+`
+// TODO: Implement ${module.name} module functions
+func initialize() {
+    // TODO: Initialize ${module.name} module
+}
+`}`;
+}
+
+// Dart template  
+function generateDartTemplate(module) {
+  return `// ${module.name} Module
+// ${module.description}
+
+${module.functions && module.functions.length > 0 ? 
+  module.functions.map(func => `
+/**
+ * ${func.purpose}
+ */
+${func.functionDefinition || `void ${func.name}() {
+  // TODO: Implement ${func.name}
+  throw UnimplementedError('${func.name} not implemented');
+}`}
+`).join('\n') : 
+`
+// TODO: Implement ${module.name} module functions
+void initialize() {
+  // TODO: Initialize ${module.name} module
+}
+`}`;
+}
+
+// JavaScript template (existing)
+function generateJavaScriptTemplate(module) {
+  return `// ${module.name} Module
+// ${module.description}
+
+${module.functions && module.functions.length > 0 ? 
+  module.functions.map(func => `
+/**
+ * ${func.purpose}
+ * @param {*} ${Array.isArray(func.parameters) ? func.parameters.join(' @param {*} ') : func.parameters || ''}
+ * @returns {*} ${func.returnValue}
+ */
+function ${func.name}(${Array.isArray(func.parameters) ? func.parameters.join(', ') : func.parameters || ''}) {
+  // TODO: Implement ${func.name}
+  throw new Error('Not implemented');
+}
+`).join('\n') : 
+`
+// TODO: Implement ${module.name} module functions
+function init() {
+  // TODO: Initialize ${module.name} module
+}
+`}
+
+module.exports = {
+${module.functions && module.functions.length > 0 ? 
+  module.functions.map(func => `  ${func.name}`).join(',\n') : 
+  '  init'
+}
+};`;
+}
+
+// Java template
+function generateJavaTemplate(module) {
+  const className = module.name.replace(/\s+/g, '');
+  return `// ${module.name} Module
+// ${module.description}
+
+public class ${className} {
+${module.functions && module.functions.length > 0 ? 
+  module.functions.map(func => `
+    /**
+     * ${func.purpose}
+     */
+    ${func.functionDefinition || `public void ${func.name}() {
+        // TODO: Implement ${func.name}
+        throw new UnsupportedOperationException("Not implemented");
+    }`}
+`).join('\n') : 
+`
+    // TODO: Implement ${module.name} module functions
+    public void initialize() {
+        // TODO: Initialize ${module.name} module
+    }
+`}
+}`;
+}
+
+// Kotlin template
+function generateKotlinTemplate(module) {
+  const className = module.name.replace(/\s+/g, '');
+  return `// ${module.name} Module
+// ${module.description}
+
+class ${className} {
+${module.functions && module.functions.length > 0 ? 
+  module.functions.map(func => `
+    /**
+     * ${func.purpose}
+     */
+    ${func.functionDefinition || `fun ${func.name}() {
+        // TODO: Implement ${func.name}
+        TODO("${func.name} not implemented")
+    }`}
+`).join('\n') : 
+`
+    // TODO: Implement ${module.name} module functions
+    fun initialize() {
+        // TODO: Initialize ${module.name} module
+    }
+`}
+}`;
+}
+
+// C# template
+function generateCSharpTemplate(module) {
+  const className = module.name.replace(/\s+/g, '');
+  return `// ${module.name} Module
+// ${module.description}
+
+using System;
+
+public class ${className}
+{
+${module.functions && module.functions.length > 0 ? 
+  module.functions.map(func => `
+    /// <summary>
+    /// ${func.purpose}
+    /// </summary>
+    ${func.functionDefinition || `public void ${func.name}()
+    {
+        // TODO: Implement ${func.name}
+        throw new NotImplementedException("${func.name} not implemented");
+    }`}
+`).join('\n') : 
+`
+    // TODO: Implement ${module.name} module functions
+    public void Initialize()
+    {
+        // TODO: Initialize ${module.name} module
+    }
+`}
+}`;
+}
+
+// Python template
+function generatePythonTemplate(module) {
+  return `# ${module.name} Module
+# ${module.description}
+
+${module.functions && module.functions.length > 0 ? 
+  module.functions.map(func => `
+def ${func.name}():
+    """${func.purpose}"""
+    # TODO: Implement ${func.name}
+    raise NotImplementedError("${func.name} not implemented")
+`).join('\n') : 
+`
+# TODO: Implement ${module.name} module functions
+def initialize():
+    """Initialize ${module.name} module"""
+    # TODO: Initialize ${module.name} module
+    pass
+`}`;
+}
+
+// Rust template
+function generateRustTemplate(module) {
+  return `// ${module.name} Module
+// ${module.description}
+
+${module.functions && module.functions.length > 0 ? 
+  module.functions.map(func => `
+/// ${func.purpose}
+${func.functionDefinition || `pub fn ${func.name}() {
+    // TODO: Implement ${func.name}
+    todo!("${func.name} not implemented")
+}`}
+`).join('\n') : 
+`
+// TODO: Implement ${module.name} module functions
+pub fn initialize() {
+    // TODO: Initialize ${module.name} module
+}
+`}`;
+}
+
+// Go template
+function generateGoTemplate(module) {
+  const packageName = sanitizeFileName(module.name).replace(/[^a-z0-9]/g, '') || 'module';
+  return `// ${module.name} Module
+// ${module.description}
+
+package ${/^[a-z]/.test(packageName) ? packageName : `m${packageName}`}
+
+${module.functions && module.functions.length > 0 ? 
+  module.functions.map(func => `
+// ${func.name}: ${func.purpose}
+${func.functionDefinition || `func ${func.name}() {
+\t// TODO: Implement ${func.name}
+\tpanic("${func.name} not implemented")
+}`}
+`).join('\n') : 
+`
+// TODO: Implement ${module.name} module functions
+func Initialize() {
+\t// TODO: Initialize ${module.name} module
+}
+`}`;
+}
+
+// C / C++ template (plain functions are valid in both)
+function generateCTemplate(module) {
+  return `/* ${module.name} Module
+ * ${module.description}
+ */
+
+${module.functions && module.functions.length > 0 ? 
+  module.functions.map(func => `
+/**
+ * ${func.purpose}
+ */
+${func.functionDefinition || `void ${func.name}(void) {
+    /* TODO: Implement ${func.name} */
+}`}
+`).join('\n') : 
+`
+/* TODO: Implement ${module.name} module functions */
+void initialize(void) {
+    /* TODO: Initialize ${module.name} module */
+}
+`}`;
+}
+
+// Sanitize a name (typically supplied by the LLM in module.name) for safe
+// use as a filename. Strips path traversal characters, control bytes, and
+// anything that isn't a sane filename character. Falls back to 'module' if
+// the result is empty.
+export function sanitizeFileName(name) {
+  if (typeof name !== 'string') return 'module';
+  const cleaned = name
+    .toLowerCase()
+    .replace(/\s+/g, '_')                  // whitespace → underscore
+    .replace(/[\/\\]/g, '_')               // path separators → underscore
+    .replace(/\.\./g, '_')                 // collapse parent-dir hops
+    .replace(/[^a-z0-9_\-가-힣ぁ-んァ-ン一-龥]/g, '_')  // keep alnum, underscore, hyphen, basic CJK
+    .replace(/^_+|_+$/g, '')               // trim leading/trailing underscores
+    .slice(0, 80);                         // cap length to avoid filesystem limits
+  return cleaned || 'module';
+}
+
+// Stubs for every module of a specification, using its tech stack language.
+// Returns [{ module, fileName, language, code }] in module order.
+export function generateModuleTemplates(specification) {
+  const techStack = specification.techStack;
+  const extension = getFileExtension(techStack);
+  const language = getTemplateLanguage(techStack);
+  return (specification.modules || []).map(module => ({
+    module: module.name,
+    fileName: `${sanitizeFileName(module.name)}${extension}`,
+    language,
+    code: generateCodeTemplate(module, techStack)
+  }));
+}
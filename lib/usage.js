@@ -0,0 +1,225 @@
+import fs from 'fs/promises';
+import { CONFIG, logger } from './config.js';
+import { BudgetExceededError, ConfigurationError } from './errors.js';
+import { parseYAML } from './yaml.js';
+
+// Token usage and cost accounting.
+//
+// Providers report the tokens each call used (see `usageExtractor` in
+// providers.js). callAI records them in the usage tracker passed as its
+// `usage` option, priced from the table below; the CLI keeps one tracker per
+// run and the MCP server one per session, stored with the session. Calls
+// whose provider reports nothing are counted from the text length instead
+// and flagged as estimated.
+//
+// Prices are USD per million tokens, looked up by "provider:model", then
+// model, then "provider:*". AI_PRICES_FILE (JSON or YAML, same shape) adds
+// entries or overrides these:
+//
+//   { "gpt-4o": { "input": 2.5, "output": 10 }, "ollama:*": { "input": 0, "output": 0 } }
+
+const FREE = { input: 0, output: 0 };
+
+const DEFAULT_PRICES = {
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'claude-3-opus-20240229': { input: 15, output: 75 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'llama-3.1-sonar-large-128k-online': { input: 1, output: 1 },
+  'ollama:*': FREE,
+  'openai-compatible:*': FREE,
+  'mock:*': FREE
+};
+
+// Rough size of a token, for estimates when the provider reports no usage
+const CHARS_PER_TOKEN = 4;
+
+// The max_tokens the built-in providers request; a call is assumed to use
+// all of it when checking the budget.
+const MAX_OUTPUT_TOKENS = 4000;
+
+let prices = { ...DEFAULT_PRICES };
+const warnedUnpriced = new Set();
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Loads the price table: the defaults plus the entries of `file`
+ * (AI_PRICES_FILE), if set.
+ *
+ * @throws {ConfigurationError} if the file can't be read or has invalid entries
+ */
+export async function loadPriceTable({ file = CONFIG.pricesFile } = {}) {
+  prices = { ...DEFAULT_PRICES };
+  if (!file) return prices;
+
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw new ConfigurationError(`Cannot read price table ${file}: ${error.message}`);
+  }
+  let table;
+  try {
+    table = /\.ya?ml$/i.test(file) ? parseYAML(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigurationError(`Invalid price table ${file}: ${error.message}`);
+  }
+  if (!isPlainObject(table)) {
+    throw new ConfigurationError(`Invalid price table ${file}: expected an object of model prices`);
+  }
+  for (const [key, price] of Object.entries(table)) {
+    const valid = isPlainObject(price) && ['input', 'output'].every(field => typeof price[field] === 'number' && price[field] >= 0);
+    if (!valid) {
+      throw new ConfigurationError(`Invalid price table ${file}: "${key}" needs "input" and "output" prices (USD per million tokens)`);
+    }
+    prices[key] = { input: price.input, output: price.output };
+  }
+  logger.debug(`Loaded ${Object.keys(table).length} price(s) from ${file}`);
+  return prices;
+}
+
+// { input, output } in USD per million tokens, or null for an unknown model
+export function priceFor(provider, model) {
+  return prices[`${provider}:${model}`] || prices[model] || prices[`${provider}:*`] || null;
+}
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text ?? '').length / CHARS_PER_TOKEN);
+}
+
+// Rounded to a millionth of a dollar so repeated sums stay exact
+const roundCost = (usd) => Math.round(usd * 1e6) / 1e6;
+
+function costOf(price, inputTokens, outputTokens) {
+  return roundCost((inputTokens * price.input + outputTokens * price.output) / 1e6);
+}
+
+function emptyCounts() {
+  return { calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
+}
+
+function addCall(counts, inputTokens, outputTokens, cost) {
+  counts.calls++;
+  counts.input_tokens += inputTokens;
+  counts.output_tokens += outputTokens;
+  counts.cost_usd = roundCost(counts.cost_usd + cost);
+}
+
+const modelKey = (api) => (api.model ? `${api.name}:${api.model}` : api.name);
+
+function warnUnpriced(api) {
+  const key = modelKey(api);
+  if (warnedUnpriced.has(key)) return;
+  warnedUnpriced.add(key);
+  logger.warn(`No price for ${key}; its calls are counted without cost. Add it to AI_PRICES_FILE.`);
+}
+
+/**
+ * Accumulates the token usage and cost of AI calls, and enforces a budget.
+ *
+ * Before each call, its worst-case cost (the prompt plus a full-length
+ * answer) is reserved; a call that could take the total past the budget is
+ * refused with a BudgetExceededError instead of being sent. The reservation
+ * is replaced by the actual cost when the call returns.
+ *
+ * `totals` is plain JSON, so it can be stored (e.g. with an MCP session) and
+ * passed back to continue counting.
+ *
+ * @param {object} [options]
+ * @param {number|null} [options.budget=CONFIG.budget] Cap in USD; null for none
+ * @param {object} [options.totals] Totals of an earlier tracker to continue from
+ */
+export function createUsageTracker({ budget = CONFIG.budget, totals } = {}) {
+  const data = totals ? structuredClone(totals) : {
+    ...emptyCounts(),
+    cached_calls: 0,
+    estimated_calls: 0,
+    unpriced_models: [],
+    by_model: {},
+    by_task: {}
+  };
+  let reserved = 0;
+
+  return {
+    budget,
+
+    get totals() {
+      return structuredClone(data);
+    },
+
+    // Returns a function releasing the reservation; throws
+    // BudgetExceededError if the call could exceed the budget.
+    reserve(api, prompt, taskType) {
+      const price = budget ? priceFor(api.name, api.model) : null;
+      if (!price) {
+        if (budget) warnUnpriced(api);
+        return () => {};
+      }
+      const worstCase = costOf(price, estimateTokens(prompt), MAX_OUTPUT_TOKENS);
+      if (data.cost_usd + reserved + worstCase > budget) {
+        throw new BudgetExceededError(
+          `AI budget of ${formatCost(budget)} reached: ${formatCost(data.cost_usd)} spent` +
+            (reserved > 0 ? ` and ${formatCost(reserved)} reserved by calls in progress` : '') +
+            `, and the next ${taskType} call to ${api.display} could cost up to ${formatCost(worstCase)}`,
+          data.cost_usd,
+          budget
+        );
+      }
+      reserved += worstCase;
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        reserved -= worstCase;
+      };
+    },
+
+    // `reported` is the provider's { inputTokens, outputTokens }; missing
+    // counts are estimated from the prompt and response.
+    record(api, taskType, reported, { prompt, response }) {
+      const estimated = !Number.isFinite(reported?.inputTokens) || !Number.isFinite(reported?.outputTokens);
+      const inputTokens = Number.isFinite(reported?.inputTokens) ? reported.inputTokens : estimateTokens(prompt);
+      const outputTokens = Number.isFinite(reported?.outputTokens) ? reported.outputTokens : estimateTokens(response);
+      const price = priceFor(api.name, api.model);
+      const cost = price ? costOf(price, inputTokens, outputTokens) : 0;
+
+      const key = modelKey(api);
+      if (!price) {
+        warnUnpriced(api);
+        if (!data.unpriced_models.includes(key)) data.unpriced_models.push(key);
+      }
+      if (estimated) data.estimated_calls++;
+      data.by_model[key] ||= { provider: api.name, model: api.model ?? null, ...emptyCounts() };
+      data.by_task[taskType] ||= emptyCounts();
+      for (const counts of [data, data.by_model[key], data.by_task[taskType]]) {
+        addCall(counts, inputTokens, outputTokens, cost);
+      }
+    },
+
+    recordCached() {
+      data.cached_calls++;
+    }
+  };
+}
+
+export function formatCost(usd) {
+  if (usd > 0 && usd < 0.0001) return '<$0.0001';
+  return `$${usd.toFixed(4)}`;
+}
+
+// One line, e.g. "12,345 tokens (9,000 in, 3,345 out), $0.0812 over 5 AI calls"
+export function formatUsage(totals) {
+  const number = (n) => n.toLocaleString('en-US');
+  const tokens = totals.input_tokens + totals.output_tokens;
+  const notes = [];
+  if (totals.cached_calls > 0) notes.push(`${totals.cached_calls} cached`);
+  if (totals.estimated_calls > 0) notes.push(`${totals.estimated_calls} estimated`);
+  if (totals.unpriced_models.length > 0) notes.push(`no price for ${totals.unpriced_models.join(', ')}`);
+  return `${number(tokens)} tokens (${number(totals.input_tokens)} in, ${number(totals.output_tokens)} out), ` +
+    `${formatCost(totals.cost_usd)} over ${totals.calls} AI call${totals.calls === 1 ? '' : 's'}` +
+    (notes.length > 0 ? ` (${notes.join('; ')})` : '');
+}
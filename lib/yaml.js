@@ -0,0 +1,317 @@
+import { ParsingError } from './errors.js';
+
+// Minimal YAML reader for configuration files, so the package can stay
+// dependency-free. Supports the subset people write by hand in config:
+//
+//   - block mappings and sequences (nested by indentation, spaces only)
+//   - "- key: value" sequence items that start a mapping
+//   - flow collections: [a, b] and {a: 1, b: [c]}
+//   - plain, 'single' and "double" quoted scalars; numbers, true/false, null
+//   - # comments
+//
+// Anchors, aliases and tags (on keys or values), multi-document streams,
+// block scalars (| and >) and plain values containing ": " are rejected with
+// a ParsingError that names the line.
+
+function fail(message, lineNumber) {
+  return new ParsingError(lineNumber ? `YAML line ${lineNumber}: ${message}` : `YAML: ${message}`);
+}
+
+// Removes a trailing comment that is outside quotes.
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+function toLines(text) {
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const lineNumber = index + 1;
+    const content = stripComment(raw).replace(/\s+$/, '');
+    if (content.trim() === '') return;
+    const indentMatch = content.match(/^[ \t]*/)[0];
+    if (indentMatch.includes('\t')) {
+      throw fail('tabs are not allowed for indentation', lineNumber);
+    }
+    const body = content.slice(indentMatch.length);
+    if (body === '---' || body === '...') {
+      if (lines.length > 0) throw fail('multiple documents are not supported', lineNumber);
+      return;
+    }
+    lines.push({ indent: indentMatch.length, text: body, lineNumber });
+  });
+  return lines;
+}
+
+// Index of the ": " (or trailing ":") separating a mapping key, outside quotes
+// and flow collections; -1 if the text is not a mapping entry.
+function findKeySeparator(text) {
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'") quote = char;
+    else if (char === '[' || char === '{') depth++;
+    else if (char === ']' || char === '}') depth--;
+    else if (char === ':' && depth === 0 && (i === text.length - 1 || text[i + 1] === ' ')) return i;
+  }
+  return -1;
+}
+
+// Own-property assignment, so a "__proto__" key can't replace the prototype
+// (matches what JSON.parse does).
+function setKey(target, key, value) {
+  Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+function unsupported(feature, lineNumber) {
+  return fail(`unsupported YAML feature ${feature}`, lineNumber);
+}
+
+// Anchors (&), aliases (*), tags (!) and block scalars (| >) at the start of a
+// plain key or value
+function rejectIndicator(text, lineNumber) {
+  if (/^[&*!|>]/.test(text)) {
+    throw unsupported(`"${text[0]}" (anchors, aliases, tags and block scalars are not supported)`, lineNumber);
+  }
+}
+
+function parseKey(text, lineNumber) {
+  const key = text.trim();
+  if (key === '') throw fail('empty mapping key', lineNumber);
+  if (/^["']/.test(key)) {
+    const value = parseScalar(key, lineNumber);
+    if (typeof value !== 'string') throw fail(`invalid key ${key}`, lineNumber);
+    return value;
+  }
+  rejectIndicator(key, lineNumber);
+  return key;
+}
+
+function parseScalar(text, lineNumber) {
+  const value = text.trim();
+  if (value.startsWith('"')) {
+    if (!value.endsWith('"') || value.length < 2) throw fail(`unterminated string ${value}`, lineNumber);
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw fail(`invalid double-quoted string ${value}`, lineNumber);
+    }
+  }
+  if (value.startsWith("'")) {
+    if (!value.endsWith("'") || value.length < 2) throw fail(`unterminated string ${value}`, lineNumber);
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  rejectIndicator(value, lineNumber);
+  // "key: value: more" is a nested mapping on one line, which YAML forbids
+  if (/:( |$)/.test(value)) {
+    throw unsupported(`": " in plain value "${value}" (quote values that contain ": ")`, lineNumber);
+  }
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+// Parses a flow collection ([...] or {...}) or scalar starting at text[pos].
+function parseFlow(text, lineNumber) {
+  let pos = 0;
+
+  const skipSpaces = () => {
+    while (pos < text.length && text[pos] === ' ') pos++;
+  };
+
+  const readPlain = (terminators) => {
+    const start = pos;
+    if (text[pos] === '"' || text[pos] === "'") {
+      const quote = text[pos++];
+      while (pos < text.length && text[pos] !== quote) {
+        if (text[pos] === '\\' && quote === '"') pos++;
+        pos++;
+      }
+      pos++;
+    } else {
+      while (pos < text.length && !terminators.includes(text[pos])) pos++;
+    }
+    return text.slice(start, pos);
+  };
+
+  const readValue = (terminators) => {
+    skipSpaces();
+    if (text[pos] === '[') return readSequence();
+    if (text[pos] === '{') return readMapping();
+    return parseScalar(readPlain(terminators), lineNumber);
+  };
+
+  const readSequence = () => {
+    const result = [];
+    pos++; // [
+    skipSpaces();
+    if (text[pos] === ']') {
+      pos++;
+      return result;
+    }
+    while (pos < text.length) {
+      result.push(readValue(',]'));
+      skipSpaces();
+      if (text[pos] === ',') {
+        pos++;
+        continue;
+      }
+      if (text[pos] === ']') {
+        pos++;
+        return result;
+      }
+      break;
+    }
+    throw fail(`unterminated flow sequence ${text}`, lineNumber);
+  };
+
+  const readMapping = () => {
+    const result = {};
+    pos++; // {
+    skipSpaces();
+    if (text[pos] === '}') {
+      pos++;
+      return result;
+    }
+    while (pos < text.length) {
+      skipSpaces();
+      const key = parseKey(readPlain(':,}'), lineNumber);
+      if (text[pos] !== ':') throw fail(`expected ":" after key "${key}" in ${text}`, lineNumber);
+      pos++;
+      setKey(result, key, readValue(',}'));
+      skipSpaces();
+      if (text[pos] === ',') {
+        pos++;
+        continue;
+      }
+      if (text[pos] === '}') {
+        pos++;
+        return result;
+      }
+      break;
+    }
+    throw fail(`unterminated flow mapping ${text}`, lineNumber);
+  };
+
+  const value = readValue('');
+  skipSpaces();
+  if (pos < text.length) throw fail(`unexpected text after value: ${text.slice(pos)}`, lineNumber);
+  return value;
+}
+
+function parseValue(text, lineNumber) {
+  const value = text.trim();
+  return value.startsWith('[') || value.startsWith('{') ? parseFlow(value, lineNumber) : parseScalar(value, lineNumber);
+}
+
+function isSequenceItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+function parseBlock(lines, state, indent) {
+  const first = lines[state.index];
+  return isSequenceItem(first.text) ? parseSequence(lines, state, indent) : parseMapping(lines, state, indent);
+}
+
+// Value of a "key:" or "-" with nothing after it: the more-indented block
+// that follows, or null if there is none.
+function parseNested(lines, state, parentIndent, allowSameIndentSequence) {
+  const next = lines[state.index];
+  if (!next) return null;
+  if (next.indent > parentIndent) return parseBlock(lines, state, next.indent);
+  if (allowSameIndentSequence && next.indent === parentIndent && isSequenceItem(next.text)) {
+    return parseSequence(lines, state, parentIndent);
+  }
+  return null;
+}
+
+function parseSequence(lines, state, indent) {
+  const result = [];
+  while (state.index < lines.length) {
+    const line = lines[state.index];
+    if (line.indent < indent) break;
+    if (line.indent > indent) throw fail('unexpected indentation', line.lineNumber);
+    if (!isSequenceItem(line.text)) break;
+
+    const rest = line.text.slice(1).replace(/^ +/, '');
+    if (rest === '') {
+      state.index++;
+      result.push(parseNested(lines, state, indent, false));
+    } else if (isSequenceItem(rest) || (findKeySeparator(rest) !== -1 && !/^[[{]/.test(rest))) {
+      // "- key: value" (or "- - item") starts a block indented to where the
+      // item's text begins
+      const itemIndent = indent + (line.text.length - rest.length);
+      lines[state.index] = { indent: itemIndent, text: rest, lineNumber: line.lineNumber };
+      result.push(parseBlock(lines, state, itemIndent));
+    } else {
+      state.index++;
+      result.push(parseValue(rest, line.lineNumber));
+    }
+  }
+  return result;
+}
+
+function parseMapping(lines, state, indent) {
+  const result = {};
+  while (state.index < lines.length) {
+    const line = lines[state.index];
+    if (line.indent < indent) break;
+    if (line.indent > indent) throw fail('unexpected indentation', line.lineNumber);
+    if (isSequenceItem(line.text)) break;
+
+    const separator = findKeySeparator(line.text);
+    if (separator === -1) throw fail(`expected "key: value", got "${line.text}"`, line.lineNumber);
+    const key = parseKey(line.text.slice(0, separator), line.lineNumber);
+    if (Object.prototype.hasOwnProperty.call(result, key)) {
+      throw fail(`duplicate key "${key}"`, line.lineNumber);
+    }
+    const rest = line.text.slice(separator + 1).trim();
+    state.index++;
+    setKey(result, key, rest === '' ? parseNested(lines, state, indent, true) : parseValue(rest, line.lineNumber));
+  }
+  return result;
+}
+
+/**
+ * Parses a YAML document (see the supported subset above). An empty document
+ * yields null.
+ *
+ * @throws {ParsingError} with the offending line number
+ */
+export function parseYAML(text) {
+  const lines = toLines(String(text));
+  if (lines.length === 0) return null;
+
+  const state = { index: 0 };
+  const first = lines[0];
+  let value;
+  if (!isSequenceItem(first.text) && findKeySeparator(first.text) === -1) {
+    value = parseValue(first.text, first.lineNumber);
+    state.index = 1;
+  } else {
+    value = parseBlock(lines, state, first.indent);
+  }
+  if (state.index < lines.length) {
+    throw fail('unexpected line; mappings and sequences cannot be mixed at the same level', lines[state.index].lineNumber);
+  }
+  return value;
+}
@@ -1,176 +1,101 @@
 #!/usr/bin/env node
 
-import { loadEnv } from './lib/config.js';
+import fs from 'fs/promises';
+import { CONFIG, loadEnv, logger } from './lib/config.js';
 import { callAI } from './lib/api-client.js';
-import { ValidationError, APIError, ParsingError, handleError } from './lib/errors.js';
-
-// In-memory session storage for MCP
-const sessions = new Map();
-
-// Language detection helper
-function detectLanguage(text) {
-  const koreanRegex = /[가-힣]/;
-  return koreanRegex.test(text) ? 'ko' : 'en';
-}
+import { ValidationError, APIError, ParsingError, BudgetExceededError, ProtocolError, JSONRPC_ERRORS } from './lib/errors.js';
+import { createDispatcher, serveStdio } from './lib/jsonrpc.js';
+import { serveHTTP } from './lib/http-transport.js';
+import { validateAgainstSchema, formatSchemaErrors } from './lib/spec-schema.js';
+import { analyze, classifyProjectWithAI, generateModules, generateSpec, render, RENDER_FORMATS, getTechStacks, resolvePlatform, loadStackCatalog, detectLanguage, parseJSONFromResponse, assertValidSpecification, createUsageTracker, loadPriceTable, formatUsage, formatCost } from './lib/pipeline.js';
+import { formatTechStack, renderTemplatesMarkdown } from './lib/markdown.js';
+import { createSessionStore, generateSessionId, getSessionExpiry } from './lib/session-store.js';
+import { applySpecificationPatch, PATCH_OPERATIONS } from './lib/spec-patch.js';
+import { writeExportFile } from './lib/exporters.js';
+import { createResourceSubscriptions, listSessionResources, readSessionResource, parseResourceURI, RESOURCE_TEMPLATES } from './lib/spec-resources.js';
+import { PROMPTS, getPrompt } from './lib/spec-prompts.js';
+import { ensureRevisionHistory, recordRevision, getRevision, getCurrentRevision, revertToRevision, diffSpecifications } from './lib/revisions.js';
+
+// Session storage for MCP. Created in startMCPServer() once .env has been
+// loaded, since the store type, directory and TTL come from configuration.
+let sessions = null;
+
+// Clients subscribed to session resources (sds://session/...), told when a
+// tool changes a specification
+const resourceSubscriptions = createResourceSubscriptions();
+
+// MCP protocol revisions this server speaks, newest first. outputSchema and
+// structuredContent arrived in 2025-06-18; older clients ignore them.
+const PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+// outputSchema fragments. Tools that change or show a specification return
+// the same summary of it (see summarizeSpecification), so a client can chain
+// them without parsing the markdown.
+const USAGE_SCHEMA = {
+  type: "object",
+  properties: {
+    calls: { type: "integer" },
+    input_tokens: { type: "integer" },
+    output_tokens: { type: "integer" },
+    cost_usd: { type: "number" }
+  },
+  required: ["calls", "input_tokens", "output_tokens", "cost_usd"]
+};
 
-// Tech stack options by project type
-const techStackOptions = {
-  mobile: [
-    {
-      id: 1,
-      name: 'React Native',
-      stack: {
-        language: 'JavaScript/TypeScript',
-        framework: 'React Native',
-        stateManagement: 'Redux Toolkit / Zustand',
-        database: ['AsyncStorage', 'SQLite', 'Firebase'],
-        testing: 'Jest + React Native Testing Library',
-        deployment: 'App Store / Google Play'
-      }
-    },
-    {
-      id: 2,
-      name: 'Flutter',
-      stack: {
-        language: 'Dart',
-        framework: 'Flutter',
-        stateManagement: 'Provider / Riverpod / Bloc',
-        database: ['Hive', 'SQLite', 'Firebase'],
-        testing: 'Flutter Test Framework',
-        deployment: 'App Store / Google Play'
-      }
-    },
-    {
-      id: 3,
-      name: 'Native iOS (Swift)',
-      stack: {
-        language: 'Swift',
-        framework: 'UIKit / SwiftUI',
-        stateManagement: 'Core Data / Combine',
-        database: ['Core Data', 'SQLite', 'CloudKit'],
-        testing: 'XCTest',
-        deployment: 'App Store'
-      }
-    },
-    {
-      id: 4,
-      name: 'Native Android (Kotlin)',
-      stack: {
-        language: 'Kotlin',
-        framework: 'Android Jetpack',
-        stateManagement: 'ViewModel / LiveData',
-        database: ['Room', 'SQLite', 'Firebase'],
-        testing: 'JUnit + Espresso',
-        deployment: 'Google Play'
-      }
-    }
-  ],
-  web: [
-    {
-      id: 1,
-      name: 'React/Next.js',
-      stack: {
-        language: 'JavaScript/TypeScript',
-        framework: 'Next.js',
-        stateManagement: 'Redux Toolkit / Zustand',
-        database: ['PostgreSQL', 'MongoDB', 'Prisma'],
-        testing: 'Jest + React Testing Library',
-        deployment: 'Vercel / Netlify'
-      }
+const CHANGES_SCHEMA = {
+  type: "array",
+  description: "Structural changes; changed fields carry their old and new values",
+  items: {
+    type: "object",
+    properties: {
+      type: { type: "string", enum: ["added", "removed", "changed"] },
+      path: { type: "string", description: "e.g. modules.Auth.functions.login.purpose" },
+      from: { description: "Previous value (changed only)" },
+      to: { description: "New value (changed only)" }
     },
-    {
-      id: 2,
-      name: 'Vue/Nuxt',
-      stack: {
-        language: 'JavaScript/TypeScript',
-        framework: 'Nuxt.js',
-        stateManagement: 'Pinia / Vuex',
-        database: ['PostgreSQL', 'MongoDB', 'Prisma'],
-        testing: 'Vitest + Vue Testing Utils',
-        deployment: 'Vercel / Netlify'
-      }
-    }
-  ],
-  backend: [
-    {
-      id: 1,
-      name: 'Node.js/Express',
-      stack: {
-        language: 'JavaScript/TypeScript',
-        framework: 'Express.js',
-        stateManagement: 'N/A',
-        database: ['PostgreSQL', 'MongoDB', 'Redis'],
-        testing: 'Jest + Supertest',
-        deployment: 'Docker / AWS / Heroku'
-      }
-    },
-    {
-      id: 2,
-      name: 'Python/FastAPI',
-      stack: {
-        language: 'Python',
-        framework: 'FastAPI',
-        stateManagement: 'N/A',
-        database: ['PostgreSQL', 'MongoDB', 'Redis'],
-        testing: 'pytest + httpx',
-        deployment: 'Docker / AWS / Heroku'
-      }
-    }
-  ]
+    required: ["type", "path"]
+  }
 };
 
-// Dynamic module count based on complexity with description analysis
-function getModuleCount(complexity_level, description = '') {
-  if (complexity_level === 'auto') {
-    return inferModuleCountFromDescription(description);
+const SPECIFICATION_SUMMARY_PROPERTIES = {
+  session_id: { type: "string" },
+  title: { type: "string" },
+  platform: { type: "string" },
+  tech_stack: {
+    type: "object",
+    description: "Selected tech stack: { name, stack: { language, framework, database, ... } }"
+  },
+  modules: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        description: { type: "string" },
+        functions: { type: "array", items: { type: "string" }, description: "Function names" },
+        generation_failed: { type: "boolean" }
+      },
+      required: ["name", "functions"]
+    }
+  },
+  counts: {
+    type: "object",
+    properties: {
+      modules: { type: "integer" },
+      functions: { type: "integer" },
+      test_cases: { type: "integer" }
+    },
+    required: ["modules", "functions", "test_cases"]
   }
-  
-  const moduleCounts = {
-    simple: 4,
-    medium: 8,
-    complex: 12
-  };
-  return moduleCounts[complexity_level] || 8;
-}
+};
 
-// Intelligent module count inference from project description
-function inferModuleCountFromDescription(description) {
-  const text = description.toLowerCase();
-  let score = 5; // Base score
-  
-  // Complexity indicators
-  const complexityKeywords = {
-    high: ['authentication', 'security', 'payment', 'analytics', 'real-time', 'notification', 'api integration', 'machine learning', 'ai', 'blockchain'],
-    medium: ['user management', 'database', 'search', 'admin panel', 'dashboard', 'reporting', 'file upload', 'email'],
-    low: ['crud', 'basic', 'simple', 'minimal']
+// Object schema of the specification summary plus `properties`
+function specificationOutputSchema(properties = {}, required = []) {
+  return {
+    type: "object",
+    properties: { ...SPECIFICATION_SUMMARY_PROPERTIES, ...properties },
+    required: ["session_id", "modules", "counts", ...required]
   };
-  
-  // Count complexity indicators
-  complexityKeywords.high.forEach(keyword => {
-    if (text.includes(keyword)) score += 2;
-  });
-  
-  complexityKeywords.medium.forEach(keyword => {
-    if (text.includes(keyword)) score += 1;
-  });
-  
-  complexityKeywords.low.forEach(keyword => {
-    if (text.includes(keyword)) score -= 1;
-  });
-  
-  // Description length factor
-  const wordCount = description.split(/\s+/).length;
-  if (wordCount > 100) score += 2;
-  else if (wordCount > 50) score += 1;
-  else if (wordCount < 20) score -= 1;
-  
-  // Platform complexity
-  if (text.includes('mobile') || text.includes('ios') || text.includes('android')) score += 1;
-  if (text.includes('web') && text.includes('backend')) score += 2;
-  if (text.includes('microservices') || text.includes('distributed')) score += 3;
-  
-  // Ensure reasonable bounds
-  return Math.max(4, Math.min(15, Math.round(score)));
 }
 
 // Localized messages
@@ -180,6 +105,9 @@ const messages = {
     projectType: 'Project Type',
     complexity: 'Complexity',
     mainFeatures: 'Main Features',
+    detection: 'Detection Confidence',
+    failedModules: 'Modules without functions (generation failed; refine or regenerate them)',
+    usage: 'AI Usage',
     sessionId: 'Session ID',
     specificationModified: 'Specification Modified',
     modificationContent: 'Modification Content',
@@ -196,6 +124,9 @@ const messages = {
     projectType: '프로젝트 타입',
     complexity: '복잡도',
     mainFeatures: '주요 기능',
+    detection: '감지 신뢰도',
+    failedModules: '함수가 없는 모듈 (생성 실패, 수정 또는 재생성 필요)',
+    usage: 'AI 사용량',
     sessionId: '세션 ID',
     specificationModified: '명세서 수정 완료',
     modificationContent: '수정 내용',
@@ -209,190 +140,42 @@ const messages = {
   }
 };
 
-// JSON parsing with multiple fallback strategies
-function parseJSONFromResponse(response) {
-  if (typeof response !== 'string') {
-    throw new ParsingError('Response is not a string', response);
+// MCP Server functionality
+async function startMCPServer(options = {}) {
+  // Load environment variables once at server start
+  await loadEnv();
+  if (options.cache === false) {
+    CONFIG.cache = false;
   }
 
-  // Strategy 1: Direct parsing — works when the AI complied with "respond
-  // with JSON only".
+  // A broken custom catalog shouldn't keep the server from starting; the
+  // error is reported again by select_tech_stack, which reloads the file.
   try {
-    return JSON.parse(response);
-  } catch (_) { /* fall through */ }
-
-  // Strategy 2: Extract JSON from markdown code blocks. Most LLMs default
-  // to ```json fences when asked for structured output.
-  const codeBlockMatch = response.match(/```(?:json)?\s*([\s\S]*?)```/);
-  if (codeBlockMatch) {
-    try {
-      return JSON.parse(codeBlockMatch[1].trim());
-    } catch (_) { /* fall through */ }
+    await loadStackCatalog();
+  } catch (error) {
+    logger.error(error.message);
+  }
+  // Likewise a broken price table: usage is then priced from the defaults
+  try {
+    await loadPriceTable();
+  } catch (error) {
+    logger.error(error.message);
   }
 
-  // No more strategies. Earlier versions of this code attempted naive
-  // substring extraction (first `{` to last `}`) and brace counting, but
-  // both can silently corrupt JSON when the AI response contains prose
-  // with stray braces or nested-quoted braces. Failing loudly is safer
-  // for downstream specification generation — better to retry the call
-  // (or fall back to another API) than to write malformed `.sds/` files.
-  throw new ParsingError(
-    'Failed to parse JSON from response. Expected raw JSON or a ```json fenced block.',
-    response
-  );
-}
-
-// Generate module list using AI
-async function generateModuleList(description, complexity) {
-  const language = detectLanguage(description);
-  
-  const prompts = {
-    ko: `다음 프로젝트 설명을 바탕으로 모듈 목록을 생성해주세요.
-
-프로젝트 설명: ${description}
-복잡도: ${complexity}
-
-다음 JSON 형식으로만 응답해주세요:
-{
-  "modules": [
-    {"name": "모듈명", "description": "모듈 설명"},
-    ...
-  ]
-}`,
-    en: `Generate a module list based on the following project description.
-
-Project Description: ${description}
-Complexity: ${complexity}
-
-Please respond only in the following JSON format:
-{
-  "modules": [
-    {"name": "module_name", "description": "module description"},
-    ...
-  ]
-}`
-  };
-
-  const moduleResponse = await callAI(prompts[language], 1, 'module-generation');
-  return parseJSONFromResponse(moduleResponse);
-}
-
-// Generate complete specification using AI
-async function generateSpecification(description, techStack, moduleList) {
-  const language = detectLanguage(description);
+  // Restore sessions persisted by a previous run so session IDs handed out
+  // earlier keep working after the MCP client restarts.
+  sessions = createSessionStore(options.sessionStore ? { store: options.sessionStore } : {});
+  const restored = await sessions.load();
+  if (restored > 0) {
+    logger.info(`Restored ${restored} session(s) from ${sessions.kind} store`);
+  }
   
-  const prompts = {
-    ko: `다음 정보를 바탕으로 상세한 소프트웨어 설계 명세서를 JSON 형식으로 생성해주세요.
-
-프로젝트 설명: ${description}
-기술 스택: ${JSON.stringify(techStack, null, 2)}
-모듈 목록: ${JSON.stringify(moduleList, null, 2)}
-
-다음 JSON 구조로 응답해주세요:
-{
-  "title": "프로젝트 제목",
-  "description": "상세 설명",
-  "techStack": ${JSON.stringify(techStack)},
-  "requirements": {
-    "functional": ["기능적 요구사항 목록"],
-    "nonFunctional": ["비기능적 요구사항 목록"],
-    "system": "시스템 요구사항"
-  },
-  "modules": [
-    {
-      "name": "모듈명",
-      "description": "모듈 설명",
-      "functions": [
-        {
-          "name": "함수명",
-          "purpose": "함수 목적",
-          "parameters": ["매개변수 목록"],
-          "returnValue": "반환값 설명",
-          "designSpec": "설계 명세",
-          "functionDefinition": "함수 정의",
-          "remarks": "비고",
-          "testCases": ["테스트 케이스 목록"]
-        }
-      ]
-    }
-  ]
-}
-
-IMPORTANT: 
-1. 반드시 유효한 JSON 형식으로만 응답하세요. 설명이나 추가 텍스트는 포함하지 마세요.
-2. 모든 함수 정의와 매개변수는 반드시 ${techStack.stack.language} 문법을 사용하세요.
-   - Swift: func functionName(parameter: Type) -> ReturnType
-   - JavaScript: function functionName(parameter) {}
-   - Java: public ReturnType functionName(Type parameter) {}
-   - Python: def function_name(parameter: type) -> return_type:`,
-    en: `Generate a detailed software design specification in JSON format based on the following information.
-
-Project Description: ${description}
-Tech Stack: ${JSON.stringify(techStack, null, 2)}
-Module List: ${JSON.stringify(moduleList, null, 2)}
-
-Please respond in the following JSON structure:
-{
-  "title": "Project Title",
-  "description": "Detailed description",
-  "techStack": ${JSON.stringify(techStack)},
-  "requirements": {
-    "functional": ["List of functional requirements"],
-    "nonFunctional": ["List of non-functional requirements"],
-    "system": "System requirements"
-  },
-  "modules": [
-    {
-      "name": "Module Name",
-      "description": "Module description",
-      "functions": [
-        {
-          "name": "Function Name",
-          "purpose": "Function purpose",
-          "parameters": ["Parameter list"],
-          "returnValue": "Return value description",
-          "designSpec": "Design specification",
-          "functionDefinition": "Function definition",
-          "remarks": "Remarks",
-          "testCases": ["Test case list"]
-        }
-      ]
-    }
-  ]
-}
-
-IMPORTANT: 
-1. Respond only in valid JSON format. Do not include explanations or additional text.
-2. All function definitions and parameters must use ${techStack.stack.language} syntax:
-   - Swift: func functionName(parameter: Type) -> ReturnType
-   - JavaScript: function functionName(parameter) {}
-   - Java: public ReturnType functionName(Type parameter) {}
-   - Python: def function_name(parameter: type) -> return_type:`
-  };
-
-  const specResponse = await callAI(prompts[language], 1, 'specification');
-  return parseJSONFromResponse(specResponse);
-}
-
-// Get default language for platform
-function getDefaultLanguage(platform) {
-  const defaults = {
-    mobile: 'React Native',
-    web: 'JavaScript/TypeScript',
-    desktop: 'Python/JavaScript',
-    api: 'JavaScript/Python'
-  };
-  return defaults[platform] || 'JavaScript';
-}
+  // serverInfo.version follows the published package
+  const pkg = JSON.parse(await fs.readFile(new URL('./package.json', import.meta.url), 'utf8'));
 
-// MCP Server functionality
-async function startMCPServer() {
-  // Load environment variables once at server start
-  await loadEnv();
-  
   const server = {
     name: "sds-generator",
-    version: "1.0.24",
+    version: pkg.version,
     tools: [
       {
         name: "analyze_project_request",
@@ -406,7 +189,7 @@ async function startMCPServer() {
             },
             target_platform: {
               type: "string",
-              enum: ["embedded", "web", "mobile", "desktop", "api", "auto"],
+              enum: ["embedded", "web", "mobile", "desktop", "backend", "api", "auto"],
               default: "auto",
               description: "Target platform (auto: automatic detection)"
             },
@@ -423,11 +206,24 @@ async function startMCPServer() {
             }
           },
           required: ["project_description"]
-        }
+        },
+        outputSchema: specificationOutputSchema({
+          complexity: { type: "string" },
+          detection: {
+            type: "object",
+            description: "Present when the platform was detected automatically",
+            properties: {
+              confidence: { type: "number" },
+              reasoning: { type: "string" }
+            }
+          },
+          failed_modules: { type: "array", items: { type: "string" } },
+          usage: USAGE_SCHEMA
+        }, ["platform", "failed_modules", "usage"])
       },
       {
         name: "refine_specification",
-        description: "Refine and extend existing specifications based on user feedback",
+        description: "Refine and extend existing specifications based on user feedback. The AI returns a patch (add/modify/remove operations) that is applied to the stored specification, so untouched modules and functions are preserved",
         inputSchema: {
           type: "object",
           properties: {
@@ -435,10 +231,6 @@ async function startMCPServer() {
               type: "string",
               description: "Specification session ID (returned from analyze_project_request)"
             },
-            current_spec: {
-              type: "string",
-              description: "Existing specification JSON string (use only when session_id is not available)"
-            },
             modification_request: {
               type: "string",
               description: "User's modification request"
@@ -447,15 +239,21 @@ async function startMCPServer() {
               type: "string",
               enum: ["add_module", "add_function", "modify_function", "remove_item", "auto"],
               default: "auto",
-              description: "Type of action to perform"
+              description: "Type of action to perform. Anything other than auto restricts the refinement to that single operation type"
             }
           },
-          required: ["modification_request"]
-        }
+          required: ["session_id", "modification_request"]
+        },
+        outputSchema: specificationOutputSchema({
+          revision: { type: "integer" },
+          summary: { type: "string" },
+          applied: { type: "array", items: { type: "string" }, description: "Applied patch operations" },
+          usage: USAGE_SCHEMA
+        }, ["revision", "applied", "usage"])
       },
       {
         name: "export_specification",
-        description: "Export specifications in various formats",
+        description: "Export specifications in various formats. csv and xlsx are written to the export directory and the file path is returned",
         inputSchema: {
           type: "object",
           properties: {
@@ -463,10 +261,6 @@ async function startMCPServer() {
               type: "string",
               description: "Specification session ID (returned from analyze_project_request)"
             },
-            spec_data: {
-              type: "string",
-              description: "Specification JSON data (use only when session_id is not available)"
-            },
             export_format: {
               type: "string",
               enum: ["markdown", "json", "csv", "xlsx"],
@@ -476,9 +270,22 @@ async function startMCPServer() {
             include_templates: {
               type: "boolean",
               default: false,
-              description: "Include code templates"
+              description: "Include per-module code stubs in the session's tech stack language (fenced code blocks; a templates map for json)"
             }
-          }
+          },
+          required: ["session_id"]
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            session_id: { type: "string" },
+            format: { type: "string", enum: ["markdown", "json", "csv", "xlsx"] },
+            include_templates: { type: "boolean" },
+            file: { type: "string", description: "Written file (csv and xlsx)" },
+            content: { type: "string", description: "The rendered specification (markdown, json and csv)" },
+            counts: SPECIFICATION_SUMMARY_PROPERTIES.counts
+          },
+          required: ["session_id", "format", "include_templates", "counts"]
         }
       },
       {
@@ -489,7 +296,7 @@ async function startMCPServer() {
           properties: {
             platform: {
               type: "string",
-              enum: ["embedded", "web", "mobile", "desktop", "api"],
+              enum: ["embedded", "web", "mobile", "desktop", "backend", "api"],
               description: "Target platform"
             },
             preferences: {
@@ -499,6 +306,24 @@ async function startMCPServer() {
             }
           },
           required: ["platform"]
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            platform: { type: "string" },
+            stacks: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  name: { type: "string" },
+                  stack: { type: "object" }
+                },
+                required: ["name", "stack"]
+              }
+            }
+          },
+          required: ["platform", "stacks"]
         }
       },
       {
@@ -518,83 +343,356 @@ async function startMCPServer() {
             }
           },
           required: ["session_id", "selected_modules"]
+        },
+        outputSchema: specificationOutputSchema({
+          revision: { type: "integer" },
+          selected_modules: { type: "array", items: { type: "string" } }
+        }, ["revision", "selected_modules"])
+      },
+      {
+        name: "list_sessions",
+        description: "List stored specification sessions that can be resumed",
+        inputSchema: {
+          type: "object",
+          properties: {}
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            sessions: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  session_id: { type: "string" },
+                  title: { type: "string" },
+                  platform: { type: "string" },
+                  modules: { type: "integer" },
+                  created_at: { type: "string" },
+                  last_modified: { type: "string" },
+                  expires_at: { type: "string", description: "Absent when sessions don't expire" }
+                },
+                required: ["session_id", "modules"]
+              }
+            }
+          },
+          required: ["sessions"]
+        }
+      },
+      {
+        name: "delete_session",
+        description: "Delete a stored specification session",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session_id: {
+              type: "string",
+              description: "Specification session ID to delete"
+            }
+          },
+          required: ["session_id"]
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            session_id: { type: "string" },
+            deleted: { type: "boolean" }
+          },
+          required: ["session_id", "deleted"]
         }
+      },
+      {
+        name: "edit_specification",
+        description: "Replace a session's specification with a manually edited version (recorded as a new revision)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session_id: {
+              type: "string",
+              description: "Specification session ID"
+            },
+            specification: {
+              type: "string",
+              description: "Complete edited specification JSON string (see schema/specification.schema.json)"
+            },
+            note: {
+              type: "string",
+              description: "Short description of the edit (stored with the revision)"
+            }
+          },
+          required: ["session_id", "specification"]
+        },
+        outputSchema: specificationOutputSchema({
+          revision: { type: "integer" },
+          changes: CHANGES_SCHEMA
+        }, ["revision", "changes"])
+      },
+      {
+        name: "get_session_usage",
+        description: "Show the AI tokens and cost a specification session has used so far, per model and per task, and the remaining budget when AI_BUDGET_USD is set",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session_id: {
+              type: "string",
+              description: "Specification session ID"
+            }
+          },
+          required: ["session_id"]
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            session_id: { type: "string" },
+            usage: {
+              type: "object",
+              description: "Totals, plus by_model and by_task breakdowns with the same counts",
+              properties: {
+                ...USAGE_SCHEMA.properties,
+                cached_calls: { type: "integer" },
+                estimated_calls: { type: "integer" },
+                unpriced_models: { type: "array", items: { type: "string" } },
+                by_model: { type: "object" },
+                by_task: { type: "object" }
+              },
+              required: USAGE_SCHEMA.required
+            },
+            budget_usd: { type: "number", description: "Present when AI_BUDGET_USD is set" },
+            remaining_usd: { type: "number" }
+          },
+          required: ["session_id", "usage"]
+        }
+      },
+      {
+        name: "list_revisions",
+        description: "List the revision history of a specification session",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session_id: {
+              type: "string",
+              description: "Specification session ID"
+            }
+          },
+          required: ["session_id"]
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            session_id: { type: "string" },
+            current_revision: { type: "integer" },
+            revisions: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  revision: { type: "integer" },
+                  action: { type: "string" },
+                  request: { type: "string" },
+                  modules: { type: "integer" },
+                  created_at: { type: "string" }
+                },
+                required: ["revision", "action", "modules"]
+              }
+            }
+          },
+          required: ["session_id", "current_revision", "revisions"]
+        }
+      },
+      {
+        name: "diff_revisions",
+        description: "Show the differences between two revisions of a specification",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session_id: {
+              type: "string",
+              description: "Specification session ID"
+            },
+            from_revision: {
+              type: "integer",
+              description: "Older revision number (default: the revision before to_revision)"
+            },
+            to_revision: {
+              type: "integer",
+              description: "Newer revision number (default: current revision)"
+            }
+          },
+          required: ["session_id"]
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            session_id: { type: "string" },
+            from_revision: { type: "integer" },
+            to_revision: { type: "integer" },
+            changes: CHANGES_SCHEMA
+          },
+          required: ["session_id", "from_revision", "to_revision", "changes"]
+        }
+      },
+      {
+        name: "revert_specification",
+        description: "Revert a session to an earlier revision. Without a revision number this undoes the last change; reverting is itself recorded, so it can be undone the same way",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session_id: {
+              type: "string",
+              description: "Specification session ID"
+            },
+            revision: {
+              type: "integer",
+              description: "Revision number to restore (default: the previous revision)"
+            }
+          },
+          required: ["session_id"]
+        },
+        outputSchema: specificationOutputSchema({
+          restored_revision: { type: "integer" },
+          revision: { type: "integer" },
+          changes: CHANGES_SCHEMA
+        }, ["restored_revision", "revision", "changes"])
       }
     ]
   };
 
-  process.stdin.on('data', async (data) => {
-    try {
-      const request = JSON.parse(data.toString());
-      
-      if (request.method === 'initialize') {
-        process.stdout.write(JSON.stringify({
-          jsonrpc: "2.0",
-          id: request.id,
-          result: {
-            protocolVersion: "2024-11-05",
-            capabilities: {
-              tools: {}
-            },
-            serverInfo: server
-          }
-        }) + '\n');
-      } else if (request.method === 'tools/list') {
-        process.stdout.write(JSON.stringify({
-          jsonrpc: "2.0",
-          id: request.id,
-          result: { tools: server.tools }
-        }) + '\n');
-      } else if (request.method === 'tools/call') {
-        if (request.params.name === 'analyze_project_request') {
-          await handleAnalyzeProjectRequest(request);
-        } else if (request.params.name === 'refine_specification') {
-          await handleRefineSpecification(request);
-        } else if (request.params.name === 'export_specification') {
-          await handleExportSpecification(request);
-        } else if (request.params.name === 'select_tech_stack') {
-          await handleSelectTechStack(request);
-        } else if (request.params.name === 'select_modules') {
-          await handleSelectModules(request);
-        }
+  // Tool name → handler(args, context), resolving to the tools/call result
+  const toolHandlers = {
+    analyze_project_request: handleAnalyzeProjectRequest,
+    refine_specification: handleRefineSpecification,
+    export_specification: handleExportSpecification,
+    select_tech_stack: handleSelectTechStack,
+    select_modules: handleSelectModules,
+    list_sessions: handleListSessions,
+    delete_session: handleDeleteSession,
+    edit_specification: handleEditSpecification,
+    get_session_usage: handleGetSessionUsage,
+    list_revisions: handleListRevisions,
+    diff_revisions: handleDiffRevisions,
+    revert_specification: handleRevertSpecification
+  };
+
+  const methods = {
+    initialize: async (params) => ({
+      protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true, listChanged: false },
+        prompts: { listChanged: false }
+      },
+      serverInfo: { name: server.name, version: server.version }
+    }),
+    ping: async () => ({}),
+    'tools/list': async () => ({ tools: server.tools }),
+    'tools/call': async (params, context) => {
+      const tool = server.tools.find(candidate => candidate.name === params.name);
+      if (!tool) {
+        throw new ProtocolError(`Unknown tool: ${params.name}`, JSONRPC_ERRORS.invalidParams);
       }
-    } catch (error) {
-      handleError(error, true, request?.id || null);
-    }
-  });
+      // Checked against the tool's inputSchema so handlers get the types
+      // they expect
+      const args = params.arguments ?? {};
+      const errors = validateAgainstSchema(args, tool.inputSchema, { path: 'arguments' });
+      if (errors.length > 0) {
+        throw new ProtocolError(`Invalid arguments for ${tool.name}: ${formatSchemaErrors(errors)}`, JSONRPC_ERRORS.invalidParams);
+      }
+      const result = await toolHandlers[tool.name](args, { ...context, progressToken: params._meta?.progressToken });
+      // A mismatch is a bug here, not the client's problem: log it and
+      // still return the result
+      const problems = validateAgainstSchema(result.structuredContent, tool.outputSchema, { path: 'structuredContent' });
+      if (problems.length > 0) {
+        logger.warn(`${tool.name} result does not match its outputSchema: ${formatSchemaErrors(problems)}`);
+      }
+      return result;
+    },
+    'resources/list': async () => {
+      const entries = await sessions.list();
+      return { resources: entries.flatMap(({ id, data }) => listSessionResources(id, data)) };
+    },
+    'resources/templates/list': async () => ({ resourceTemplates: RESOURCE_TEMPLATES }),
+    'resources/read': async (params) => ({
+      contents: [await readSessionResource(params.uri, id => sessions.get(id))]
+    }),
+    'resources/subscribe': async (params, context) => {
+      if (!parseResourceURI(params.uri)) {
+        throw new ProtocolError(`Invalid resource URI: ${params.uri}`, JSONRPC_ERRORS.invalidParams);
+      }
+      resourceSubscriptions.subscribe(context.connection, params.uri);
+      return {};
+    },
+    'resources/unsubscribe': async (params, context) => {
+      resourceSubscriptions.unsubscribe(context.connection, params.uri);
+      return {};
+    },
+    'prompts/list': async () => ({ prompts: PROMPTS }),
+    'prompts/get': async (params) => getPrompt(params.name, params.arguments ?? {}, id => sessions.get(id)),
+    // Nothing to do: the server is ready as soon as it has answered
+    // initialize, and tool calls run to completion once started
+    'notifications/initialized': async () => {},
+    'notifications/cancelled': async () => {}
+  };
+
+  const dispatcher = createDispatcher(methods);
+  if (options.http) {
+    return serveHTTP(dispatcher, options.http);
+  }
+  return serveStdio(dispatcher);
+}
+
+// Minimum gap between two progress notifications for the same tool call
+const PROGRESS_INTERVAL = 500;
+
+// Streaming progress for a tools/call whose params carry
+// _meta.progressToken, sent as notifications/progress. `progress` counts the
+// characters received across all AI calls of that tool call, so it only
+// grows. Returns undefined when the client didn't ask for progress.
+function createProgressReporter(context) {
+  const { progressToken } = context;
+  if (progressToken === undefined || progressToken === null) {
+    return undefined;
+  }
+
+  let received = 0;
+  let lastSent = 0;
+  return ({ provider, taskType, delta }) => {
+    received += delta.length;
+    const now = Date.now();
+    if (now - lastSent < PROGRESS_INTERVAL) return;
+    lastSent = now;
+    context.notify("notifications/progress", {
+      progressToken,
+      progress: received,
+      message: `${taskType}: ${received} characters received from ${provider}`
+    });
+  };
 }
 
 // MCP Handler functions
-async function handleAnalyzeProjectRequest(request) {
-  const { project_description, target_platform = 'auto', complexity_level = 'auto', include_advanced_features = true } = request.params.arguments;
+async function handleAnalyzeProjectRequest(args, context) {
+  const { project_description, target_platform = 'auto', complexity_level = 'auto', include_advanced_features = true } = args;
   
   // Detect user language
   const userLanguage = detectLanguage(project_description);
   const msg = messages[userLanguage];
   
-  // Auto-detect platform if needed
-  let detectedPlatform = target_platform;
-  if (target_platform === 'auto') {
-    if (project_description.includes('모바일') || project_description.includes('mobile') || project_description.includes('앱') || project_description.includes('app')) {
-      detectedPlatform = 'mobile';
-    } else if (project_description.includes('웹') || project_description.includes('web')) {
-      detectedPlatform = 'web';
-    } else {
-      detectedPlatform = 'web'; // default
-    }
-  }
-  
-  // Select appropriate tech stack
-  const availableStacks = techStackOptions[detectedPlatform];
-  const selectedTechStack = availableStacks ? availableStacks[0] : techStackOptions.web[0];
+  // Detect platform (keywords, then AI if unsure), module count and default tech stack
+  const usage = createUsageTracker();
+  const classification = target_platform === 'auto' ? await classifyProjectWithAI(project_description, { usage }) : null;
+  const analysis = analyze(project_description, {
+    platform: classification ? classification.platform : target_platform,
+    complexity: complexity_level
+  });
+  const detectedPlatform = analysis.platform;
   
   // Generate modules
-  const moduleList = await generateModuleList(project_description, complexity_level);
-  const moduleCount = getModuleCount(complexity_level, project_description);
-  const specification = await generateSpecification(project_description, selectedTechStack, moduleList.slice(0, moduleCount));
+  const onProgress = createProgressReporter(context);
+  const modules = await generateModules(project_description, { complexity: complexity_level, maxModules: analysis.moduleCount, onProgress, usage });
+  const specification = await generateSpec(project_description, analysis.techStack, modules, { onProgress, usage });
+  const failedModules = specification.modules.filter(module => module.generationError).map(module => module.name);
   
   // Generate session ID
-  const sessionId = `spec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const sessionId = generateSessionId();
   
   // Store in session
   const sessionData = {
@@ -602,73 +700,123 @@ async function handleAnalyzeProjectRequest(request) {
     platform: detectedPlatform,
     complexity: complexity_level,
     advanced_features: include_advanced_features,
+    usage: usage.totals,
     created_at: new Date().toISOString()
   };
-  sessions.set(sessionId, sessionData);
+  ensureRevisionHistory(sessionData);
+  await sessions.set(sessionId, sessionData);
   
   // Generate markdown with language info
-  const markdownWithLang = generateMarkdownWithLanguage(specification, detectedPlatform);
+  const markdownWithLang = render(specification, 'markdown', { platform: detectedPlatform });
   
-  process.stdout.write(JSON.stringify({
-    jsonrpc: "2.0",
-    id: request.id,
-    result: {
-      content: [
-        {
-          type: "text",
-          text: `## ${msg.projectAnalysisResult}
+  return {
+    content: [
+      {
+        type: "text",
+        text: `## ${msg.projectAnalysisResult}
 
-**${msg.projectType}**: ${detectedPlatform}
+**${msg.projectType}**: ${detectedPlatform}${classification ? `
+**${msg.detection}**: ${Math.round(classification.confidence * 100)}% — ${classification.reasoning}` : ''}
 **${msg.complexity}**: ${complexity_level}
 **${msg.mainFeatures}**: ${getMainFeatures(detectedPlatform)}
-**${msg.sessionId}**: \`${sessionId}\`
+**${msg.usage}**: ${formatUsage(sessionData.usage)}
+**${msg.sessionId}**: \`${sessionId}\`${failedModules.length > 0 ? `
+**⚠️ ${msg.failedModules}**: ${failedModules.join(', ')}` : ''}
 
 ## 소프트웨어 설계 명세서
 
 ${markdownWithLang}`
-        }
-      ]
+      }
+    ],
+    structuredContent: {
+      ...summarizeSpecification(sessionId, sessionData),
+      complexity: complexity_level,
+      ...(classification ? { detection: { confidence: classification.confidence, reasoning: classification.reasoning } } : {}),
+      failed_modules: failedModules,
+      usage: usageCounts(sessionData.usage)
     }
-  }) + '\n');
+  };
 }
 
-async function handleRefineSpecification(request) {
-  const { session_id, modification_request, action_type = 'auto' } = request.params.arguments;
+async function handleRefineSpecification(args, context) {
+  const { session_id, modification_request, action_type = 'auto' } = args;
   
-  if (!session_id || !sessions.has(session_id)) {
+  const sessionData = session_id ? await sessions.get(session_id) : undefined;
+  if (!sessionData) {
     throw new ValidationError('Specification session not found. Please provide a valid session_id.', 'session_id');
   }
-  
-  const sessionData = sessions.get(session_id);
+
+  if (action_type !== 'auto' && !PATCH_OPERATIONS.includes(action_type)) {
+    throw new ValidationError(`Unsupported action_type: ${action_type}`, 'action_type');
+  }
+
   const currentSpec = sessionData.specification;
-  
-  // Generate modification based on request
-  const modificationPrompt = `Please modify the current specification according to this request:
+  const allowedOperations = action_type === 'auto'
+    ? PATCH_OPERATIONS.map(op => `"${op}"`).join(', ')
+    : `"${action_type}" (the caller restricted this refinement to that operation)`;
+
+  // Send the whole specification and ask for a patch rather than a new
+  // document, so functions, test cases and requirements the request doesn't
+  // touch survive the refinement unchanged.
+  const modificationPrompt = `You are refining an existing software design specification.
+
+Modification request: ${modification_request}
 
-Request: ${modification_request}
+Current specification JSON:
+${JSON.stringify(currentSpec, null, 2)}
 
-Current specification modules: ${currentSpec.modules.map(m => m.name).join(', ')}
+Do NOT return the whole specification. Respond with a patch that applies the request to the specification above, in this JSON format:
+{
+  "summary": "One sentence describing the change",
+  "operations": [
+    { "op": "add_module", "module": { "name": "Module Name", "description": "Module description", "functions": [ { "name": "...", "purpose": "...", "parameters": ["..."], "returnValue": "...", "designSpec": "...", "functionDefinition": "...", "remarks": "...", "testCases": ["..."] } ] } },
+    { "op": "modify_module", "module": "Existing Module Name", "changes": { "description": "..." } },
+    { "op": "add_function", "module": "Existing Module Name", "function": { "name": "...", "purpose": "...", "parameters": ["..."], "returnValue": "...", "designSpec": "...", "functionDefinition": "...", "remarks": "...", "testCases": ["..."] } },
+    { "op": "modify_function", "module": "Existing Module Name", "function": "existingFunctionName", "changes": { "purpose": "..." } },
+    { "op": "remove_item", "module": "Existing Module Name", "function": "optionalFunctionName" },
+    { "op": "update_requirements", "changes": { "functional": ["..."], "nonFunctional": ["..."], "system": "..." } }
+  ]
+}
 
-IMPORTANT: Respond with ONLY valid JSON format. No explanations or additional text.
+Rules:
+1. Allowed operations: ${allowedOperations}.
+2. Refer to existing modules and functions by their exact current names.
+3. "changes" contains only the fields that change; list fields (parameters, testCases, functional, nonFunctional) are replaced as a whole.
+4. Omit "function" in remove_item to remove the whole module.
+5. Write new content in the same language as the current specification, and use ${currentSpec.techStack?.stack?.language || 'the project\'s'} syntax for function definitions.
 
-Modified specification JSON:`;
+IMPORTANT: Respond with ONLY valid JSON format. No explanations or additional text.`;
 
+  // Counted on top of the session's earlier usage, so AI_BUDGET_USD caps
+  // the session as a whole
+  const usage = createUsageTracker({ totals: sessionData.usage });
   try {
-    const modificationResponse = await callAI(modificationPrompt, 1, 'specification');
-    const updatedSpec = parseJSONFromResponse(modificationResponse);
-    
-    // Validate updated specification
-    if (!updatedSpec || !updatedSpec.modules || !Array.isArray(updatedSpec.modules)) {
-      throw new ValidationError('Invalid specification format received from AI modification', 'specification');
-    }
-    
-    // Update session
-    sessionData.specification = updatedSpec;
-    sessionData.last_modified = new Date().toISOString();
-    sessions.set(session_id, sessionData);
+    // Apply and validate locally; an invalid operation or a schema error
+    // introduced by the patch rejects it, and the model is asked to correct
+    // it. The session is untouched until a patch applies cleanly.
+    const { patch, specification: updatedSpec, applied } = await callAI(modificationPrompt, 1, 'specification', {
+      onProgress: createProgressReporter(context),
+      usage,
+      parse: (text) => {
+        const patch = parseJSONFromResponse(text);
+        const result = applySpecificationPatch(currentSpec, patch, action_type);
+        assertValidSpecification(result.specification, { baseline: currentSpec });
+        return { patch, ...result };
+      }
+    });
+
+    // Update session, keeping the previous specification as a revision
+    sessionData.usage = usage.totals;
+    const revision = recordRevision(sessionData, updatedSpec, {
+      action: 'refine',
+      request: modification_request,
+      patch
+    });
+    await sessions.set(session_id, sessionData);
+    resourceSubscriptions.notifyChanged(session_id, currentSpec, updatedSpec);
     
     // Generate updated markdown
-    const markdownWithLang = generateMarkdownWithLanguage(updatedSpec, sessionData.platform);
+    const markdownWithLang = render(updatedSpec, 'markdown', { platform: sessionData.platform });
     
     const lang = detectLanguage(modification_request);
     const messages = {
@@ -676,79 +824,114 @@ Modified specification JSON:`;
         title: '## 명세서 수정 완료',
         modification: '**수정 내용**',
         sessionId: '**세션 ID**',
+        revision: '**리비전**',
+        changes: '### 적용된 변경',
         updated: '## 업데이트된 명세서'
       },
       en: {
         title: '## Specification Update Complete',
         modification: '**Modification**',
         sessionId: '**Session ID**',
+        revision: '**Revision**',
+        changes: '### Applied Changes',
         updated: '## Updated Specification'
       }
     };
     
     const msg = messages[lang];
     
-    process.stdout.write(JSON.stringify({
-      jsonrpc: "2.0",
-      id: request.id,
-      result: {
-        content: [
-          {
-            type: "text",
-            text: `${msg.title}
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${msg.title}
 
 ${msg.modification}: ${modification_request}
 ${msg.sessionId}: \`${session_id}\`
+${msg.revision}: ${revision.revision}
+
+${msg.changes}
+${patch.summary ? `${patch.summary}\n\n` : ''}${applied.map(item => `- ${item}`).join('\n')}
 
 ${msg.updated}
 
 ${markdownWithLang}`
-          }
-        ]
+        }
+      ],
+      structuredContent: {
+        ...summarizeSpecification(session_id, sessionData),
+        revision: revision.revision,
+        summary: patch.summary || '',
+        applied,
+        usage: usageCounts(sessionData.usage)
       }
-    }) + '\n');
+    };
   } catch (error) {
-    if (error instanceof APIError || error instanceof ValidationError || error instanceof ParsingError) {
+    // Tokens spent on a failed refinement are still recorded
+    if (usage.totals.calls > (sessionData.usage?.calls || 0)) {
+      sessionData.usage = usage.totals;
+      await sessions.set(session_id, sessionData);
+    }
+    if (error instanceof APIError || error instanceof ValidationError || error instanceof ParsingError || error instanceof BudgetExceededError) {
       throw error; // Re-throw custom errors as-is
     }
     throw new APIError(`Specification refinement failed: ${error.message}`, error, 'AI');
   }
 }
 
-async function handleExportSpecification(request) {
-  const { session_id, export_format = 'markdown', include_templates = false } = request.params.arguments;
+async function handleExportSpecification(args) {
+  const { session_id, export_format = 'markdown', include_templates = false } = args;
   
-  if (!session_id || !sessions.has(session_id)) {
-    throw new Error('Specification session not found.');
+  const sessionData = session_id ? await sessions.get(session_id) : undefined;
+  if (!sessionData) {
+    throw new ValidationError('Specification session not found. Please provide a valid session_id.', 'session_id');
   }
-  
-  const sessionData = sessions.get(session_id);
+
   const specification = sessionData.specification;
   
+  const totalFunctions = (specification.modules || []).reduce((sum, module) => sum + (module.functions?.length || 0), 0);
+
+  if (!RENDER_FORMATS.includes(export_format)) {
+    throw new ValidationError(`Unsupported export format: ${export_format}`, 'export_format');
+  }
+
+  const lang = detectLanguage(specification.description || specification.title || '');
+  const rendered = render(specification, export_format, { platform: sessionData.platform, includeTemplates: include_templates });
+
   let exportContent;
-  if (export_format === 'markdown') {
-    exportContent = generateMarkdownWithLanguage(specification, sessionData.platform);
-  } else if (export_format === 'json') {
-    exportContent = JSON.stringify(specification, null, 2);
+  let exportPath = null;
+  if (export_format === 'markdown' || export_format === 'json') {
+    exportContent = rendered;
   } else {
-    exportContent = generateMarkdownWithLanguage(specification, sessionData.platform);
+    // Spreadsheet formats are written to disk; the response carries the path
+    // plus the CSV itself or a summary of the workbook.
+    exportPath = await writeExportFile(session_id, export_format, rendered);
+    exportContent = export_format === 'csv' ? `\`\`\`csv
+${rendered.replace(/^\uFEFF/, '')}\`\`\`` : `- **Requirements**: ${(specification.requirements?.functional?.length || 0) + (specification.requirements?.nonFunctional?.length || 0) + (specification.requirements?.system ? 1 : 0)} rows
+- **Modules**: ${(specification.modules || []).length} rows
+- **Functions**: ${totalFunctions} rows`;
+
+    if (include_templates) {
+      exportContent += `\n\n${renderTemplatesMarkdown(specification)}`;
+    }
   }
-  
-  const lang = detectLanguage(exportContent);
+
   const messages = {
     ko: {
       title: '## 명세서 내보내기 완료',
       format: '**형태**',
       templates: '**템플릿 포함**',
       source: '**데이터 소스**',
+      file: '**파일**',
       yes: '예',
       no: '아니오'
     },
     en: {
       title: '## Specification Export Complete',
       format: '**Format**',
-      templates: '**Templates Included', 
+      templates: '**Templates Included**', 
       source: '**Data Source**',
+      file: '**File**',
       yes: 'Yes',
       no: 'No'
     }
@@ -756,30 +939,36 @@ async function handleExportSpecification(request) {
   
   const msg = messages[lang];
   
-  process.stdout.write(JSON.stringify({
-    jsonrpc: "2.0",
-    id: request.id,
-    result: {
-      content: [
-        {
-          type: "text",
-          text: `${msg.title}
+  return {
+    content: [
+      {
+        type: "text",
+        text: `${msg.title}
 
 ${msg.format}: ${export_format.toUpperCase()}
 ${msg.templates}: ${include_templates ? msg.yes : msg.no}
-${msg.source}: Session ID: ${session_id}
+${msg.source}: Session ID: ${session_id}${exportPath ? `\n${msg.file}: ${exportPath}` : ''}
 
 ${exportContent}`
-        }
-      ]
+      }
+    ],
+    structuredContent: {
+      session_id,
+      format: export_format,
+      include_templates,
+      ...(exportPath ? { file: exportPath } : {}),
+      ...(export_format !== 'xlsx' ? { content: rendered.replace(/^\uFEFF/, '') } : {}),
+      counts: summarizeSpecification(session_id, sessionData).counts
     }
-  }) + '\n');
+  };
 }
 
-async function handleSelectTechStack(request) {
-  const { platform, preferences = [] } = request.params.arguments;
+async function handleSelectTechStack(args) {
+  const { platform, preferences = [] } = args;
   
-  const availableStacks = techStackOptions[platform];
+  // Re-read the custom catalog so edits show up without a restart
+  await loadStackCatalog();
+  const availableStacks = getTechStacks(platform);
   if (!availableStacks) {
     throw new ValidationError(`Unsupported platform: ${platform}`, 'platform');
   }
@@ -797,40 +986,41 @@ async function handleSelectTechStack(request) {
   
   const stacks = filteredStacks.length > 0 ? filteredStacks : availableStacks;
   
-  process.stdout.write(JSON.stringify({
-    jsonrpc: "2.0",
-    id: request.id,
-    result: {
-      content: [
-        {
-          type: "text",
-          text: `## Available Tech Stacks for ${platform}
+  return {
+    content: [
+      {
+        type: "text",
+        text: `## Available Tech Stacks for ${platform}
 
 ${stacks.map((stack, index) => `### ${index + 1}. ${stack.name}
-- **Language**: ${stack.stack.language}
-- **Frontend**: ${stack.stack.frontend}
-- **Backend**: ${stack.stack.backend}
-- **Database**: ${stack.stack.database}
-- **Tools**: ${stack.stack.tools}
+${formatTechStack(stack)}
 `).join('\n')}`
-        }
-      ]
+      }
+    ],
+    structuredContent: {
+      platform,
+      stacks: stacks.map(({ name, stack }) => ({ name, stack }))
     }
-  }) + '\n');
+  };
 }
 
-async function handleSelectModules(request) {
-  const { session_id, selected_modules } = request.params.arguments;
+async function handleSelectModules(args) {
+  const { session_id, selected_modules } = args;
   
-  if (!session_id || !sessions.has(session_id)) {
+  const sessionData = session_id ? await sessions.get(session_id) : undefined;
+  if (!sessionData) {
     throw new ValidationError('Specification session not found. Please provide a valid session_id.', 'session_id');
   }
   
   if (!Array.isArray(selected_modules) || selected_modules.length === 0) {
     throw new ValidationError('Please provide a valid array of selected module names.', 'selected_modules');
   }
-  
-  const sessionData = sessions.get(session_id);
+
+  const available = sessionData.specification.modules.map(module => module.name);
+  const unknown = selected_modules.filter(name => !available.includes(name));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown module(s): ${unknown.join(', ')}. Available modules: ${available.join(', ')}`, 'selected_modules');
+  }
   
   // Filter specification to only include selected modules
   const filteredSpec = {
@@ -840,152 +1030,382 @@ async function handleSelectModules(request) {
     )
   };
   
+  assertValidSpecification(filteredSpec, { baseline: sessionData.specification });
+
   // Update session with filtered specification
-  sessionData.specification = filteredSpec;
-  sessionData.last_modified = new Date().toISOString();
-  sessions.set(session_id, sessionData);
+  const previousSpec = sessionData.specification;
+  const revision = recordRevision(sessionData, filteredSpec, {
+    action: 'select_modules',
+    request: `Selected modules: ${selected_modules.join(', ')}`
+  });
+  await sessions.set(session_id, sessionData);
+  resourceSubscriptions.notifyChanged(session_id, previousSpec, filteredSpec);
   
-  const markdownWithLang = generateMarkdownWithLanguage(filteredSpec, sessionData.platform);
+  const markdownWithLang = render(filteredSpec, 'markdown', { platform: sessionData.platform });
   
-  process.stdout.write(JSON.stringify({
-    jsonrpc: "2.0",
-    id: request.id,
-    result: {
-      content: [
-        {
-          type: "text",
-          text: `## Module Selection Complete
+  return {
+    content: [
+      {
+        type: "text",
+        text: `## Module Selection Complete
 
 **Selected Modules**: ${selected_modules.join(', ')}
 **Session ID**: \`${session_id}\`
+**Revision**: ${revision.revision}
 
 ## Updated Specification
 
 ${markdownWithLang}`
-        }
-      ]
+      }
+    ],
+    structuredContent: {
+      ...summarizeSpecification(session_id, sessionData),
+      revision: revision.revision,
+      selected_modules
     }
-  }) + '\n');
+  };
+}
+
+async function handleListSessions() {
+  const entries = await sessions.list();
+  entries.sort((a, b) =>
+    (b.data.last_modified || b.data.created_at || '').localeCompare(a.data.last_modified || a.data.created_at || ''));
+
+  const rows = entries.map(({ id, data }) => {
+    const spec = data.specification || {};
+    const moduleCount = Array.isArray(spec.modules) ? spec.modules.length : 0;
+    const expires = getSessionExpiry(data) || 'never';
+    return `| \`${id}\` | ${spec.title || '-'} | ${data.platform || '-'} | ${moduleCount} | ${data.created_at || '-'} | ${data.last_modified || '-'} | ${expires} |`;
+  });
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: entries.length === 0 ? `## Stored Sessions
+
+No stored sessions. Use analyze_project_request to create one.` : `## Stored Sessions (${entries.length})
+
+| Session ID | Title | Platform | Modules | Created | Last Modified | Expires |
+|------------|-------|----------|---------|---------|---------------|---------|
+${rows.join('\n')}`
+      }
+    ],
+    structuredContent: {
+      sessions: entries.map(({ id, data }) => {
+        const spec = data.specification || {};
+        const expires = getSessionExpiry(data);
+        return {
+          session_id: id,
+          title: spec.title || '',
+          platform: data.platform || '',
+          modules: Array.isArray(spec.modules) ? spec.modules.length : 0,
+          created_at: data.created_at || '',
+          last_modified: data.last_modified || '',
+          ...(expires ? { expires_at: expires } : {})
+        };
+      })
+    }
+  };
+}
+
+async function handleDeleteSession(args) {
+  const { session_id } = args;
+
+  const sessionData = session_id ? await sessions.get(session_id) : undefined;
+  if (!sessionData || !(await sessions.delete(session_id))) {
+    throw new ValidationError('Specification session not found. Please provide a valid session_id.', 'session_id');
+  }
+  resourceSubscriptions.notifyChanged(session_id, sessionData.specification, null);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `## Session Deleted
+
+**Session ID**: \`${session_id}\``
+      }
+    ],
+    structuredContent: { session_id, deleted: true }
+  };
+}
+
+async function handleEditSpecification(args) {
+  const { session_id, specification, note = null } = args;
+
+  const sessionData = session_id ? await sessions.get(session_id) : undefined;
+  if (!sessionData) {
+    throw new ValidationError('Specification session not found. Please provide a valid session_id.', 'session_id');
+  }
+
+  // Strict parsing: the repair used for model output would quietly drop the
+  // end of a truncated edit and save what is left
+  let editedSpec = specification;
+  if (typeof specification === 'string') {
+    try {
+      editedSpec = JSON.parse(specification);
+    } catch (error) {
+      throw new ValidationError(`The specification is not valid JSON: ${error.message}`, 'specification');
+    }
+  }
+  assertValidSpecification(editedSpec, { baseline: sessionData.specification });
+
+  const revision = recordRevision(sessionData, editedSpec, {
+    action: 'manual_edit',
+    request: note
+  });
+  await sessions.set(session_id, sessionData);
+
+  const previousSpec = getRevision(sessionData, revision.revision - 1).specification;
+  resourceSubscriptions.notifyChanged(session_id, previousSpec, editedSpec);
+  const changes = diffSpecifications(previousSpec, editedSpec);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `## Specification Edited
+
+**Session ID**: \`${session_id}\`
+**Revision**: ${revision.revision}
+${note ? `**Note**: ${note}\n` : ''}
+${formatDiff(changes)}`
+      }
+    ],
+    structuredContent: {
+      ...summarizeSpecification(session_id, sessionData),
+      revision: revision.revision,
+      changes: summarizeChanges(changes)
+    }
+  };
+}
+
+async function handleGetSessionUsage(args) {
+  const { session_id } = args;
+
+  const sessionData = session_id ? await sessions.get(session_id) : undefined;
+  if (!sessionData) {
+    throw new ValidationError('Specification session not found. Please provide a valid session_id.', 'session_id');
+  }
+
+  // Sessions created before usage was tracked have none recorded
+  const usage = sessionData.usage || createUsageTracker().totals;
+  const row = (label, counts) =>
+    `| ${label} | ${counts.calls} | ${counts.input_tokens.toLocaleString('en-US')} | ${counts.output_tokens.toLocaleString('en-US')} | ${formatCost(counts.cost_usd)} |`;
+  const header = `| Calls | Input Tokens | Output Tokens | Cost |
+|-------|-------|--------------|---------------|------|`;
+  const budget = CONFIG.budget
+    ? `\n**Budget**: ${formatCost(CONFIG.budget)} (${formatCost(Math.max(0, CONFIG.budget - usage.cost_usd))} left)`
+    : '';
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `## Session Usage
+
+**Session ID**: \`${session_id}\`
+**Total**: ${formatUsage(usage)}${budget}
+${usage.calls === 0 ? '' : `
+### By Model
+
+| Model ${header}
+${Object.entries(usage.by_model).map(([key, counts]) => row(key, counts)).join('\n')}
+
+### By Task
+
+| Task ${header}
+${Object.entries(usage.by_task).map(([task, counts]) => row(task, counts)).join('\n')}
+`}`
+      }
+    ],
+    structuredContent: {
+      session_id,
+      usage,
+      ...(CONFIG.budget ? { budget_usd: CONFIG.budget, remaining_usd: Math.max(0, CONFIG.budget - usage.cost_usd) } : {})
+    }
+  };
+}
+
+async function handleListRevisions(args) {
+  const { session_id } = args;
+
+  const sessionData = session_id ? await sessions.get(session_id) : undefined;
+  if (!sessionData) {
+    throw new ValidationError('Specification session not found. Please provide a valid session_id.', 'session_id');
+  }
+
+  const revisions = ensureRevisionHistory(sessionData);
+  const current = getCurrentRevision(sessionData).revision;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `## Revision History
+
+**Session ID**: \`${session_id}\`
+**Current Revision**: ${current}
+
+| Revision | Action | Request | Modules | Created |
+|----------|--------|---------|---------|---------|
+${revisions.map(rev => `| ${rev.revision}${rev.revision === current ? ' (current)' : ''} | ${rev.action} | ${rev.request || '-'} | ${rev.specification?.modules?.length ?? 0} | ${rev.created_at} |`).join('\n')}`
+      }
+    ],
+    structuredContent: {
+      session_id,
+      current_revision: current,
+      revisions: revisions.map(rev => ({
+        revision: rev.revision,
+        action: rev.action,
+        ...(rev.request ? { request: rev.request } : {}),
+        modules: rev.specification?.modules?.length ?? 0,
+        created_at: rev.created_at
+      }))
+    }
+  };
+}
+
+async function handleDiffRevisions(args) {
+  const { session_id, from_revision, to_revision } = args;
+
+  const sessionData = session_id ? await sessions.get(session_id) : undefined;
+  if (!sessionData) {
+    throw new ValidationError('Specification session not found. Please provide a valid session_id.', 'session_id');
+  }
+
+  const to = to_revision !== undefined ? getRevision(sessionData, to_revision) : getCurrentRevision(sessionData);
+  const from = from_revision !== undefined ? getRevision(sessionData, from_revision) : getRevision(sessionData, Math.max(1, to.revision - 1));
+  const changes = diffSpecifications(from.specification, to.specification);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `## Revision Diff: ${from.revision} → ${to.revision}
+
+**Session ID**: \`${session_id}\`
+**Revision ${to.revision}**: ${to.action}${to.request ? ` — ${to.request}` : ''}
+
+${formatDiff(changes)}`
+      }
+    ],
+    structuredContent: {
+      session_id,
+      from_revision: from.revision,
+      to_revision: to.revision,
+      changes: summarizeChanges(changes)
+    }
+  };
+}
+
+async function handleRevertSpecification(args) {
+  const { session_id, revision } = args;
+
+  const sessionData = session_id ? await sessions.get(session_id) : undefined;
+  if (!sessionData) {
+    throw new ValidationError('Specification session not found. Please provide a valid session_id.', 'session_id');
+  }
+
+  const previous = getCurrentRevision(sessionData);
+  const { target, entry } = revertToRevision(sessionData, revision);
+  await sessions.set(session_id, sessionData);
+  resourceSubscriptions.notifyChanged(session_id, previous.specification, sessionData.specification);
+
+  const markdownWithLang = render(sessionData.specification, 'markdown', { platform: sessionData.platform });
+  const changes = diffSpecifications(previous.specification, sessionData.specification);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `## Specification Reverted
+
+**Session ID**: \`${session_id}\`
+**Restored Revision**: ${target.revision}
+**New Revision**: ${entry.revision} (to redo, revert to revision ${previous.revision})
+
+${formatDiff(changes)}
+
+## Updated Specification
+
+${markdownWithLang}`
+      }
+    ],
+    structuredContent: {
+      ...summarizeSpecification(session_id, sessionData),
+      restored_revision: target.revision,
+      revision: entry.revision,
+      changes: summarizeChanges(changes)
+    }
+  };
 }
 
 // Helper functions
+
+// structuredContent fields shared by the tools returning a specification
+function summarizeSpecification(sessionId, sessionData) {
+  const specification = sessionData.specification || {};
+  const modules = (specification.modules || []).map(module => ({
+    name: module.name,
+    description: module.description || '',
+    functions: (module.functions || []).map(fn => fn.name),
+    ...(module.generationError ? { generation_failed: true } : {})
+  }));
+  const functions = (specification.modules || []).flatMap(module => module.functions || []);
+  return {
+    session_id: sessionId,
+    title: specification.title || '',
+    platform: sessionData.platform || '',
+    ...(specification.techStack ? { tech_stack: specification.techStack } : {}),
+    modules,
+    counts: {
+      modules: modules.length,
+      functions: functions.length,
+      test_cases: functions.reduce((sum, fn) => sum + (Array.isArray(fn.testCases) ? fn.testCases.length : 0), 0)
+    }
+  };
+}
+
+// The diff for structuredContent: whole added or removed modules and
+// functions are left out, they can be read from the specification
+function summarizeChanges(changes) {
+  return changes.map(({ type, path, from, to }) => (type === 'changed' ? { type, path, from, to } : { type, path }));
+}
+
+const usageCounts = ({ calls, input_tokens, output_tokens, cost_usd }) => ({ calls, input_tokens, output_tokens, cost_usd });
+
+function formatDiff(changes) {
+  if (changes.length === 0) {
+    return '_No differences._';
+  }
+  const symbols = { added: '+', removed: '-', changed: '~' };
+  const preview = (value) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text && text.length > 120 ? `${text.slice(0, 117)}...` : text;
+  };
+  return `### Changes (${changes.length})
+
+${changes.map(change => {
+    if (change.type === 'changed') {
+      return `- \`${symbols.changed}\` **${change.path}**: ${preview(change.from) ?? '(empty)'} → ${preview(change.to) ?? '(empty)'}`;
+    }
+    return `- \`${symbols[change.type]}\` **${change.path}** ${change.type}`;
+  }).join('\n')}`;
+}
+
 function getMainFeatures(platform) {
   const features = {
     mobile: 'Mobile UI, Touch Interface',
     web: 'Web Interface, Browser Compatibility',
     desktop: 'Desktop UI, System Integration',
-    api: 'REST API, Data Processing'
+    backend: 'REST API, Data Processing',
+    embedded: 'Firmware, Hardware Integration'
   };
-  return features[platform] || 'General Purpose';
+  return features[resolvePlatform(platform)] || 'General Purpose';
 }
 
-function generateMarkdownWithLanguage(specification, platform) {
-  const selectedTechStack = specification.techStack;
-  const totalFunctions = specification.modules.reduce((sum, module) => sum + (module.functions?.length || 0), 0);
-  const languageInfo = selectedTechStack ? selectedTechStack.stack.language : getDefaultLanguage(platform);
-  
-  // Detect language from specification content
-  const lang = detectLanguage(specification.description || specification.title || '');
-  
-  const templates = {
-    ko: {
-      title: '설계 명세서',
-      projectType: '프로젝트 타입',
-      language: '프로그래밍 언어',
-      complexity: '복잡도',
-      generated: '생성일',
-      description: '프로젝트 설명',
-      requirements: '시스템 요구사항',
-      compatibility: '시스템 호환성',
-      softwareDesign: '소프트웨어 설계 명세서',
-      module: '모듈',
-      moduleDetails: '모듈 상세 함수 명세',
-      returnValue: '반환값',
-      testCases: '테스트 케이스',
-      specInfo: '명세서 정보'
-    },
-    en: {
-      title: 'Design Specification',
-      projectType: 'Project Type',
-      language: 'Programming Language',
-      complexity: 'Complexity',
-      generated: 'Generated',
-      description: 'Project Description',
-      requirements: 'System Requirements',
-      compatibility: 'System Compatibility',
-      softwareDesign: 'Software Design Specification',
-      module: 'Module',
-      moduleDetails: 'Detailed Module Function Specification',
-      returnValue: 'Return Value',
-      testCases: 'Test Cases',
-      specInfo: 'Specification Information'
-    }
-  };
-  
-  const t = templates[lang];
-  const today = new Date().toLocaleDateString(lang === 'ko' ? 'ko-KR' : 'en-US');
-  
-  let markdown = `# ${specification.title || t.title}
-
-## ${t.description}
-${specification.description || ''}
-
-## ${t.requirements}
-${specification.requirements ? `
-### Functional Requirements
-${specification.requirements.functional ? specification.requirements.functional.map(req => `- ${req}`).join('\n') : ''}
-
-### Non-Functional Requirements  
-${specification.requirements.nonFunctional ? specification.requirements.nonFunctional.map(req => `- ${req}`).join('\n') : ''}
-
-### ${t.compatibility}
-${specification.requirements.system || ''}
-` : ''}
-
-## ${t.softwareDesign}
-
-### ${t.specInfo}
-- **${t.projectType}**: ${platform}
-- **${t.language}**: ${languageInfo}
-- **${t.generated}**: ${today}
-- **${lang === 'ko' ? '총 모듈 수' : 'Total Modules'}**: ${specification.modules.length}
-- **${lang === 'ko' ? '총 함수 수' : 'Total Functions'}**: ${totalFunctions}
-
-### ${lang === 'ko' ? '기술 스택' : 'Technology Stack'}
-${selectedTechStack ? `
-- **${lang === 'ko' ? '언어' : 'Language'}**: ${selectedTechStack.stack.language}
-- **${lang === 'ko' ? '프레임워크' : 'Framework'}**: ${selectedTechStack.stack.framework}
-- **${lang === 'ko' ? '상태 관리' : 'State Management'}**: ${selectedTechStack.stack.stateManagement}
-- **${lang === 'ko' ? '데이터베이스' : 'Database'}**: ${Array.isArray(selectedTechStack.stack.database) ? selectedTechStack.stack.database.join(', ') : selectedTechStack.stack.database}
-- **${lang === 'ko' ? '테스트' : 'Testing'}**: ${selectedTechStack.stack.testing}
-- **${lang === 'ko' ? '배포' : 'Deployment'}**: ${selectedTechStack.stack.deployment}
-` : ''}
-
-## ${lang === 'ko' ? '모듈 구조' : 'Module Structure'}
-
-${specification.modules.map((module, index) => `### ${index + 1}. ${module.name}
-${module.description}
-
-#### ${lang === 'ko' ? '함수 목록' : 'Function List'}
-
-${lang === 'ko' ? '| Function | Design Spec | Function Definition | Remarks |' : '| Function | Design Spec | Function Definition | Remarks |'}
-${lang === 'ko' ? '|----------|-------------|---------------------|---------|' : '|----------|-------------|---------------------|---------|'}
-${module.functions && module.functions.length > 0 ? 
-  module.functions.map((func, funcIndex) => `| ${func.name}() | ${func.designSpec || '설계 명세'} | ${func.functionDefinition || '함수 정의'} | ${func.remarks || '비고'} |`).join('\n') : 
-  `${lang === 'ko' ? '함수가 정의되지 않았습니다.' : 'No functions defined.'}`}
-
-${module.functions && module.functions.length > 0 ? 
-  module.functions.map((func, funcIndex) => `##### ${funcIndex + 1}. ${func.name}()
-- **${lang === 'ko' ? '목적' : 'Purpose'}**: ${func.purpose}
-- **${lang === 'ko' ? '매개변수' : 'Parameters'}**: ${Array.isArray(func.parameters) ? func.parameters.join(', ') : func.parameters || 'None'}
-- **${t.returnValue}**: ${func.returnValue}
-- **${t.testCases}**: ${Array.isArray(func.testCases) ? func.testCases.map(test => `  - ${test}`).join('\n') : func.testCases || 'None'}
-`).join('\n') : ''}
-`).join('\n')}
-`;
-
-  return markdown;
-}
 
 // Export the startMCPServer function
 export { startMCPServer };
@@ -3,17 +3,81 @@
 import fs from 'fs/promises';
 import path from 'path';
 import readline from 'readline';
-import { CONFIG, logger, loadEnv, validateAPIKeys } from './lib/config.js';
-import { callAI } from './lib/api-client.js';
-import { APIError, ParsingError, ConfigurationError, ValidationError, FileIOError, NetworkError, handleError } from './lib/errors.js';
+import { CONFIG, loadEnv, validateAPIKeys } from './lib/config.js';
+import { ConfigurationError, ValidationError, FileIOError, handleError } from './lib/errors.js';
+import { classifyProjectWithAI, generateModules, generateSpec, render, writeArtifacts, techStackOptions, getTechStacks, resolvePlatform, loadStackCatalog, RENDER_FORMATS, createUsageTracker, loadPriceTable, formatUsage, formatCost } from './lib/pipeline.js';
+import { parseArgs } from './lib/cli-args.js';
+import { getCacheStats, getCacheCounters, clearCache } from './lib/response-cache.js';
 import { startMCPServer } from './mcp-server.js';
 
+// Command-line options. Every interactive prompt has a flag equivalent so
+// the CLI can run in CI without a TTY.
+const CLI_OPTIONS = {
+  type: { type: 'string', short: 't' },
+  stack: { type: 'string', short: 's' },
+  modules: { type: 'string', short: 'm' },
+  complexity: { type: 'string', short: 'c' },
+  'out-dir': { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  yes: { type: 'boolean', short: 'y' },
+  cache: { type: 'boolean' },
+  budget: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' },
+  mcp: { type: 'boolean' },
+  http: { type: 'boolean' },
+  port: { type: 'string' }
+};
+
+const COMPLEXITY_LEVELS = ['simple', 'medium', 'complex', 'auto'];
+const CACHE_ACTIONS = ['stats', 'clear'];
+
+// Exit codes: 1 for a failed run, 2 for invalid usage.
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+function printHelp(stream = process.stdout) {
+  stream.write(`Usage: sds [options] "project description"
+       sds --mcp [--http [--port <port>]]
+       sds cache <${CACHE_ACTIONS.join('|')}>
+
+Generates a software design specification from a project description.
+Anything not given as an option is asked interactively, unless --yes is set.
+Without --type the project type is detected from the description.
+
+Options:
+  -t, --type <type>          Project type: ${Object.keys(techStackOptions).join(', ')} (api = backend)
+  -s, --stack <stack>        Tech stack number or name (e.g. 2, flutter)
+  -m, --modules <list>       Modules to specify: all, or numbers such as 1,3,5
+  -c, --complexity <level>   ${COMPLEXITY_LEVELS.join(', ')} (default: complex)
+  -o, --out-dir <dir>        Output directory (default: current directory)
+  -f, --format <format>      Specification file format: ${RENDER_FORMATS.join(', ')} (default: markdown)
+  -y, --yes                  Accept defaults (detected type, first stack,
+                             all modules) instead of prompting
+      --no-cache             Don't reuse or store cached AI responses
+      --budget <usd>         Stop before AI calls could cost more than this
+                             (default: AI_BUDGET_USD, no cap if unset)
+  -h, --help                 Show this help
+  -v, --version              Show version
+      --mcp                  Run as an MCP server over stdio
+      --http                 With --mcp, serve MCP over HTTP instead
+                             (Streamable HTTP with SSE, endpoint /mcp)
+      --port <port>          HTTP port (default: MCP_HTTP_PORT, 3000)
+
+Examples:
+  sds "I want to create a mobile e-commerce app"
+  sds --type mobile --stack flutter --modules all --out-dir build/spec --yes "Blood sugar tracker"
+  sds cache stats            Show what the AI response cache holds
+  sds cache clear            Delete every cached AI response
+`);
+}
+
 // Simple question helper
 let inputQueue = [];
 let inputIndex = 0;
 
 function askQuestion(query) {
-  return new Promise(resolve => {
+  return new Promise((resolve, reject) => {
     // If we have pre-loaded answers, use them
     if (inputIndex < inputQueue.length) {
       const answer = inputQueue[inputIndex++];
@@ -21,6 +85,15 @@ function askQuestion(query) {
       resolve(answer.trim());
       return;
     }
+
+    // Without a terminal there is nobody to answer; fail instead of hanging.
+    if (!process.stdin.isTTY) {
+      reject(new ValidationError(
+        `No answer available for "${query.trim()}". Pass the matching option or --yes when running without a terminal.`,
+        'stdin'
+      ));
+      return;
+    }
     
     // Otherwise use interactive input
     const rl = readline.createInterface({
@@ -54,330 +127,59 @@ function loadPipedInput() {
   });
 }
 
-// Language detection helper
-function detectLanguage(text) {
-  const koreanRegex = /[가-힣]/;
-  return koreanRegex.test(text) ? 'ko' : 'en';
-}
-
-// Get file extension based on tech stack language
-function getFileExtension(techStack) {
-  if (!techStack || !techStack.stack || !techStack.stack.language) {
-    return '.js'; // fallback
+// CLI-specific functions
+async function selectProjectType(options, description, usage) {
+  if (options.type) {
+    return options.type;
   }
-  
-  const language = techStack.stack.language.toLowerCase();
-  
-  if (language.includes('swift')) return '.swift';
-  if (language.includes('dart')) return '.dart';
-  if (language.includes('java')) return '.java';
-  if (language.includes('python')) return '.py';
-  if (language.includes('kotlin')) return '.kt';
-  if (language.includes('c++') || language.includes('cpp')) return '.cpp';
-  if (language.includes('c#')) return '.cs';
-  
-  return '.js'; // default fallback
-}
 
-// Generate language-specific code template
-function generateCodeTemplate(module, techStack) {
-  const language = techStack?.stack?.language?.toLowerCase() || '';
-  
-  if (language.includes('swift')) {
-    return generateSwiftTemplate(module);
-  } else if (language.includes('dart')) {
-    return generateDartTemplate(module);
-  } else if (language.includes('java')) {
-    return generateJavaTemplate(module);
-  } else if (language.includes('python')) {
-    return generatePythonTemplate(module);
-  } else {
-    return generateJavaScriptTemplate(module);
+  const detected = await classifyProjectWithAI(description, { usage });
+  console.log(`\n🔍 Detected project type: ${detected.platform} (confidence ${Math.round(detected.confidence * 100)}%)`);
+  console.log(`   ${detected.reasoning}`);
+  if (options.yes) {
+    return detected.platform;
   }
-}
-
-// Swift template
-function generateSwiftTemplate(module) {
-  return `// ${module.name} Module
-// ${module.description}
-
-import Foundation
-
-${module.functions && module.functions.length > 0 ? 
-  module.functions.map(func => `
-/**
- * ${func.purpose}
- */
-${func.functionDefinition || `func ${func.name}() {
-    // TODO: Implement ${func.name}
-    fatalError("Not implemented")
-}`}
-`).join('\n') : 
-`
-// TODO: Implement ${module.name} module functions
-func initialize() {
-    // TODO: Initialize ${module.name} module
-}
-`}`;
-}
 
-// Dart template  
-function generateDartTemplate(module) {
-  return `// ${module.name} Module
-// ${module.description}
-
-${module.functions && module.functions.length > 0 ? 
-  module.functions.map(func => `
-/**
- * ${func.purpose}
- */
-${func.functionDefinition || `void ${func.name}() {
-  // TODO: Implement ${func.name}
-  throw UnimplementedError('${func.name} not implemented');
-}`}
-`).join('\n') : 
-`
-// TODO: Implement ${module.name} module functions
-void initialize() {
-  // TODO: Initialize ${module.name} module
-}
-`}`;
-}
-
-// JavaScript template (existing)
-function generateJavaScriptTemplate(module) {
-  return `// ${module.name} Module
-// ${module.description}
-
-${module.functions && module.functions.length > 0 ? 
-  module.functions.map(func => `
-/**
- * ${func.purpose}
- * @param {*} ${Array.isArray(func.parameters) ? func.parameters.join(' @param {*} ') : func.parameters || ''}
- * @returns {*} ${func.returnValue}
- */
-function ${func.name}(${Array.isArray(func.parameters) ? func.parameters.join(', ') : func.parameters || ''}) {
-  // TODO: Implement ${func.name}
-  throw new Error('Not implemented');
-}
-`).join('\n') : 
-`
-// TODO: Implement ${module.name} module functions
-function init() {
-  // TODO: Initialize ${module.name} module
-}
-`}
-
-module.exports = {
-${module.functions && module.functions.length > 0 ? 
-  module.functions.map(func => `  ${func.name}`).join(',\n') : 
-  '  init'
-}
-};`;
+  const types = Object.keys(techStackOptions);
+  const labels = { mobile: 'Mobile App', web: 'Web Application', backend: 'Backend API', desktop: 'Desktop App', embedded: 'Embedded / IoT' };
+  console.log('\n🎯 Select project type:');
+  types.forEach((type, index) => {
+    console.log(`${index + 1}. ${labels[type] || type}${type === detected.platform ? ' (detected)' : ''}`);
+  });
+  
+  const choice = await askQuestion(`\nEnter your choice (1-${types.length}, Enter for ${detected.platform}): `);
+  return types[parseInt(choice) - 1] || detected.platform;
 }
 
-// Java template
-function generateJavaTemplate(module) {
-  const className = module.name.replace(/\s+/g, '');
-  return `// ${module.name} Module
-// ${module.description}
-
-public class ${className} {
-${module.functions && module.functions.length > 0 ? 
-  module.functions.map(func => `
-    /**
-     * ${func.purpose}
-     */
-    ${func.functionDefinition || `public void ${func.name}() {
-        // TODO: Implement ${func.name}
-        throw new UnsupportedOperationException("Not implemented");
-    }`}
-`).join('\n') : 
-`
-    // TODO: Implement ${module.name} module functions
-    public void initialize() {
-        // TODO: Initialize ${module.name} module
-    }
-`}
-}`;
-}
+// Resolves --stack by menu number or by (partial, case-insensitive) name.
+function findTechStack(stacks, value) {
+  const index = /^\d+$/.test(value) ? parseInt(value) - 1 : -1;
+  if (stacks[index]) return stacks[index];
 
-// Python template
-function generatePythonTemplate(module) {
-  return `# ${module.name} Module
-# ${module.description}
-
-${module.functions && module.functions.length > 0 ? 
-  module.functions.map(func => `
-def ${func.name}():
-    """${func.purpose}"""
-    # TODO: Implement ${func.name}
-    raise NotImplementedError("${func.name} not implemented")
-`).join('\n') : 
-`
-# TODO: Implement ${module.name} module functions
-def initialize():
-    """Initialize ${module.name} module"""
-    # TODO: Initialize ${module.name} module
-    pass
-`}`;
+  const needle = value.toLowerCase();
+  return stacks.find(stack => stack.name.toLowerCase() === needle) ||
+    stacks.find(stack => stack.name.toLowerCase().includes(needle));
 }
 
-// Tech stack options by project type
-const techStackOptions = {
-  mobile: [
-    {
-      id: 1,
-      name: 'React Native',
-      stack: {
-        language: 'JavaScript/TypeScript',
-        framework: 'React Native',
-        frontend: 'React Native',
-        backend: 'Node.js/Express',
-        database: 'AsyncStorage/SQLite',
-        tools: 'Metro, React Native CLI'
-      }
-    },
-    {
-      id: 2,
-      name: 'Flutter',
-      stack: {
-        language: 'Dart',
-        framework: 'Flutter',
-        frontend: 'Flutter',
-        backend: 'Firebase/Node.js',
-        database: 'Hive/SQLite',
-        tools: 'Flutter CLI, Dart DevTools'
-      }
-    },
-    {
-      id: 3,
-      name: 'Native iOS (Swift)',
-      stack: {
-        language: 'Swift',
-        framework: 'UIKit/SwiftUI',
-        frontend: 'SwiftUI',
-        backend: 'CloudKit/Firebase',
-        database: 'Core Data/SQLite',
-        tools: 'Xcode, TestFlight'
-      }
-    },
-    {
-      id: 4,
-      name: 'Native Android (Kotlin)',
-      stack: {
-        language: 'Kotlin',
-        framework: 'Android Jetpack',
-        frontend: 'Jetpack Compose',
-        backend: 'Firebase/Retrofit',
-        database: 'Room/SQLite',
-        tools: 'Android Studio, Gradle'
-      }
-    }
-  ],
-  web: [
-    {
-      id: 1,
-      name: 'React/Next.js',
-      stack: {
-        language: 'JavaScript/TypeScript',
-        framework: 'Next.js',
-        frontend: 'React',
-        backend: 'Node.js/Express',
-        database: 'PostgreSQL/MongoDB',
-        tools: 'Webpack, Babel, ESLint'
-      }
-    },
-    {
-      id: 2,
-      name: 'Vue/Nuxt',
-      stack: {
-        language: 'JavaScript/TypeScript',
-        framework: 'Nuxt.js',
-        frontend: 'Vue.js',
-        backend: 'Node.js/Express',
-        database: 'PostgreSQL/MongoDB',
-        tools: 'Vite, Vue CLI'
-      }
-    }
-  ],
-  backend: [
-    {
-      id: 1,
-      name: 'Node.js/Express',
-      stack: {
-        language: 'JavaScript/TypeScript',
-        framework: 'Express.js',
-        frontend: 'N/A',
-        backend: 'Express.js',
-        database: 'PostgreSQL/MongoDB',
-        tools: 'npm, Jest, Postman'
-      }
-    },
-    {
-      id: 2,
-      name: 'Python/FastAPI',
-      stack: {
-        language: 'Python',
-        framework: 'FastAPI',
-        frontend: 'N/A',
-        backend: 'FastAPI',
-        database: 'PostgreSQL/MongoDB',
-        tools: 'pip, pytest, uvicorn'
-      }
-    }
-  ]
-};
-
-// JSON parsing with multiple fallback strategies
-function parseJSONFromResponse(response, type = 'object') {
-  if (typeof response !== 'string') {
-    throw new ParsingError('Response is not a string', response);
-  }
-
-  // Strategy 1: Direct parsing — works when the AI complied with "respond
-  // with JSON only".
-  try {
-    return JSON.parse(response);
-  } catch (_) { /* fall through */ }
-
-  // Strategy 2: Extract JSON from markdown code blocks. Most LLMs default
-  // to ```json fences when asked for structured output.
-  const codeBlockMatch = response.match(/```(?:json)?\s*([\s\S]*?)```/);
-  if (codeBlockMatch) {
-    try {
-      return JSON.parse(codeBlockMatch[1].trim());
-    } catch (_) { /* fall through */ }
-  }
-
-  // No more strategies. Earlier versions attempted naive substring
-  // extraction (first `{` to last `}`) and brace counting, but both can
-  // silently corrupt JSON when the AI response contains prose with stray
-  // braces or nested-quoted braces. Failing loudly is safer for
-  // downstream specification generation.
-  throw new ParsingError(
-    'Failed to parse JSON from response. Expected raw JSON or a ```json fenced block.',
-    response
-  );
-}
-
-// CLI-specific functions
-async function selectProjectType() {
-  console.log('\n🎯 Select project type:');
-  console.log('1. Mobile App');
-  console.log('2. Web Application');
-  console.log('3. Backend API');
-  
-  const choice = await askQuestion('\nEnter your choice (1-3): ');
-  const types = { '1': 'mobile', '2': 'web', '3': 'backend' };
-  return types[choice] || 'web';
-}
-
-async function selectTechStack(projectType) {
+async function selectTechStack(projectType, options) {
   const stacks = techStackOptions[projectType];
   if (!stacks) {
     throw new ConfigurationError(`No tech stacks available for project type: ${projectType}`);
   }
+
+  if (options.stack) {
+    const stack = findTechStack(stacks, options.stack);
+    if (!stack) {
+      throw new ValidationError(
+        `Unknown tech stack "${options.stack}" for ${projectType}. Available: ${stacks.map((s, i) => `${i + 1}. ${s.name}`).join(', ')}`,
+        '--stack'
+      );
+    }
+    return stack;
+  }
+  if (options.yes) {
+    return stacks[0];
+  }
   
   console.log(`\n🛠️ Select tech stack for ${projectType}:`);
   stacks.forEach((stack, index) => {
@@ -389,418 +191,289 @@ async function selectTechStack(projectType) {
   return stacks[index] || stacks[0];
 }
 
-async function generateModuleList(description, complexity) {
-  const language = detectLanguage(description);
-  
-  const prompts = {
-    ko: `다음 프로젝트 설명을 바탕으로 모듈 목록을 생성해주세요.
-
-프로젝트 설명: ${description}
-복잡도: ${complexity}
-
-다음 JSON 형식으로만 응답해주세요:
-{
-  "modules": [
-    {"name": "모듈명", "description": "모듈 설명"},
-    ...
-  ]
-}`,
-    en: `Generate a module list based on the following project description.
-
-Project Description: ${description}
-Complexity: ${complexity}
-
-Please respond only in the following JSON format:
-{
-  "modules": [
-    {"name": "module_name", "description": "module description"},
-    ...
-  ]
-}`
-  };
-
-  const moduleResponse = await callAI(prompts[language], 1, 'module-generation');
-  return parseJSONFromResponse(moduleResponse);
+// Resolves --modules ("all" or "1,3,5"). Unlike the interactive prompt, an
+// out-of-range number is an error: a script should not silently get fewer
+// modules than it asked for.
+function pickModules(modules, value) {
+  if (value.trim().toLowerCase() === 'all') {
+    return modules;
+  }
+  const picked = value.split(',').map(part => {
+    const n = part.trim();
+    if (!/^\d+$/.test(n) || parseInt(n) < 1 || parseInt(n) > modules.length) {
+      throw new ValidationError(`Invalid module number "${n}" (expected 1-${modules.length} or "all")`, '--modules');
+    }
+    return modules[parseInt(n) - 1];
+  });
+  return [...new Set(picked)];
 }
 
-async function selectModules(moduleList) {
-  if (!moduleList || !moduleList.modules) {
+async function selectModules(modules, options) {
+  if (!Array.isArray(modules)) {
     throw new ValidationError('Invalid module list format', 'modules');
   }
   
   console.log('\n📋 Generated modules:');
-  moduleList.modules.forEach((module, index) => {
+  modules.forEach((module, index) => {
     console.log(`${index + 1}. ${module.name} - ${module.description}`);
   });
+
+  if (options.modules) {
+    return pickModules(modules, options.modules);
+  }
+  if (options.yes) {
+    return modules;
+  }
   
   const choice = await askQuestion('\nSelect modules (comma-separated numbers, or "all"): ');
   
   if (choice.toLowerCase() === 'all') {
-    return moduleList.modules;
+    return modules;
   }
   
   const indices = choice.split(',').map(n => parseInt(n.trim()) - 1);
-  return indices.filter(i => i >= 0 && i < moduleList.modules.length)
-                .map(i => moduleList.modules[i]);
+  return indices.filter(i => i >= 0 && i < modules.length)
+                .map(i => modules[i]);
 }
 
-async function generateSpecification(description, techStack, modules) {
-  const language = detectLanguage(description);
-  
-  const prompts = {
-    ko: `다음 정보를 바탕으로 상세한 소프트웨어 설계 명세서를 JSON 형식으로 생성해주세요.
-
-프로젝트 설명: ${description}
-기술 스택: ${JSON.stringify(techStack, null, 2)}
-모듈 목록: ${JSON.stringify(modules, null, 2)}
-
-다음 JSON 구조로 응답해주세요:
-{
-  "title": "프로젝트 제목",
-  "description": "상세 설명",
-  "techStack": ${JSON.stringify(techStack)},
-  "requirements": {
-    "functional": ["기능적 요구사항 목록"],
-    "nonFunctional": ["비기능적 요구사항 목록"],
-    "system": "시스템 요구사항"
-  },
-  "modules": [
-    {
-      "name": "모듈명",
-      "description": "모듈 설명",
-      "functions": [
-        {
-          "name": "함수명",
-          "purpose": "함수 목적",
-          "parameters": ["매개변수 목록"],
-          "returnValue": "반환값 설명",
-          "designSpec": "설계 명세",
-          "functionDefinition": "함수 정의",
-          "remarks": "비고",
-          "testCases": ["테스트 케이스 목록"]
-        }
-      ]
-    }
-  ]
-}
-
-IMPORTANT: 
-1. 반드시 유효한 JSON 형식으로만 응답하세요. 설명이나 추가 텍스트는 포함하지 마세요.
-2. 모든 함수 정의와 매개변수는 반드시 ${techStack.stack.language} 문법을 사용하세요.
-   - Swift: func functionName(parameter: Type) -> ReturnType
-   - JavaScript: function functionName(parameter) {}
-   - Java: public ReturnType functionName(Type parameter) {}
-   - Python: def function_name(parameter: type) -> return_type:`,
-    en: `Generate a detailed software design specification in JSON format based on the following information.
-
-Project Description: ${description}
-Tech Stack: ${JSON.stringify(techStack, null, 2)}
-Module List: ${JSON.stringify(modules, null, 2)}
-
-Please respond in the following JSON structure:
-{
-  "title": "Project Title",
-  "description": "Detailed description",
-  "techStack": ${JSON.stringify(techStack)},
-  "requirements": {
-    "functional": ["List of functional requirements"],
-    "nonFunctional": ["List of non-functional requirements"],
-    "system": "System requirements"
-  },
-  "modules": [
-    {
-      "name": "Module Name",
-      "description": "Module description",
-      "functions": [
-        {
-          "name": "Function Name",
-          "purpose": "Function purpose",
-          "parameters": ["Parameter list"],
-          "returnValue": "Return value description",
-          "designSpec": "Design specification",
-          "functionDefinition": "Function definition",
-          "remarks": "Remarks",
-          "testCases": ["Test case list"]
-        }
-      ]
-    }
-  ]
-}
-
-IMPORTANT: 
-1. Respond only in valid JSON format. Do not include explanations or additional text.
-2. All function definitions and parameters must use ${techStack.stack.language} syntax:
-   - Swift: func functionName(parameter: Type) -> ReturnType
-   - JavaScript: function functionName(parameter) {}
-   - Java: public ReturnType functionName(Type parameter) {}
-   - Python: def function_name(parameter: type) -> return_type:`
+// Live progress of streamed AI responses, redrawn in place on stderr.
+// Only on a terminal; in CI logs a line per chunk would be noise. Deltas are
+// summed because the specification's module calls stream concurrently.
+let progressLineActive = false;
+
+function createProgressLine(label) {
+  if (!process.stderr.isTTY) return undefined;
+  const started = Date.now();
+  let received = 0;
+  return ({ provider, delta }) => {
+    received += delta.length;
+    const seconds = ((Date.now() - started) / 1000).toFixed(1);
+    process.stderr.write(`\r⏳ ${label}: ${received} characters from ${provider} (${seconds}s)\x1b[K`);
+    progressLineActive = true;
   };
-
-  const specResponse = await callAI(prompts[language], 1, 'specification');
-  return parseJSONFromResponse(specResponse);
 }
 
-function generateMarkdown(specification) {
-  const selectedTechStack = specification.techStack;
-  const totalFunctions = specification.modules.reduce((sum, module) => sum + (module.functions?.length || 0), 0);
-  const languageInfo = selectedTechStack ? selectedTechStack.stack.language : 'JavaScript/TypeScript';
-  
-  // Detect language from specification content
-  const lang = detectLanguage(specification.description || specification.title || '');
-  
-  const templates = {
-    ko: {
-      title: '설계 명세서',
-      projectType: '프로젝트 타입',
-      language: '프로그래밍 언어',
-      complexity: '복잡도',
-      generated: '생성일',
-      description: '프로젝트 설명',
-      requirements: '시스템 요구사항',
-      softwareDesign: '소프트웨어 설계 명세서',
-      module: '모듈',
-      returnValue: '반환값',
-      testCases: '테스트 케이스',
-      specInfo: '명세서 정보'
-    },
-    en: {
-      title: 'Design Specification',
-      projectType: 'Project Type',
-      language: 'Programming Language',
-      complexity: 'Complexity',
-      generated: 'Generated',
-      description: 'Project Description',
-      requirements: 'System Requirements',
-      softwareDesign: 'Software Design Specification',
-      module: 'Module',
-      returnValue: 'Return Value',
-      testCases: 'Test Cases',
-      specInfo: 'Specification Information'
-    }
-  };
-  
-  const t = templates[lang];
-  const today = new Date().toLocaleDateString(lang === 'ko' ? 'ko-KR' : 'en-US');
-  
-  return `# ${specification.title || t.title}
-
-## ${t.description}
-${specification.description || ''}
-
-## ${t.requirements}
-${specification.requirements ? `
-### Functional Requirements
-${specification.requirements.functional ? specification.requirements.functional.map(req => `- ${req}`).join('\n') : ''}
-
-### Non-Functional Requirements  
-${specification.requirements.nonFunctional ? specification.requirements.nonFunctional.map(req => `- ${req}`).join('\n') : ''}
-
-### System Requirements
-${specification.requirements.system || ''}
-` : ''}
-
-## ${t.softwareDesign}
-
-### ${t.specInfo}
-- **${t.language}**: ${languageInfo}
-- **${t.generated}**: ${today}
-- **${lang === 'ko' ? '총 모듈 수' : 'Total Modules'}**: ${specification.modules.length}
-- **${lang === 'ko' ? '총 함수 수' : 'Total Functions'}**: ${totalFunctions}
-
-### ${lang === 'ko' ? '기술 스택' : 'Technology Stack'}
-${selectedTechStack ? `
-- **${lang === 'ko' ? '언어' : 'Language'}**: ${selectedTechStack.stack.language}
-- **${lang === 'ko' ? '프론트엔드' : 'Frontend'}**: ${selectedTechStack.stack.frontend}
-- **${lang === 'ko' ? '백엔드' : 'Backend'}**: ${selectedTechStack.stack.backend}
-- **${lang === 'ko' ? '데이터베이스' : 'Database'}**: ${selectedTechStack.stack.database}
-- **${lang === 'ko' ? '도구' : 'Tools'}**: ${selectedTechStack.stack.tools}
-` : ''}
-
-## ${lang === 'ko' ? '모듈 구조' : 'Module Structure'}
-
-${specification.modules.map((module, index) => `### ${index + 1}. ${module.name}
-${module.description}
-
-#### ${lang === 'ko' ? '함수 목록' : 'Function List'}
-
-${lang === 'ko' ? '| Function | Design Spec | Function Definition | Remarks |' : '| Function | Design Spec | Function Definition | Remarks |'}
-${lang === 'ko' ? '|----------|-------------|---------------------|---------|' : '|----------|-------------|---------------------|---------|'}
-${module.functions && module.functions.length > 0 ? 
-  module.functions.map((func, funcIndex) => `| ${func.name}() | ${func.designSpec || '설계 명세'} | ${func.functionDefinition || '함수 정의'} | ${func.remarks || '비고'} |`).join('\n') : 
-  `${lang === 'ko' ? '함수가 정의되지 않았습니다.' : 'No functions defined.'}`}
-
-${module.functions && module.functions.length > 0 ? 
-  module.functions.map((func, funcIndex) => `##### ${funcIndex + 1}. ${func.name}()
-- **${lang === 'ko' ? '목적' : 'Purpose'}**: ${func.purpose}
-- **${lang === 'ko' ? '매개변수' : 'Parameters'}**: ${Array.isArray(func.parameters) ? func.parameters.join(', ') : func.parameters || 'None'}
-- **${t.returnValue}**: ${func.returnValue}
-- **${t.testCases}**: ${Array.isArray(func.testCases) ? func.testCases.map(test => `  - ${test}`).join('\n') : func.testCases || 'None'}
-`).join('\n') : ''}
-`).join('\n')}
-`;
+function endProgressLine() {
+  if (progressLineActive) {
+    process.stderr.write('\n');
+    progressLineActive = false;
+  }
 }
 
-// Sanitize a name (typically supplied by the LLM in module.name) for safe
-// use as a filename. Strips path traversal characters, control bytes, and
-// anything that isn't a sane filename character. Falls back to 'module' if
-// the result is empty.
-function sanitizeFileName(name) {
-  if (typeof name !== 'string') return 'module';
-  const cleaned = name
-    .toLowerCase()
-    .replace(/\s+/g, '_')                  // whitespace → underscore
-    .replace(/[\/\\]/g, '_')               // path separators → underscore
-    .replace(/\.\./g, '_')                 // collapse parent-dir hops
-    .replace(/[^a-z0-9_\-가-힣ぁ-んァ-ン一-龥]/g, '_')  // keep alnum, underscore, hyphen, basic CJK
-    .replace(/^_+|_+$/g, '')               // trim leading/trailing underscores
-    .slice(0, 80);                         // cap length to avoid filesystem limits
-  return cleaned || 'module';
-}
+// Parses and validates the command line. Throws ValidationError on misuse.
+function parseCommandLine(argv) {
+  const { options, positionals } = parseArgs(argv, CLI_OPTIONS);
 
-async function createSDSDirectory(specification, dirPath) {
-  try {
-    await fs.mkdir(dirPath, { recursive: true });
-    const dirAbs = path.resolve(dirPath);
-
-    // Create specification.json
-    const specPath = path.join(dirPath, 'specification.json');
-    await fs.writeFile(specPath, JSON.stringify(specification, null, 2));
-
-    // Create module template files. The LLM may return arbitrary module names
-    // (or be tricked via prompt injection into doing so), so we sanitize and
-    // also defensively check that the resulting absolute path stays inside
-    // dirPath — refuse to write anywhere else.
-    for (const module of specification.modules) {
-      const fileExtension = getFileExtension(specification.techStack);
-      const safeName = sanitizeFileName(module.name);
-      const modulePath = path.join(dirPath, `${safeName}${fileExtension}`);
-      const modulePathAbs = path.resolve(modulePath);
-      if (!modulePathAbs.startsWith(dirAbs + path.sep) && modulePathAbs !== dirAbs) {
-        throw new FileIOError(
-          `Refusing to write outside SDS directory: ${modulePathAbs}`,
-          modulePathAbs,
-          'write'
-        );
-      }
-      const moduleTemplate = generateCodeTemplate(module, specification.techStack);
-      await fs.writeFile(modulePathAbs, moduleTemplate);
+  if (positionals[0] === 'cache') {
+    if (positionals.length !== 2 || !CACHE_ACTIONS.includes(positionals[1])) {
+      throw new ValidationError(`Usage: sds cache <${CACHE_ACTIONS.join('|')}>`, 'cache');
     }
-    
-    // Create package.json template
-    const packagePath = path.join(dirPath, 'package.json');
-    const packageTemplate = {
-      name: specification.title?.toLowerCase().replace(/\s+/g, '-') || 'project',
-      version: '1.0.0',
-      description: specification.description || '',
-      main: 'index.js',
-      scripts: {
-        start: 'node index.js',
-        test: 'echo "No tests specified"'
-      },
-      dependencies: {},
-      devDependencies: {}
-    };
-    await fs.writeFile(packagePath, JSON.stringify(packageTemplate, null, 2));
-    
-    // Create README.md
-    const readmeContent = `# ${specification.title || 'Project'}
-
-${specification.description || 'Project description'}
-
-## Installation
-
-\`\`\`bash
-npm install
-\`\`\`
-
-## Usage
-
-\`\`\`bash
-npm start
-\`\`\`
+    return { options, cacheAction: positionals[1] };
+  }
+  if (positionals.length > 1) {
+    throw new ValidationError(`Expected one project description, got ${positionals.length} arguments. Quote the description.`, 'description');
+  }
+  if (options.type) {
+    if (!getTechStacks(options.type)) {
+      throw new ValidationError(`Unknown project type "${options.type}". Expected one of: ${Object.keys(techStackOptions).join(', ')}`, '--type');
+    }
+    options.type = resolvePlatform(options.type);
+  }
+  if (options.complexity && !COMPLEXITY_LEVELS.includes(options.complexity)) {
+    throw new ValidationError(`Unknown complexity "${options.complexity}". Expected one of: ${COMPLEXITY_LEVELS.join(', ')}`, '--complexity');
+  }
+  if (options.budget !== undefined && !(Number(options.budget) > 0)) {
+    throw new ValidationError(`Invalid budget "${options.budget}". Expected an amount in USD such as 0.50`, '--budget');
+  }
+  if (options.format && !RENDER_FORMATS.includes(options.format)) {
+    throw new ValidationError(`Unknown format "${options.format}". Expected one of: ${RENDER_FORMATS.join(', ')}`, '--format');
+  }
 
-## Modules
+  return { options, description: positionals[0] };
+}
 
-${specification.modules.map(module => `- **${module.name}**: ${module.description}`).join('\n')}
-`;
-    
-    await fs.writeFile(
-      path.join(dirPath, 'README.md'),
-      readmeContent
-    );
-  } catch (error) {
-    throw new FileIOError(`Failed to create SDS directory: ${error.message}`, dirPath, 'create');
+// `sds cache stats|clear`
+async function runCacheCommand(action) {
+  if (action === 'clear') {
+    const removed = await clearCache();
+    console.log(`Removed ${removed} cached response(s) from ${CONFIG.cacheDir}`);
+    return;
+  }
+  const stats = await getCacheStats();
+  const kilobytes = (stats.bytes / 1024).toFixed(1);
+  console.log(`AI response cache: ${stats.dir} (${CONFIG.cache ? 'enabled' : 'disabled by AI_CACHE'})`);
+  console.log(`Entries: ${stats.entries} (${stats.expired} expired), ${kilobytes} KB`);
+  console.log(`Expiry: ${stats.ttlHours > 0 ? `${stats.ttlHours} hours` : 'never'}`);
+  if (stats.entries > 0) {
+    console.log(`Providers: ${Object.entries(stats.providers).map(([name, count]) => `${name} ${count}`).join(', ')}`);
+    console.log(`Oldest: ${stats.oldest}`);
+    console.log(`Newest: ${stats.newest}`);
   }
 }
 
 // Main execution function
 async function main() {
-  if (!process.argv[2]) {
-    console.log('Usage: sds "project description"');
-    console.log('\nExample:');
-    console.log('  sds "I want to create a mobile e-commerce app"');
+  let parsed;
+  try {
+    parsed = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    handleError(error, false);
+    console.error('Run "sds --help" for usage.');
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+  const { options, description, cacheAction } = parsed;
+
+  if (options.help) {
+    printHelp();
+    return;
+  }
+  if (options.version) {
+    const pkg = JSON.parse(await fs.readFile(new URL('./package.json', import.meta.url), 'utf8'));
+    console.log(pkg.version);
+    return;
+  }
+  if (!description && !cacheAction) {
+    printHelp(process.stderr);
+    process.exitCode = EXIT_USAGE;
     return;
   }
 
   await loadEnv();
-  await loadPipedInput();
+  if (options.cache === false) {
+    CONFIG.cache = false;
+  }
+  if (options.budget !== undefined) {
+    CONFIG.budget = Number(options.budget);
+  }
+
+  if (cacheAction) {
+    try {
+      await runCacheCommand(cacheAction);
+    } catch (error) {
+      handleError(error, false);
+      process.exitCode = EXIT_FAILURE;
+    }
+    return;
+  }
+
+  // Answers piped on stdin are only read when something still has to be
+  // asked; a fully specified run never touches stdin.
+  if (!options.yes && (!options.type || !options.stack || !options.modules)) {
+    await loadPipedInput();
+  }
   
+  const usage = createUsageTracker();
   try {
+    await loadStackCatalog();
+    await loadPriceTable();
     validateAPIKeys();
-    
-    const description = process.argv[2];
+
+    const outDir = options['out-dir'] || '.';
+    const format = options.format || 'markdown';
     
     // Select project type
-    const projectType = await selectProjectType();
+    const projectType = await selectProjectType(options, description, usage);
     
     // Select tech stack
-    const selectedTechStack = await selectTechStack(projectType);
+    const selectedTechStack = await selectTechStack(projectType, options);
     console.log(`\n✅ Selected tech stack: ${selectedTechStack.name}`);
     
     // Generate module list
     console.log('\n🔄 Generating module list...');
-    const moduleList = await generateModuleList(description, 'complex');
+    const modules = await generateModules(description, { complexity: options.complexity || 'complex', onProgress: createProgressLine('Module list'), usage });
+    endProgressLine();
     
     // Let user select modules
-    const selectedModules = await selectModules(moduleList);
+    const selectedModules = await selectModules(modules, options);
+    if (selectedModules.length === 0) {
+      throw new ValidationError('No modules selected', 'modules');
+    }
     console.log(`\n✅ Selected ${selectedModules.length} modules for detailed specification`);
     console.log('Starting specification generation...\n');
     
     // Generate detailed specification
-    const specification = await generateSpecification(description, selectedTechStack, selectedModules);
+    const specification = await generateSpec(description, selectedTechStack, selectedModules, { onProgress: createProgressLine('Specification'), usage });
+    endProgressLine();
     
     const totalFunctions = specification.modules.reduce((sum, module) => sum + (module.functions?.length || 0), 0);
     console.error('\n🏆 Success!');
     console.error(`✅ ${specification.modules.length} modules`);
     console.error(`✅ ${totalFunctions} functions`);
+    console.error(`💰 ${formatUsage(usage.totals)}${usage.budget ? ` of a ${formatCost(usage.budget)} budget` : ''}`);
+    const { hits } = getCacheCounters();
+    if (hits > 0) {
+      console.error(`♻️  ${hits} AI response(s) reused from the cache (--no-cache to regenerate)`);
+    }
+    const failedModules = specification.modules.filter(module => module.generationError);
+    if (failedModules.length > 0) {
+      console.error(`⚠️  ${failedModules.length} module(s) could not be generated and have no functions: ${failedModules.map(module => module.name).join(', ')}`);
+    }
     
     // Create .sds directory
-    const sdsDir = '.sds';
-    await createSDSDirectory(specification, sdsDir);
+    const sdsDir = path.join(outDir, '.sds');
+    await writeArtifacts(specification, { dir: sdsDir });
     console.error(`✅ Development files created: ${sdsDir}`);
     
-    // Generate and save markdown
-    const markdown = generateMarkdown(specification);
-    await fs.writeFile('specification.md', markdown);
-    console.error('✅ Specification saved: specification.md');
+    // Render and save the specification
+    const extensions = { markdown: 'md', json: 'json', csv: 'csv', xlsx: 'xlsx' };
+    const specPath = path.join(outDir, `specification.${extensions[format]}`);
+    const output = render(specification, format);
+    try {
+      await fs.writeFile(specPath, output);
+    } catch (error) {
+      throw new FileIOError(`Failed to write specification: ${error.message}`, specPath, 'write');
+    }
+    console.error(`✅ Specification saved: ${specPath}`);
     
-    console.log('\n' + markdown);
+    if (format === 'markdown') {
+      console.log('\n' + output);
+    }
     
   } catch (error) {
+    endProgressLine();
     handleError(error, false);
+    if (usage.totals.calls > 0) {
+      console.error(`💰 Spent before the failure: ${formatUsage(usage.totals)}`);
+    }
+    process.exitCode = EXIT_FAILURE;
   }
 }
 
 // Check for MCP mode
 if (process.argv.includes('--mcp')) {
-  startMCPServer().catch(error => {
-    // isMCP=true so handleError emits a JSON-RPC error envelope on stdout
-    // instead of a plain text message (which would break the client).
-    handleError(error, true);
+  let mcpOptions;
+  try {
+    const { options } = parseArgs(process.argv.slice(2), CLI_OPTIONS);
+    if (options.port !== undefined && !/^\d+$/.test(options.port)) {
+      throw new ValidationError(`--port must be a port number (got "${options.port}")`, 'port');
+    }
+    if (options.port !== undefined && !options.http) {
+      throw new ValidationError('--port needs --http', 'port');
+    }
+    mcpOptions = {
+      cache: options.cache !== false,
+      http: options.http ? (options.port !== undefined ? { port: Number(options.port) } : {}) : undefined
+    };
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(EXIT_USAGE);
+  }
+  startMCPServer(mcpOptions).catch(error => {
+    if (mcpOptions.http) {
+      // No client is attached to stdout in HTTP mode; this is for the operator
+      console.error(`❌ Could not start the MCP HTTP server: ${error.message}`);
+    } else {
+      // isMCP=true so handleError emits a JSON-RPC error envelope on stdout
+      // instead of a plain text message (which would break the client).
+      handleError(error, true);
+    }
+    process.exitCode = EXIT_FAILURE;
   });
 } else {
   // Run main function
   main().catch(error => {
     handleError(error, false);
+    process.exitCode = EXIT_FAILURE;
   });
-}
\ No newline at end of file
+}
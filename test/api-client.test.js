@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { callAI } from '../lib/api-client.js';
+import { APIError, ParsingError } from '../lib/errors.js';
+
+// The mock provider answers every prompt with the same canned response
+async function useMockResponse(t, response) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sds-api-'));
+  const file = path.join(dir, 'mock.json');
+  await fs.writeFile(file, JSON.stringify({ '*': response }));
+  const previous = process.env.MOCK_RESPONSES;
+  process.env.MOCK_RESPONSES = file;
+  t.after(async () => {
+    if (previous === undefined) delete process.env.MOCK_RESPONSES;
+    else process.env.MOCK_RESPONSES = previous;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+}
+
+test('callAI returns the parsed response', async (t) => {
+  await useMockResponse(t, { ok: true });
+  assert.deepEqual(await callAI('prompt', 0, 'general', { parse: JSON.parse.bind(JSON) }), { ok: true });
+});
+
+test('callAI rethrows a parser bug as-is instead of blaming the provider', async (t) => {
+  await useMockResponse(t, { ok: true });
+  const bug = new TypeError('Cannot read properties of undefined');
+  await assert.rejects(
+    callAI('prompt', 1, 'general', { parse: () => { throw bug; } }),
+    error => error === bug
+  );
+});
+
+test('callAI reports a response that never parses as a parsing error', async (t) => {
+  await useMockResponse(t, 'not json');
+  await assert.rejects(
+    callAI('prompt', 0, 'general', { parse: () => { throw new ParsingError('bad'); } }),
+    error => error instanceof ParsingError && !(error instanceof APIError)
+  );
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs } from '../lib/cli-args.js';
+import { ValidationError } from '../lib/errors.js';
+
+const definitions = {
+  type: { type: 'string', short: 't' },
+  'out-dir': { type: 'string' },
+  yes: { type: 'boolean', short: 'y' },
+  cache: { type: 'boolean' }
+};
+
+function assertUsageError(argv, field, pattern) {
+  assert.throws(
+    () => parseArgs(argv, definitions),
+    error => error instanceof ValidationError && error.field === field && pattern.test(error.message)
+  );
+}
+
+test('parseArgs reads long, inline and short options around positionals', () => {
+  assert.deepEqual(
+    parseArgs(['--type', 'web', 'A todo app', '--out-dir=./out', '-y', '-t', 'mobile', 'for teams'], definitions),
+    { options: { type: 'mobile', 'out-dir': './out', yes: true }, positionals: ['A todo app', 'for teams'] }
+  );
+});
+
+test('parseArgs negates boolean options with --no-', () => {
+  assert.deepEqual(parseArgs(['--cache', '--no-cache'], definitions).options, { cache: false });
+});
+
+test('parseArgs keeps an inline value that contains "=" or starts with "-"', () => {
+  assert.deepEqual(parseArgs(['--out-dir=a=b', '--type=-x'], definitions).options, { 'out-dir': 'a=b', type: '-x' });
+});
+
+test('parseArgs treats "-" and everything after "--" as positionals', () => {
+  assert.deepEqual(parseArgs(['-', '--', '--yes', '-t'], definitions), { options: {}, positionals: ['-', '--yes', '-t'] });
+});
+
+test('parseArgs rejects unknown options, missing values and values on flags', () => {
+  assertUsageError(['--colour'], '--colour', /Unknown option: --colour/);
+  assertUsageError(['-x'], '-x', /Unknown option: -x/);
+  assertUsageError(['--no-type'], '--no-type', /Unknown option/);
+  assertUsageError(['--type'], '--type', /--type requires a value/);
+  assertUsageError(['--type', '--yes'], '--type', /--type requires a value/);
+  assertUsageError(['--yes=no'], '--yes', /--yes does not take a value/);
+  assertUsageError(['--no-cache=1'], '--no-cache', /does not take a value/);
+});
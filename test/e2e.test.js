@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// End-to-end runs of the CLI and the stdio MCP server against the mock
+// provider (MOCK_RESPONSES), so no API key or network is needed. Each run
+// gets its own working directory and HOME, where .env, the cache and the
+// sessions are created.
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SDS = path.join(ROOT, 'sds.js');
+const MOCK_RESPONSES = path.join(ROOT, 'test', 'fixtures', 'mock-responses.json');
+
+async function makeWorkDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sds-e2e-'));
+  const env = { PATH: process.env.PATH, HOME: dir, MOCK_RESPONSES, SESSION_STORE: 'memory', EXPORT_DIR: path.join(dir, 'exports') };
+  return { dir, env };
+}
+
+function runCLI(args, { cwd, env }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SDS, ...args], { cwd, env, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+  });
+}
+
+// A stdio MCP client: request() resolves to the response with the same id
+function startMCPServer({ cwd, env }) {
+  const child = spawn(process.execPath, [SDS, '--mcp'], { cwd, env, stdio: ['pipe', 'pipe', 'pipe'] });
+  const pending = new Map();
+  let stderr = '';
+  let buffer = '';
+  let nextId = 1;
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', chunk => {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines.filter(Boolean)) {
+      const message = JSON.parse(line);
+      pending.get(message.id)?.(message);
+      pending.delete(message.id);
+    }
+  });
+
+  return {
+    request(method, params = {}) {
+      const id = nextId++;
+      return new Promise(resolve => {
+        pending.set(id, resolve);
+        child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+      });
+    },
+    async callTool(name, args) {
+      const response = await this.request('tools/call', { name, arguments: args });
+      assert.equal(response.error, undefined, `${name} failed: ${response.error?.message}\n${stderr}`);
+      return response.result;
+    },
+    stop() {
+      child.stdin.end();
+      return new Promise(resolve => child.on('close', resolve));
+    }
+  };
+}
+
+test('CLI generates a specification and artifacts without prompting', async (t) => {
+  const { dir, env } = await makeWorkDir();
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const result = await runCLI(
+    ['--type', 'web', '--stack', '1', '--modules', 'all', '--complexity', 'simple', '--yes', '--out-dir', 'out', 'A todo app for small teams'],
+    { cwd: dir, env }
+  );
+  assert.equal(result.code, 0, result.stderr);
+
+  const markdown = await fs.readFile(path.join(dir, 'out', 'specification.md'), 'utf8');
+  assert.match(markdown, /Team Todo/);
+  assert.match(markdown, /createTask/);
+
+  const json = JSON.parse(await fs.readFile(path.join(dir, 'out', '.sds', 'specification.json'), 'utf8'));
+  assert.equal(json.title, 'Team Todo');
+  assert.deepEqual(json.modules.map(module => module.name), ['Task Board', 'Accounts']);
+});
+
+test('CLI rejects invalid usage with exit code 2', async (t) => {
+  const { dir, env } = await makeWorkDir();
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const result = await runCLI(['--format', 'pdf', '--yes', 'A todo app'], { cwd: dir, env });
+  assert.equal(result.code, 2);
+});
+
+test('MCP server analyzes, refines and exports a specification over stdio', async (t) => {
+  const { dir, env } = await makeWorkDir();
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const server = startMCPServer({ cwd: dir, env });
+  t.after(() => server.stop());
+
+  const init = await server.request('initialize', { protocolVersion: '2025-06-18' });
+  assert.equal(init.result.protocolVersion, '2025-06-18');
+  const pkg = JSON.parse(await fs.readFile(path.join(ROOT, 'package.json'), 'utf8'));
+  assert.equal(init.result.serverInfo.version, pkg.version);
+  const { tools } = (await server.request('tools/list')).result;
+  assert.ok(tools.every(tool => tool.outputSchema), 'every tool declares an outputSchema');
+
+  const analysis = await server.callTool('analyze_project_request', { project_description: 'A todo app for small teams' });
+  const sessionId = analysis.structuredContent.session_id;
+  assert.match(sessionId, /^spec_/);
+  assert.equal(analysis.structuredContent.platform, 'web');
+  assert.deepEqual(analysis.structuredContent.modules.map(module => module.name), ['Task Board', 'Accounts']);
+
+  const refined = await server.callTool('refine_specification', { session_id: sessionId, modification_request: 'Let users complete tasks' });
+  assert.equal(refined.structuredContent.revision, 2);
+  const board = refined.structuredContent.modules.find(module => module.name === 'Task Board');
+  assert.ok(board.functions.includes('completeTask'));
+
+  const exported = await server.callTool('export_specification', { session_id: sessionId, export_format: 'json' });
+  const specification = JSON.parse(exported.structuredContent.content);
+  assert.equal(specification.title, 'Team Todo');
+
+  const resource = await server.request('resources/read', { uri: `sds://session/${sessionId}/spec.md` });
+  assert.match(resource.result.contents[0].text, /completeTask/);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDispatcher } from '../lib/jsonrpc.js';
+import { serveHTTP } from '../lib/http-transport.js';
+
+const dispatcher = createDispatcher({
+  initialize: async () => ({ protocolVersion: '2025-06-18' }),
+  ping: async () => ({})
+});
+
+const post = (url, message, headers = {}) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+  body: JSON.stringify(message)
+});
+
+async function initialize(url) {
+  const response = await post(url, { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+  assert.equal(response.status, 200);
+  await response.arrayBuffer();
+  return response.headers.get('mcp-session-id');
+}
+
+const ping = async (url, sessionId) => {
+  const response = await post(url, { jsonrpc: '2.0', id: 2, method: 'ping' }, { 'Mcp-Session-Id': sessionId });
+  await response.arrayBuffer();
+  return response.status;
+};
+
+test('serveHTTP requires a bearer token when one is configured', async (t) => {
+  const transport = await serveHTTP(dispatcher, { port: 0, host: '127.0.0.1', token: 'secret', allowedOrigins: [] });
+  t.after(() => transport.close());
+
+  const unauthorized = await post(transport.url, { jsonrpc: '2.0', id: 1, method: 'initialize' });
+  assert.equal(unauthorized.status, 401);
+  await unauthorized.arrayBuffer();
+  const authorized = await post(transport.url, { jsonrpc: '2.0', id: 1, method: 'initialize' }, { Authorization: 'Bearer secret' });
+  assert.equal(authorized.status, 200);
+  assert.ok(authorized.headers.get('mcp-session-id'));
+  await authorized.arrayBuffer();
+});
+
+test('serveHTTP evicts the longest-idle session when the session limit is reached', async (t) => {
+  const transport = await serveHTTP(dispatcher, { port: 0, host: '127.0.0.1', token: '', allowedOrigins: [], maxSessions: 2 });
+  t.after(() => transport.close());
+
+  const first = await initialize(transport.url);
+  const second = await initialize(transport.url);
+  // Using the first session makes the second the longest idle
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal(await ping(transport.url, first), 200);
+  const third = await initialize(transport.url);
+
+  assert.equal(transport.sessions.size, 2);
+  assert.equal(await ping(transport.url, second), 404);
+  assert.equal(await ping(transport.url, first), 200);
+  assert.equal(await ping(transport.url, third), 200);
+});
+
+test('serveHTTP refuses new sessions when every session has an open stream', async (t) => {
+  const transport = await serveHTTP(dispatcher, { port: 0, host: '127.0.0.1', token: '', allowedOrigins: [], maxSessions: 1 });
+  const controller = new AbortController();
+  t.after(() => {
+    controller.abort();
+    return transport.close();
+  });
+
+  const sessionId = await initialize(transport.url);
+  const stream = await fetch(transport.url, { headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId }, signal: controller.signal });
+  assert.equal(stream.status, 200);
+
+  const refused = await post(transport.url, { jsonrpc: '2.0', id: 1, method: 'initialize' });
+  assert.equal(refused.status, 503);
+  await refused.arrayBuffer();
+  assert.equal(transport.sessions.size, 1);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { repairJSON, parseJSONFromResponse } from '../lib/json-parser.js';
+import { ParsingError } from '../lib/errors.js';
+
+test('repairJSON replaces typographic quotes and drops trailing commas', () => {
+  assert.deepEqual(repairJSON('{“name”: “login”, "tags": ["a", "b",],}'), { name: 'login', tags: ['a', 'b'] });
+});
+
+test('repairJSON leaves quotes and brackets inside strings alone', () => {
+  assert.deepEqual(repairJSON('{"text": "say “hi”, [then] {leave}",}'), { text: 'say “hi”, [then] {leave}' });
+});
+
+test('repairJSON drops a string cut off mid-value instead of keeping it', () => {
+  const repaired = repairJSON('{"functions":[{"name":"login","purpose":"Validates the user pass');
+  assert.deepEqual(repaired, { functions: [{ name: 'login' }] });
+});
+
+test('repairJSON drops a number cut off mid-value instead of keeping it', () => {
+  assert.throws(() => repairJSON('{"count": 12'), SyntaxError);
+  assert.deepEqual(repairJSON('{"total": 3, "count": 12'), { total: 3 });
+});
+
+test('repairJSON keeps complete elements when only closing brackets are missing', () => {
+  assert.deepEqual(repairJSON('[{"op":"add"},{"op":"remove"}'), [{ op: 'add' }, { op: 'remove' }]);
+  assert.deepEqual(repairJSON('{"ids":[1,2,3]'), { ids: [1, 2, 3] });
+});
+
+test('repairJSON gives up on text that is not JSON', () => {
+  assert.throws(() => repairJSON('{not json}'), SyntaxError);
+});
+
+test('parseJSONFromResponse reads raw JSON and fenced blocks', () => {
+  assert.deepEqual(parseJSONFromResponse('{"a": 1}'), { a: 1 });
+  assert.deepEqual(parseJSONFromResponse('Here you go:\n```json\n{"a": 1}\n```\nDone.'), { a: 1 });
+});
+
+test('parseJSONFromResponse repairs a fenced block that lost its closing fence', () => {
+  assert.deepEqual(parseJSONFromResponse('```json\n{"modules": [{"name": "Core"}, {"name": "Acc'), { modules: [{ name: 'Core' }] });
+});
+
+test('parseJSONFromResponse does not mine prose for braces', () => {
+  assert.throws(() => parseJSONFromResponse('The answer is {"a": 1} as requested'), ParsingError);
+  assert.throws(() => parseJSONFromResponse(undefined), ParsingError);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { createDispatcher, serveStdio } from '../lib/jsonrpc.js';
+import { JSONRPC_ERRORS, ProtocolError, ValidationError } from '../lib/errors.js';
+
+const calls = [];
+const methods = {
+  echo: async (params) => params,
+  progress: async (params, context) => {
+    context.notify('notifications/progress', { progress: 1 });
+    return 'done';
+  },
+  invalid: async () => { throw new ValidationError('must be positive', 'count'); },
+  missing: async () => { throw new ProtocolError('Resource not found', JSONRPC_ERRORS.resourceNotFound); },
+  'notifications/initialized': async (params) => { calls.push(params); },
+  slow: () => new Promise(resolve => setTimeout(() => resolve('slow'), 20)),
+  fast: async () => 'fast'
+};
+
+const dispatcher = createDispatcher(methods);
+const handle = (message, send = () => {}) => dispatcher.handle(message, { send, connection: { id: 'test' } });
+
+test('dispatcher answers requests with their id and result', async () => {
+  assert.deepEqual(await handle({ jsonrpc: '2.0', id: 7, method: 'echo', params: { a: 1 } }), { jsonrpc: '2.0', id: 7, result: { a: 1 } });
+  assert.deepEqual(await handle({ jsonrpc: '2.0', id: 'x', method: 'echo' }), { jsonrpc: '2.0', id: 'x', result: {} });
+});
+
+test('dispatcher sends notifications raised by a method before the response', async () => {
+  const sent = [];
+  const response = await handle({ jsonrpc: '2.0', id: 1, method: 'progress' }, message => sent.push(message));
+  assert.deepEqual(sent, [{ jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } }]);
+  assert.equal(response.result, 'done');
+});
+
+test('dispatcher maps thrown errors to JSON-RPC error codes', async () => {
+  const invalid = await handle({ jsonrpc: '2.0', id: 1, method: 'invalid' });
+  assert.equal(invalid.error.code, JSONRPC_ERRORS.invalidParams);
+  assert.equal(invalid.error.message, 'Validation error in count: must be positive');
+  assert.equal((await handle({ jsonrpc: '2.0', id: 2, method: 'missing' })).error.code, JSONRPC_ERRORS.resourceNotFound);
+  assert.equal((await handle({ jsonrpc: '2.0', id: 3, method: 'nope' })).error.code, JSONRPC_ERRORS.methodNotFound);
+  assert.equal((await handle({ jsonrpc: '2.0', id: 4, method: 'toString' })).error.code, JSONRPC_ERRORS.methodNotFound);
+});
+
+test('dispatcher rejects malformed requests as Invalid Request', async () => {
+  for (const message of [
+    'text',
+    { id: 1, method: 'echo' },
+    { jsonrpc: '2.0', id: 1, method: 5 },
+    { jsonrpc: '2.0', id: { nested: true }, method: 'echo' },
+    { jsonrpc: '2.0', id: 1, method: 'echo', params: 'a' }
+  ]) {
+    const response = await handle(message);
+    assert.equal(response.error.code, JSONRPC_ERRORS.invalidRequest, JSON.stringify(message));
+    assert.equal(response.id, message.id === 1 ? 1 : null);
+  }
+});
+
+test('dispatcher never answers notifications or client responses', async () => {
+  calls.length = 0;
+  assert.equal(await handle({ jsonrpc: '2.0', method: 'notifications/initialized', params: { ok: true } }), null);
+  assert.deepEqual(calls, [{ ok: true }]);
+  assert.equal(await handle({ jsonrpc: '2.0', method: 'unknown/notification' }), null);
+  assert.equal(await handle({ jsonrpc: '2.0', method: 'invalid' }), null);
+  assert.equal(await handle({ jsonrpc: '2.0', id: 9, result: {} }), null);
+});
+
+test('dispatcher answers a batch in order, leaving out notifications', async () => {
+  const responses = await handle([
+    { jsonrpc: '2.0', id: 1, method: 'slow' },
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '2.0', id: 2, method: 'fast' },
+    42
+  ]);
+  assert.deepEqual(responses.map(response => response.result ?? response.error.code), ['slow', 'fast', JSONRPC_ERRORS.invalidRequest]);
+  assert.equal(await handle([{ jsonrpc: '2.0', method: 'notifications/initialized' }]), null);
+  assert.equal((await handle([])).error.code, JSONRPC_ERRORS.invalidRequest);
+});
+
+test('serveStdio reassembles lines split across chunks and splits lines sharing one', async () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const lines = [];
+  let buffered = '';
+  output.setEncoding('utf8');
+  const received = new Promise(resolve => {
+    output.on('data', chunk => {
+      buffered += chunk;
+      const complete = buffered.split('\n');
+      buffered = complete.pop();
+      lines.push(...complete.map(line => JSON.parse(line)));
+      if (lines.length === 4) resolve();
+    });
+  });
+
+  serveStdio(dispatcher, { input, output });
+  input.write('{"jsonrpc":"2.0","id":1,"method":"echo","params":{"text":"한');
+  input.write('글"}}\r\n{"jsonrpc":"2.0","id":2,"method":"fast"}\n\n{not json}\n');
+  input.end('{"jsonrpc":"2.0","id":3,"method":"fast"}');
+  await received;
+
+  const byId = new Map(lines.map(line => [line.id, line]));
+  assert.deepEqual(byId.get(1).result, { text: '한글' });
+  assert.equal(byId.get(2).result, 'fast');
+  assert.equal(byId.get(3).result, 'fast', 'a last line without a newline is handled at end of input');
+  assert.equal(byId.get(null).error.code, JSONRPC_ERRORS.parseError);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { classifyProject, classifyProjectWithAI } from '../lib/project-classifier.js';
+import { ConfigurationError } from '../lib/errors.js';
+
+// No platform keywords, so the AI is consulted
+const VAGUE = 'Something useful for my team';
+
+async function useMockResponses(t, responses) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sds-classifier-'));
+  const file = path.join(dir, 'mock.json');
+  await fs.writeFile(file, JSON.stringify(responses));
+  const previous = process.env.MOCK_RESPONSES;
+  process.env.MOCK_RESPONSES = file;
+  t.after(async () => {
+    if (previous === undefined) delete process.env.MOCK_RESPONSES;
+    else process.env.MOCK_RESPONSES = previous;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+}
+
+test('classifyProject scores Korean and English platform keywords', () => {
+  assert.equal(classifyProject('An iOS and Android app for runners').platform, 'mobile');
+  assert.equal(classifyProject('아이폰 앱으로 혈당을 기록').platform, 'mobile');
+  assert.equal(classifyProject(VAGUE).confidence, 0);
+});
+
+test('classifyProjectWithAI uses the AI answer when keywords are inconclusive', async (t) => {
+  await useMockResponses(t, { 'task:classification': { platform: 'desktop', confidence: 0.8, reasoning: 'Runs offline' } });
+  const result = await classifyProjectWithAI(VAGUE);
+  assert.equal(result.platform, 'desktop');
+  assert.equal(result.source, 'ai');
+  assert.equal(result.confidence, 0.8);
+});
+
+test('classifyProjectWithAI falls back to keywords when the answer is unusable', async (t) => {
+  await useMockResponses(t, { 'task:classification': { platform: 'mainframe' } });
+  const result = await classifyProjectWithAI(VAGUE);
+  assert.equal(result.source, 'keywords');
+  assert.equal(result.platform, 'web');
+});
+
+test('classifyProjectWithAI lets configuration errors through', async (t) => {
+  await useMockResponses(t, {});
+  await assert.rejects(classifyProjectWithAI(VAGUE), ConfigurationError);
+});
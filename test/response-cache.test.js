@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { CONFIG } from '../lib/config.js';
+import { cacheKey, getCacheCounters, readCachedResponse, writeCachedResponse } from '../lib/response-cache.js';
+
+test('concurrent writes of one cache entry all succeed and leave no temp files', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sds-cache-'));
+  const previousDir = CONFIG.cacheDir;
+  CONFIG.cacheDir = dir;
+  t.after(async () => {
+    CONFIG.cacheDir = previousDir;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const key = cacheKey({ provider: 'mock', model: 'm', prompt: 'same prompt' });
+  const writesBefore = getCacheCounters().writes;
+  await Promise.all(Array.from({ length: 10 }, () =>
+    writeCachedResponse(key, { provider: 'mock', model: 'm', taskType: 'classification', response: '{"ok":true}' })
+  ));
+
+  assert.equal(getCacheCounters().writes - writesBefore, 10);
+  const files = await fs.readdir(dir);
+  assert.deepEqual(files.filter(name => name.endsWith('.tmp')), []);
+  assert.equal((await readCachedResponse([key])).response, '{"ok":true}');
+});
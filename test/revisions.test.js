@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ensureRevisionHistory, recordRevision, getRevision, getCurrentRevision, revertToRevision, diffSpecifications } from '../lib/revisions.js';
+import { ValidationError } from '../lib/errors.js';
+
+const specification = (description = 'Sign-in') => ({
+  title: 'Shop',
+  modules: [{ name: 'Auth', description, functions: [{ name: 'login', purpose: 'Sign in' }] }]
+});
+
+const session = () => ({ created_at: '2024-01-01T00:00:00.000Z', specification: specification() });
+
+test('ensureRevisionHistory seeds sessions without history with their current specification', () => {
+  const sessionData = session();
+  const revisions = ensureRevisionHistory(sessionData);
+  assert.equal(revisions.length, 1);
+  assert.deepEqual(revisions[0], {
+    revision: 1, action: 'initial', request: null, created_at: '2024-01-01T00:00:00.000Z', specification: specification()
+  });
+  assert.equal(ensureRevisionHistory(sessionData), revisions, 'existing history is kept');
+});
+
+test('recordRevision appends a snapshot that later edits do not change', () => {
+  const sessionData = session();
+  const next = specification('Passwordless sign-in');
+  const entry = recordRevision(sessionData, next, { action: 'refine', request: 'Use magic links', patch: { operations: [] } });
+  next.modules[0].description = 'edited afterwards';
+
+  assert.equal(entry.revision, 2);
+  assert.equal(entry.specification.modules[0].description, 'Passwordless sign-in');
+  assert.deepEqual(entry.patch, { operations: [] });
+  assert.equal(sessionData.specification, next);
+  assert.equal(sessionData.last_modified, entry.created_at);
+  assert.equal(getCurrentRevision(sessionData), entry);
+});
+
+test('getRevision reports the available range for a missing revision', () => {
+  const sessionData = session();
+  assert.equal(getRevision(sessionData, '1').revision, 1);
+  assert.throws(
+    () => getRevision(sessionData, 5),
+    error => error instanceof ValidationError && error.field === 'revision' && /Revision 5 not found \(available: 1-1\)/.test(error.message)
+  );
+});
+
+test('revertToRevision appends a copy of the target, so a revert can be undone', () => {
+  const sessionData = session();
+  recordRevision(sessionData, specification('v2'), { action: 'refine' });
+  recordRevision(sessionData, specification('v3'), { action: 'refine' });
+
+  const undo = revertToRevision(sessionData);
+  assert.equal(undo.target.revision, 2);
+  assert.equal(undo.entry.revision, 4);
+  assert.equal(undo.entry.action, 'revert');
+  assert.equal(sessionData.specification.modules[0].description, 'v2');
+
+  revertToRevision(sessionData, 3);
+  assert.equal(sessionData.specification.modules[0].description, 'v3');
+  assert.equal(sessionData.revisions.length, 5);
+  assert.notEqual(sessionData.specification, sessionData.revisions[2].specification, 'the restored copy is independent');
+});
+
+test('revertToRevision refuses to undo the first revision or revert to the current one', () => {
+  const sessionData = session();
+  assert.throws(() => revertToRevision(sessionData), /Nothing to undo/);
+  recordRevision(sessionData, specification('v2'), { action: 'refine' });
+  assert.throws(() => revertToRevision(sessionData, 2), /Revision 2 is already current/);
+});
+
+test('diffSpecifications matches modules and functions by name', () => {
+  const from = {
+    title: 'Shop',
+    modules: [
+      { name: 'Auth', description: 'Sign-in', functions: [{ name: 'login', purpose: 'Sign in' }, { name: 'logout', purpose: 'Sign out' }] },
+      { name: 'Legacy', description: 'Old', functions: [] }
+    ]
+  };
+  const to = {
+    title: 'Store',
+    modules: [
+      { name: 'Cart', description: 'Basket', functions: [] },
+      { name: 'Auth', description: 'Sign-in', functions: [{ name: 'signup', purpose: 'Register' }, { name: 'login', purpose: 'Sign in', testCases: ['ok'] }] }
+    ]
+  };
+
+  assert.deepEqual(diffSpecifications(from, to).map(({ type, path }) => `${type} ${path}`), [
+    'changed title',
+    'removed modules.Legacy',
+    'added modules.Cart',
+    'removed modules.Auth.functions.logout',
+    'added modules.Auth.functions.signup',
+    'changed modules.Auth.functions.login.testCases'
+  ]);
+});
+
+test('diffSpecifications finds no changes when only the order differs', () => {
+  const from = { modules: [{ name: 'A', functions: [{ name: 'x' }, { name: 'y' }] }, { name: 'B' }] };
+  const to = { modules: [{ name: 'B' }, { name: 'A', functions: [{ name: 'y' }, { name: 'x' }] }] };
+  assert.deepEqual(diffSpecifications(from, to), []);
+  assert.deepEqual(diffSpecifications({ description: null }, {}), []);
+});
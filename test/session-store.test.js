@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createFileSessionStore, generateSessionId } from '../lib/session-store.js';
+
+async function makeStore(t, options = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sds-sessions-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return { dir, store: createFileSessionStore({ dir, ttl: 0, ...options }) };
+}
+
+test('file session store survives concurrent saves of one session and keeps the last', async (t) => {
+  const { dir, store } = await makeStore(t);
+  const id = generateSessionId();
+
+  await Promise.all(Array.from({ length: 20 }, (_, n) => store.set(id, { created_at: new Date().toISOString(), n })));
+
+  assert.equal(JSON.parse(await fs.readFile(path.join(dir, `${id}.json`), 'utf8')).n, 19);
+  assert.deepEqual(await fs.readdir(dir), [`${id}.json`], 'no temp files are left behind');
+});
+
+test('file session store reloads saved sessions and forgets deleted ones', async (t) => {
+  const { dir, store } = await makeStore(t);
+  const kept = generateSessionId();
+  const deleted = `${generateSessionId()}x`;
+  await store.set(kept, { created_at: new Date().toISOString(), title: 'kept' });
+  const saving = store.set(deleted, { created_at: new Date().toISOString() });
+  assert.equal(await store.delete(deleted), true);
+  await saving;
+
+  const reopened = createFileSessionStore({ dir, ttl: 0 });
+  assert.equal(await reopened.load(), 1);
+  assert.equal((await reopened.get(kept)).title, 'kept');
+  assert.equal(await reopened.get(deleted), undefined);
+});
+
+test('file session store drops expired sessions on load', async (t) => {
+  const { dir, store } = await makeStore(t);
+  const id = generateSessionId();
+  await store.set(id, { created_at: '2020-01-01T00:00:00.000Z' });
+
+  const reopened = createFileSessionStore({ dir, ttl: 60 * 1000 });
+  assert.equal(await reopened.load(), 0);
+  assert.deepEqual(await fs.readdir(dir), []);
+});
+
+test('file session store refuses session ids that could escape its directory', async (t) => {
+  const { store } = await makeStore(t);
+  await assert.rejects(store.set('../outside', {}), /Invalid session ID/);
+  assert.equal(await store.get('../outside'), undefined);
+});
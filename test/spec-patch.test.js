@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySpecificationPatch } from '../lib/spec-patch.js';
+import { ValidationError } from '../lib/errors.js';
+
+const specification = () => ({
+  title: 'Shop',
+  requirements: { functional: ['Browse products'], nonFunctional: [], system: 'Node.js' },
+  modules: [
+    { name: 'Auth', description: 'Sign-in', functions: [{ name: 'login', purpose: 'Sign in' }, { name: 'logout', purpose: 'Sign out' }] },
+    { name: 'Catalog', description: 'Products', functions: [] }
+  ]
+});
+
+function assertRejected(patch, field, pattern, actionType) {
+  assert.throws(
+    () => applySpecificationPatch(specification(), patch, actionType),
+    error => error instanceof ValidationError && error.field === field && pattern.test(error.message)
+  );
+}
+
+test('applySpecificationPatch applies every operation in order to a copy', () => {
+  const original = specification();
+  const { specification: patched, applied } = applySpecificationPatch(original, {
+    operations: [
+      { op: 'add_module', module: { name: 'Cart', description: 'Basket', functions: [{ name: 'addItem', purpose: 'Add', extra: 'dropped' }] } },
+      { op: 'modify_module', module: 'Catalog', changes: { description: 'Product catalog' } },
+      { op: 'add_function', module: 'Catalog', function: { name: 'search', purpose: 'Find products' } },
+      { op: 'modify_function', module: 'Auth', function: 'login', changes: { name: 'signIn', testCases: ['valid', 'wrong password'] } },
+      { op: 'remove_item', module: 'Auth', function: 'logout' },
+      { op: 'update_requirements', changes: { nonFunctional: ['Responds within 1s'] } }
+    ]
+  });
+
+  assert.deepEqual(applied, [
+    'Added module Cart',
+    'Modified module Catalog',
+    'Added function Catalog.search',
+    'Modified function Auth.login',
+    'Removed function Auth.logout',
+    'Updated requirements (nonFunctional)'
+  ]);
+  assert.deepEqual(patched.modules.map(module => module.name), ['Auth', 'Catalog', 'Cart']);
+  assert.deepEqual(patched.modules[0].functions, [{ name: 'signIn', purpose: 'Sign in', testCases: ['valid', 'wrong password'] }]);
+  assert.deepEqual(patched.modules[1], { name: 'Catalog', description: 'Product catalog', functions: [{ name: 'search', purpose: 'Find products' }] });
+  assert.deepEqual(patched.modules[2].functions, [{ name: 'addItem', purpose: 'Add' }]);
+  assert.deepEqual(patched.requirements, { functional: ['Browse products'], nonFunctional: ['Responds within 1s'], system: 'Node.js' });
+  assert.deepEqual(original, specification(), 'the input is not mutated');
+});
+
+test('applySpecificationPatch removes a whole module when no function is named', () => {
+  const { specification: patched } = applySpecificationPatch(specification(), { operations: [{ op: 'remove_item', module: 'Auth' }] });
+  assert.deepEqual(patched.modules.map(module => module.name), ['Catalog']);
+});
+
+test('applySpecificationPatch is all-or-nothing and names the failing operation', () => {
+  const original = specification();
+  assert.throws(
+    () => applySpecificationPatch(original, {
+      operations: [
+        { op: 'remove_item', module: 'Auth' },
+        { op: 'add_function', module: 'Missing', function: { name: 'x' } }
+      ]
+    }),
+    error => error instanceof ValidationError && error.field === 'operations[1]' && /Module "Missing" does not exist/.test(error.message)
+  );
+  assert.deepEqual(original, specification());
+});
+
+test('applySpecificationPatch rejects malformed patches and operations', () => {
+  assertRejected(null, 'operations', /operations array/);
+  assertRejected({ operations: [] }, 'operations', /no operations/);
+  assertRejected({ operations: ['add_module'] }, 'operations[0]', /must be an object/);
+  assertRejected({ operations: [{ op: 'rename' }] }, 'operations[0]', /Unknown operation "rename"/);
+  assertRejected({ operations: [{ op: 'add_module', module: { name: 'Auth' } }] }, 'operations[0]', /already exists/);
+  assertRejected({ operations: [{ op: 'add_module', module: { name: 'X', functions: {} } }] }, 'operations[0]', /must be an array/);
+  assertRejected({ operations: [{ op: 'add_function', module: 'Auth', function: { name: 'login' } }] }, 'operations[0]', /already exists in module "Auth"/);
+  assertRejected({ operations: [{ op: 'modify_function', module: 'Auth', function: 'nope', changes: { purpose: 'x' } }] }, 'operations[0]', /Function "nope" does not exist/);
+  assertRejected({ operations: [{ op: 'modify_function', module: 'Auth', function: 'login', changes: { name: 'logout' } }] }, 'operations[0]', /function already exists/);
+  assertRejected({ operations: [{ op: 'modify_module', module: 'Auth', changes: { name: 'Catalog' } }] }, 'operations[0]', /module already exists/);
+  assertRejected({ operations: [{ op: 'modify_module', module: 'Auth', changes: {} }] }, 'operations[0]', /non-empty object/);
+  assertRejected({ operations: [{ op: 'update_requirements', changes: { budget: 1 } }] }, 'operations[0]', /Unknown field\(s\): budget/);
+});
+
+test('applySpecificationPatch accepts only the chosen action_type', () => {
+  const patch = { operations: [{ op: 'add_function', module: 'Catalog', function: { name: 'search' } }] };
+  assert.equal(applySpecificationPatch(specification(), patch, 'add_function').applied.length, 1);
+  assertRejected(patch, 'operations[0]', /not allowed for action_type "add_module"/, 'add_module');
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { createZip, createWorkbook } from '../lib/xlsx.js';
+import { specificationToCSV, specificationToXLSX } from '../lib/exporters.js';
+
+// Reads a ZIP archive through its central directory, checking that the local
+// headers agree with it, and returns { name: Buffer }.
+function readZip(buffer) {
+  const end = buffer.length - 22;
+  assert.equal(buffer.readUInt32LE(end), 0x06054b50, 'end of central directory signature');
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  assert.equal(offset + buffer.readUInt32LE(end + 12), end, 'central directory ends where the end record starts');
+
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(buffer.readUInt32LE(offset), 0x02014b50, 'central directory signature');
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    assert.equal(buffer.readUInt32LE(localOffset), 0x04034b50, `local header signature of ${name}`);
+    assert.equal(buffer.readUInt32LE(localOffset + 14), crc, `local CRC of ${name}`);
+    assert.equal(buffer.toString('utf8', localOffset + 30, localOffset + 30 + nameLength), name);
+    const dataStart = localOffset + 30 + nameLength;
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+    assert.equal(data.length, size, `size of ${name}`);
+
+    files[name] = { data, crc };
+    offset += 46 + nameLength;
+  }
+  return files;
+}
+
+const specification = {
+  title: 'Demo',
+  requirements: { functional: ['-5 minutes of downtime at most'], nonFunctional: ['=SUM(A1)'], system: '' },
+  modules: [
+    {
+      name: 'Auth',
+      description: '+ login & <logout>',
+      functions: [{ name: 'login', purpose: '@mention users', parameters: ['user', 'password'], testCases: ['ok', 'bad password'] }]
+    },
+    { name: 'Empty', description: 'No functions yet' }
+  ]
+};
+
+test('createZip writes matching local and central headers with the standard CRC-32', () => {
+  const zip = createZip([{ name: 'check.txt', data: '123456789' }, { name: '폴더/파일.txt', data: Buffer.from('안녕') }]);
+  const files = readZip(zip);
+  assert.deepEqual(Object.keys(files), ['check.txt', '폴더/파일.txt']);
+  assert.equal(files['check.txt'].crc, 0xcbf43926);
+  assert.equal(files['check.txt'].data.toString(), '123456789');
+  assert.equal(files['폴더/파일.txt'].data.toString(), '안녕');
+});
+
+test('createWorkbook writes the workbook parts and one worksheet per sheet', () => {
+  const files = readZip(createWorkbook([
+    { name: 'Data', rows: [['Name', 'Count'], ['a < b & "c"', 3]] },
+    { name: 'data', rows: [['x']] },
+    { name: 'Bad: [name]?', rows: [['x']] }
+  ]));
+  assert.ok(files['[Content_Types].xml'] && files['xl/workbook.xml'] && files['xl/styles.xml']);
+
+  const workbook = files['xl/workbook.xml'].data.toString();
+  assert.match(workbook, /<sheet name="Data" sheetId="1"/);
+  assert.match(workbook, /<sheet name="data 2" sheetId="2"/);
+  assert.match(workbook, /<sheet name="Bad   name" sheetId="3"/);
+
+  const sheet = files['xl/worksheets/sheet1.xml'].data.toString();
+  assert.match(sheet, /<c r="A2" s="2" t="inlineStr"><is><t xml:space="preserve">a &lt; b &amp; &quot;c&quot;<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B2" s="2"><v>3<\/v><\/c>/);
+});
+
+test('createWorkbook drops invalid XML characters and cuts cells at the Excel limit', () => {
+  const files = readZip(createWorkbook([{ name: 'Long', rows: [['h'], ['bell\u0007'], ['x'.repeat(40000)]] }]));
+  const sheet = files['xl/worksheets/sheet1.xml'].data.toString();
+  assert.match(sheet, />bell<\/t>/);
+  const long = /<c r="A3"[^>]*><is><t xml:space="preserve">([^<]*)<\/t>/.exec(sheet)[1];
+  assert.equal(long.length, 32767);
+  assert.ok(long.endsWith('…'));
+});
+
+test('specificationToCSV neutralizes formula-like cells and quotes special characters', () => {
+  const csv = specificationToCSV(specification);
+  assert.ok(csv.startsWith('\uFEFFModule,Function,Purpose,'));
+  const lines = csv.slice(1).split('\r\n');
+  assert.equal(lines[1], 'Auth,login,\'@mention users,"user\npassword",,,,,"ok\nbad password"');
+  assert.equal(lines[2], 'Empty,,,,,,,,');
+});
+
+test('specificationToXLSX keeps cell text as written', () => {
+  const files = readZip(specificationToXLSX(specification));
+  const requirements = files['xl/worksheets/sheet1.xml'].data.toString();
+  assert.match(requirements, />-5 minutes of downtime at most</);
+  assert.match(requirements, />=SUM\(A1\)</);
+  const modules = files['xl/worksheets/sheet2.xml'].data.toString();
+  assert.match(modules, />\+ login &amp; &lt;logout&gt;</);
+  const functions = files['xl/worksheets/sheet3.xml'].data.toString();
+  assert.match(functions, />@mention users</);
+  assert.doesNotMatch(requirements + modules + functions, />'/);
+});
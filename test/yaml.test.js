@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseYAML } from '../lib/yaml.js';
+import { ParsingError } from '../lib/errors.js';
+
+test('parseYAML reads a stack catalog with nested mappings, sequences and flow collections', () => {
+  const text = `# Team stacks
+platforms:
+  backend:
+    add:
+      - name: NestJS + Prisma   # our default
+        stack:
+          language: TypeScript
+          database: [PostgreSQL, Redis]
+          tools: {lint: eslint, ci: "GitHub Actions"}
+    hide:
+    - Python/FastAPI
+    - 'Go: Gin'
+`;
+  assert.deepEqual(parseYAML(text), {
+    platforms: {
+      backend: {
+        add: [{
+          name: 'NestJS + Prisma',
+          stack: { language: 'TypeScript', database: ['PostgreSQL', 'Redis'], tools: { lint: 'eslint', ci: 'GitHub Actions' } }
+        }],
+        hide: ['Python/FastAPI', 'Go: Gin']
+      }
+    }
+  });
+});
+
+test('parseYAML types plain scalars and keeps quoted ones as strings', () => {
+  assert.deepEqual(
+    parseYAML('a: 12\nb: -1.5e3\nc: true\nd: null\ne: ~\nf:\ng: "12"\nh: \'it\'\'s\'\ni: http://x.com\nj: 12:30\nk: a#b'),
+    { a: 12, b: -1500, c: true, d: null, e: null, f: null, g: '12', h: "it's", i: 'http://x.com', j: '12:30', k: 'a#b' }
+  );
+});
+
+test('parseYAML does not let a __proto__ key replace the prototype', () => {
+  const value = parseYAML('__proto__:\n  polluted: true');
+  assert.equal(Object.getPrototypeOf(value), Object.prototype);
+  assert.deepEqual(Object.keys(value), ['__proto__']);
+  assert.equal({}.polluted, undefined);
+});
+
+test('parseYAML returns null for an empty document', () => {
+  assert.equal(parseYAML('# nothing here\n\n---\n'), null);
+});
+
+function assertRejected(text, pattern) {
+  assert.throws(() => parseYAML(text), error => error instanceof ParsingError && pattern.test(error.message));
+}
+
+test('parseYAML rejects anchors, aliases and tags on values and keys', () => {
+  assertRejected('base: &defaults {a: 1}', /line 1: unsupported YAML feature "&"/);
+  assertRejected('a: 1\nb: *defaults', /line 2: unsupported YAML feature "\*"/);
+  assertRejected('when: !!timestamp 2024-01-01', /unsupported YAML feature "!"/);
+  assertRejected('&anchor key: value', /line 1: unsupported YAML feature "&"/);
+  assertRejected('- &item name: x', /unsupported YAML feature "&"/);
+  assertRejected('{&k a: 1}', /unsupported YAML feature "&"/);
+});
+
+test('parseYAML rejects block scalars', () => {
+  assertRejected('text: |\n  line', /unsupported YAML feature "\|"/);
+});
+
+test('parseYAML rejects a second mapping on the same line', () => {
+  assertRejected('key: value: more', /line 1: unsupported YAML feature ": " in plain value "value: more"/);
+  assertRejected('a: {b: c: d}', /unsupported YAML feature ": "/);
+  assert.deepEqual(parseYAML('key: "value: more"'), { key: 'value: more' });
+});
+
+test('parseYAML reports structural errors with the line number', () => {
+  assertRejected('a: 1\n\tb: 2', /line 2: tabs are not allowed/);
+  assertRejected('a: 1\na: 2', /line 2: duplicate key "a"/);
+  assertRejected('a: 1\n- b', /line 2: unexpected line/);
+  assertRejected('a: [1, 2', /unterminated flow sequence/);
+  assertRejected('a: 1\n---\nb: 2', /line 2: multiple documents/);
+  assertRejected('a: "open', /unterminated string/);
+});